@@ -0,0 +1,57 @@
+-- Calls, call events, messages and appointments (services/call-store.js)
+
+create table if not exists calls (
+  call_sid text primary key,
+  from_number text,
+  to_number text,
+  status text,
+  duration_seconds integer,
+  hume_chat_id text,
+  started_at timestamptz not null default now(),
+  ended_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+create index if not exists calls_from_number_idx on calls (from_number, started_at desc);
+
+-- call_sid is null for events outside a call (reminders, no-show follow-ups)
+create table if not exists call_events (
+  id bigserial primary key,
+  call_sid text,
+  type text not null,
+  payload jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+create index if not exists call_events_call_sid_idx on call_events (call_sid, created_at);
+create index if not exists call_events_type_idx on call_events (type, created_at);
+
+-- What the caller said on the legacy voice flow, and SMS in both directions
+create table if not exists messages (
+  id bigserial primary key,
+  call_sid text,
+  phone text,
+  channel text not null check (channel in ('voice', 'sms')),
+  direction text not null check (direction in ('inbound', 'outbound')),
+  body text not null,
+  created_at timestamptz not null default now()
+);
+create index if not exists messages_call_sid_idx on messages (call_sid, created_at);
+create index if not exists messages_phone_idx on messages (phone, created_at);
+
+-- One row per calendar booking; the calendar stays the source of truth for the schedule
+create table if not exists appointments (
+  event_id text not null,
+  calendar_id text not null,
+  call_sid text,
+  caller_phone text,
+  service_id text,
+  staff_id text,
+  start_at timestamptz,
+  end_at timestamptz,
+  status text not null default 'booked' check (status in ('booked', 'rescheduled', 'cancelled')),
+  outcome text check (outcome in ('attended', 'no_show', 'late_cancel')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (calendar_id, event_id)
+);
+create index if not exists appointments_caller_phone_idx on appointments (caller_phone, start_at);
+create index if not exists appointments_call_sid_idx on appointments (call_sid);
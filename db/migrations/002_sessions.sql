@@ -0,0 +1,11 @@
+-- Short-lived call session state shared between instances (services/db-session-store.js)
+
+create table if not exists sessions (
+  namespace text not null,
+  key text not null,
+  value jsonb,
+  expires_at timestamptz not null,
+  updated_at timestamptz not null default now(),
+  primary key (namespace, key)
+);
+create index if not exists sessions_expires_at_idx on sessions (expires_at);
@@ -0,0 +1,29 @@
+-- Hume call transcripts: one row per call, one row per speaker turn / tool call (services/transcripts.js)
+
+create table if not exists transcripts (
+  call_sid text primary key,
+  hume_chat_id text,
+  caller_phone text,
+  started_at timestamptz,
+  ended_at timestamptz,
+  turn_count integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists transcripts_caller_phone_idx on transcripts (caller_phone, started_at desc);
+
+-- role: caller | agent | tool_call | tool_response | system; data holds tool parameters / results
+create table if not exists transcript_turns (
+  id bigserial primary key,
+  call_sid text not null references transcripts (call_sid) on delete cascade,
+  seq integer not null,
+  role text not null,
+  event_type text,
+  text text not null default '',
+  tool_name text,
+  data jsonb,
+  at timestamptz,
+  search tsvector generated always as (to_tsvector('simple', coalesce(text, ''))) stored,
+  unique (call_sid, seq)
+);
+create index if not exists transcript_turns_search_idx on transcript_turns using gin (search);
@@ -0,0 +1,15 @@
+-- Post-call jobs that failed, kept for an admin retry (services/dead-letters.js)
+
+create table if not exists post_call_dead_letters (
+  call_sid text primary key,
+  caller_phone text,
+  hume_chat_id text,
+  stage text not null,
+  error text not null,
+  attempts integer not null default 1,
+  status text not null default 'pending' check (status in ('pending', 'resolved')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  resolved_at timestamptz
+);
+create index if not exists post_call_dead_letters_status_idx on post_call_dead_letters (status, updated_at desc);
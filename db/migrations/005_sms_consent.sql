@@ -0,0 +1,18 @@
+-- SMS consent per number and every change to it, the audit trail (services/consent.js)
+
+create table if not exists sms_consent (
+  phone text primary key,
+  status text not null check (status in ('opted_in', 'opted_out')),
+  source text not null,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists sms_consent_history (
+  id bigserial primary key,
+  phone text not null,
+  action text not null check (action in ('opt_in', 'opt_out')),
+  source text not null,
+  detail text,
+  at timestamptz not null default now()
+);
+create index if not exists sms_consent_history_phone_idx on sms_consent_history (phone, at);
@@ -0,0 +1,7 @@
+-- Who recorded an appointment's outcome, and when: the per-customer outcome ledger (services/outcomes.js).
+-- Rows outlive the calendar event, so late cancellations still count
+
+alter table appointments add column if not exists outcome_source text;
+alter table appointments add column if not exists outcome_detail text;
+alter table appointments add column if not exists outcome_at timestamptz;
+create index if not exists appointments_outcomes_idx on appointments (caller_phone, start_at) where outcome is not null;
@@ -0,0 +1,23 @@
+-- Customer profiles keyed by phone, and their attended visits (services/customers.js)
+
+create table if not exists customers (
+  phone text primary key,
+  name text,
+  customer_since date,
+  bookings integer not null default 0,
+  last_booked_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- One row per attended appointment; a later no-show / late cancel outcome deletes it
+create table if not exists customer_visits (
+  phone text not null references customers (phone) on delete cascade,
+  event_id text not null,
+  visit_date date,
+  service_id text,
+  staff_id text,
+  created_at timestamptz not null default now(),
+  primary key (phone, event_id)
+);
+create index if not exists customer_visits_date_idx on customer_visits (phone, visit_date);
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Exercise the CalDAV provider end to end: create, get, list by tag, free/busy, update, delete,
+// against a real server (creates + deletes one event); test/caldav-calendar.test.js covers the
+// same against a local stand-in.
+// Usage: CALDAV_URL=... [CALDAV_USERNAME=... CALDAV_PASSWORD=...] node scripts/check-caldav.mjs
+import path from 'path';
+import dotenv from 'dotenv';
+dotenv.config({ path: path.resolve(process.cwd(), '.env.local') });
+
+import caldav from '../services/caldav-calendar.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(`check failed: ${msg}`);
+  console.log(`✅ ${msg}`);
+}
+
+async function main() {
+  if (!process.env.CALDAV_URL) throw new Error('CALDAV_URL missing in environment');
+
+  const start = new Date(Date.now() + 3 * 24 * 3600 * 1000);
+  start.setUTCMinutes(0, 0, 0);
+  const end = new Date(start.getTime() + 30 * 60000);
+  const tag = `check-${Date.now()}`;
+
+  const created = await caldav.insertEvent({
+    summary: 'CalDAV check, haircut',
+    description: 'Line one\nLine two; with, punctuation',
+    start: { dateTime: start.toISOString(), timeZone: 'America/Chicago' },
+    end: { dateTime: end.toISOString(), timeZone: 'America/Chicago' },
+    extendedProperties: { private: { callSid: tag, callerPhone: '+15125550100' } },
+  });
+  assert(created.id, `created event ${created.id}`);
+
+  const fetched = await caldav.getEvent(created.id);
+  assert(fetched.summary === 'CalDAV check, haircut', 'summary round-trips');
+  assert(fetched.description === 'Line one\nLine two; with, punctuation', 'description escaping round-trips');
+  assert(new Date(fetched.start.dateTime).getTime() === start.getTime(), 'start time round-trips');
+  assert(fetched.start.timeZone === 'America/Chicago', 'timezone round-trips');
+  assert(fetched.extendedProperties?.private?.callerPhone === '+15125550100', 'private tags round-trip');
+
+  const tagged = await caldav.listEvents({ timeMin: new Date().toISOString(), privateProperty: { key: 'callSid', value: tag } });
+  assert(tagged.length === 1 && tagged[0].id === created.id, 'listEvents filters by private property');
+
+  const busy = await caldav.queryFreeBusy({ timeMin: start.toISOString(), timeMax: end.toISOString(), calendarIds: ['primary'] });
+  assert(busy.primary.some((b) => new Date(b.start).getTime() === start.getTime()), 'queryFreeBusy reports the event');
+
+  const moved = await caldav.updateEvent(created.id, {
+    start: { dateTime: end.toISOString(), timeZone: 'America/Chicago' },
+    end: { dateTime: new Date(end.getTime() + 30 * 60000).toISOString(), timeZone: 'America/Chicago' },
+    extendedProperties: { private: { confirmationSentAt: new Date().toISOString() } },
+  });
+  const refetched = await caldav.getEvent(created.id);
+  assert(new Date(refetched.start.dateTime).getTime() === end.getTime() && moved.id === created.id, 'updateEvent moves the event');
+  assert(refetched.extendedProperties.private.callSid === tag && refetched.extendedProperties.private.confirmationSentAt, 'updateEvent merges private tags');
+
+  await caldav.deleteEvent(created.id);
+  let gone = false;
+  try { await caldav.getEvent(created.id); } catch (err) { gone = err.code === 404; }
+  assert(gone, 'deleteEvent removes the event (getEvent → 404)');
+
+  console.log('\n🎉 CalDAV provider OK');
+}
+
+main().catch((err) => {
+  console.error('❌', err?.message || err);
+  process.exit(1);
+});
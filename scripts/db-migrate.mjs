@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+// Apply pending schema migrations (db/migrations/*.sql) to DATABASE_URL.
+// Usage: npm run db:migrate
+import path from 'path';
+import dotenv from 'dotenv';
+dotenv.config({ path: path.resolve(process.cwd(), '.env.local') });
+
+import db from '../services/db.js';
+
+try {
+  if (!db.isDbConfigured()) throw new Error('DATABASE_URL missing in environment');
+  const applied = await db.migrate();
+  console.log(applied.length ? `✅ applied ${applied.join(', ')}` : '✅ schema up to date');
+} catch (err) {
+  console.error('❌', err?.message || err);
+  process.exitCode = 1;
+} finally {
+  await db.closeDb();
+}
@@ -0,0 +1,99 @@
+// Registers the Hume tools for existing appointments and customers:
+// find_my_appointments, reschedule_appointment, cancel_appointment, get_customer_profile
+// The caller's phone number is supplied by the server from the call, never by the model.
+// Usage: HUME_API_KEY=... node ai-receptionist/scripts/hume-create-appointment-tools.mjs
+import path from 'path';
+import dotenv from 'dotenv';
+import { HumeClient } from 'hume';
+dotenv.config({ path: path.resolve(process.cwd(), '.env.local') });
+
+const tools = [
+  {
+    name: 'find_my_appointments',
+    description: "Lists the caller's upcoming appointments (matched on the number they are calling from). Use before rescheduling or cancelling to get the eventId.",
+    versionDescription: 'Looks up upcoming bookings tagged with the caller phone number.',
+    fallbackContent: 'Unable to look up appointments right now.',
+    parameters: {
+      type: 'object',
+      properties: {},
+      required: [],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'reschedule_appointment',
+    description: "Moves one of the caller's appointments to a new date/time. The length follows the booked service.",
+    versionDescription: 'Reschedules a booking owned by the caller after a conflict/business-hours check.',
+    fallbackContent: 'Unable to reschedule the appointment.',
+    parameters: {
+      type: 'object',
+      properties: {
+        eventId: {
+          type: 'string',
+          description: 'Appointment id returned by find_my_appointments'
+        },
+        date: {
+          type: 'string',
+          description: 'New local date YYYY-MM-DD (e.g., 2025-11-05)'
+        },
+        startTime: {
+          type: 'string',
+          description: 'New start time HH:mm (24h) (e.g., 14:30)'
+        }
+      },
+      required: ['eventId', 'date', 'startTime'],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'cancel_appointment',
+    description: "Cancels one of the caller's appointments. Confirm with the caller before calling.",
+    versionDescription: 'Cancels a booking owned by the caller.',
+    fallbackContent: 'Unable to cancel the appointment.',
+    parameters: {
+      type: 'object',
+      properties: {
+        eventId: {
+          type: 'string',
+          description: 'Appointment id returned by find_my_appointments'
+        }
+      },
+      required: ['eventId'],
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'get_customer_profile',
+    description: "Looks up the caller (by the number they are calling from): name, pricing tier (First-Time, Returning or Preferred, from their visit history), visit count and usual barber. Call at the start of a booking; never ask the caller for their tier.",
+    versionDescription: 'Customer profile and tier from booking and visit history.',
+    fallbackContent: 'Unable to look up the customer right now.',
+    parameters: {
+      type: 'object',
+      properties: {},
+      required: [],
+      additionalProperties: false
+    }
+  }
+];
+
+async function main() {
+  const apiKey = process.env.HUME_API_KEY;
+  if (!apiKey) {
+    throw new Error('HUME_API_KEY missing in environment');
+  }
+
+  const client = new HumeClient({ apiKey });
+
+  for (const tool of tools) {
+    const resp = await client.empathicVoice.tools.createTool({
+      ...tool,
+      parameters: JSON.stringify(tool.parameters)
+    });
+    console.log(`[hume] tool created (${tool.name}):`, resp?.id || resp);
+  }
+}
+
+main().catch((e) => {
+  console.error('[hume] tool create error:', e?.message || e);
+  process.exit(1);
+});
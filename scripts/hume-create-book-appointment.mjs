@@ -3,6 +3,8 @@
 import path from 'path';
 import dotenv from 'dotenv';
 import { HumeClient } from 'hume';
+import serviceCatalog from '../services/service-catalog.js';
+import staffConfig from '../services/staff.js';
 dotenv.config({ path: path.resolve(process.cwd(), '.env.local') });
 
 async function main() {
@@ -12,15 +14,12 @@ async function main() {
   }
 
   const client = new HumeClient({ apiKey });
+  const services = serviceCatalog.getServiceCatalog();
+  const staff = staffConfig.getStaff();
 
   const parameters = JSON.stringify({
     type: 'object',
     properties: {
-      calendarId: {
-        type: 'string',
-        description: "Google Calendar ID. Use 'primary' if unspecified.",
-        default: 'primary'
-      },
       date: {
         type: 'string',
         description: 'Local date YYYY-MM-DD (e.g., 2025-11-05)'
@@ -29,24 +28,39 @@ async function main() {
         type: 'string',
         description: 'Start time HH:mm (24h) (e.g., 14:30)'
       },
-      endTime: {
+      service: {
+        type: 'string',
+        enum: services.map((s) => s.id),
+        description: `Service to book; the appointment length comes from the service. ${services.map((s) => `${s.id} = ${s.name} (${s.durationMinutes} min)`).join('; ')}`
+      },
+      staff: {
+        type: 'string',
+        enum: ['any', ...staff.map((s) => s.id)],
+        description: `Preferred barber, or "any" for whoever is free. ${staff.map((s) => `${s.id} = ${s.name}`).join('; ')}`,
+        default: 'any'
+      },
+      customerName: {
+        type: 'string',
+        description: "Customer's name as confirmed on the call"
+      },
+      language: {
         type: 'string',
-        description: 'End time HH:mm (24h) (e.g., 15:00)'
+        description: 'Language the caller is speaking, e.g. en or es. Texts about this booking are sent in that language.'
       },
       timezone: {
         type: 'string',
         description: 'IANA timezone (e.g., America/Chicago). Optional; defaults server/business timezone.'
       }
     },
-    required: ['date', 'startTime', 'endTime'],
+    required: ['date', 'startTime', 'service'],
     additionalProperties: false
   });
 
   const resp = await client.empathicVoice.tools.createTool({
     name: 'book_appointment',
     parameters,
-    versionDescription: 'Creates a Google Calendar event using date + start/end time window.',
-    description: 'Books an event on Google Calendar (primary by default).',
+    versionDescription: 'Creates a Google Calendar event using date + start time; duration comes from the service catalog.',
+    description: "Books an appointment on the assigned barber's Google Calendar.",
     fallbackContent: 'Unable to book appointment.'
   });
 
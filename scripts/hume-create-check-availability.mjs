@@ -0,0 +1,71 @@
+// Registers the Hume tool: check_availability (Google Calendar free/busy)
+// Usage: HUME_API_KEY=... node ai-receptionist/scripts/hume-create-check-availability.mjs
+import path from 'path';
+import dotenv from 'dotenv';
+import { HumeClient } from 'hume';
+import serviceCatalog from '../services/service-catalog.js';
+import staffConfig from '../services/staff.js';
+dotenv.config({ path: path.resolve(process.cwd(), '.env.local') });
+
+async function main() {
+  const apiKey = process.env.HUME_API_KEY;
+  if (!apiKey) {
+    throw new Error('HUME_API_KEY missing in environment');
+  }
+
+  const client = new HumeClient({ apiKey });
+  const services = serviceCatalog.getServiceCatalog();
+  const staff = staffConfig.getStaff();
+
+  const parameters = JSON.stringify({
+    type: 'object',
+    properties: {
+      date: {
+        type: 'string',
+        description: 'First local date to search, YYYY-MM-DD (e.g., 2025-11-05). Defaults to today.'
+      },
+      days: {
+        type: 'integer',
+        description: 'Number of days to search starting at date (1-14). Defaults to 1.',
+        default: 1
+      },
+      service: {
+        type: 'string',
+        enum: services.map((s) => s.id),
+        description: 'Service the caller wants; sets the slot length. Defaults to a standard haircut.'
+      },
+      staff: {
+        type: 'string',
+        enum: ['any', ...staff.map((s) => s.id)],
+        description: `Preferred barber, or "any" for whoever is free. ${staff.map((s) => `${s.id} = ${s.name}`).join('; ')}`,
+        default: 'any'
+      },
+      maxSlots: {
+        type: 'integer',
+        description: 'Maximum number of open slots to return. Defaults to 5.',
+        default: 5
+      },
+      timezone: {
+        type: 'string',
+        description: 'IANA timezone (e.g., America/Chicago). Optional; defaults server/business timezone.'
+      }
+    },
+    required: [],
+    additionalProperties: false
+  });
+
+  const resp = await client.empathicVoice.tools.createTool({
+    name: 'check_availability',
+    parameters,
+    versionDescription: 'Returns open appointment slots from calendar free/busy within business hours.',
+    description: 'Checks the calendar and returns open appointment times. Use before offering or confirming a time.',
+    fallbackContent: 'Unable to check availability right now.'
+  });
+
+  console.log('[hume] tool created:', resp?.id || resp);
+}
+
+main().catch((e) => {
+  console.error('[hume] tool create error:', e?.message || e);
+  process.exit(1);
+});
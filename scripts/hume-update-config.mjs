@@ -1,4 +1,6 @@
-// Update Hume EVI Config to include the book_appointment tool
+// Update Hume EVI Config to include the receptionist tools
+// (book_appointment, check_availability, find_my_appointments, reschedule_appointment, cancel_appointment, get_customer_profile)
+// and, when PUBLIC_BASE_URL is set, the chat webhook that links Hume chats to Twilio calls (/voice/hume-callback)
 // Usage: node ai-receptionist/scripts/hume-update-config.mjs
 
 import path from 'path';
@@ -16,19 +18,25 @@ async function main() {
 
   const client = new HumeClient({ apiKey });
 
-  // First, list your existing tools to get the book_appointment tool ID
+  // First, list your existing tools to get the receptionist tool IDs
   console.log('[hume] Listing tools...');
   const toolsResp = await client.empathicVoice.tools.listTools();
   
   // Handle both array response and paginated response
   const toolsList = Array.isArray(toolsResp) ? toolsResp : (toolsResp.data || toolsResp.tools || []);
-  const bookAppointmentTool = toolsList.find(t => t.name === 'book_appointment');
-  
-  if (!bookAppointmentTool) {
-    console.warn('⚠️  book_appointment tool not found. Config will be updated without tools.');
+  const toolNames = ['book_appointment', 'check_availability', 'find_my_appointments', 'reschedule_appointment', 'cancel_appointment', 'get_customer_profile'];
+  const receptionistTools = [];
+  for (const toolName of toolNames) {
+    const tool = toolsList.find(t => t.name === toolName);
+    if (!tool) {
+      console.warn(`⚠️  ${toolName} tool not found. Config will be updated without it.`);
+      continue;
+    }
+    console.log(`[hume] Found ${toolName} tool:`, tool.id);
+    receptionistTools.push(tool);
+  }
+  if (!receptionistTools.length) {
     console.log('Available tools:', toolsList.map(t => t.name).join(', ') || 'none');
-  } else {
-    console.log('[hume] Found book_appointment tool:', bookAppointmentTool.id);
   }
 
   // List prompts to get the receptionist prompt ID
@@ -62,9 +70,17 @@ async function main() {
     languageModel: currentConfig.language_model,
   };
   
-  // Only add tools if we found the book_appointment tool
-  if (bookAppointmentTool) {
-    updatePayload.tools = [{ id: bookAppointmentTool.id }];
+  // Only add tools we actually found
+  if (receptionistTools.length) {
+    updatePayload.tools = receptionistTools.map(t => ({ id: t.id }));
+  }
+
+  const publicBaseUrl = String(process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  const webhookUrl = publicBaseUrl ? `${publicBaseUrl}/voice/hume-callback` : null;
+  if (webhookUrl) {
+    updatePayload.webhooks = [{ url: webhookUrl, events: ['chat_started', 'chat_ended'] }];
+  } else {
+    console.warn('⚠️  PUBLIC_BASE_URL not set: chat webhook not registered, calls cannot be linked to their Hume chats');
   }
   
   // Try creating a new config version
@@ -74,16 +90,18 @@ async function main() {
     console.log('Config ID:', configId);
     console.log('Version:', updateResp.version);
     console.log('Prompt:', receptionistPrompt.name);
-    console.log('Tools:', bookAppointmentTool ? bookAppointmentTool.name : 'none');
+    console.log('Tools:', receptionistTools.map(t => t.name).join(', ') || 'none');
+    console.log('Webhook:', webhookUrl || 'none');
   } catch (err) {
     console.error('[hume] Error creating config version:', err?.message || err);
     console.log('[hume] Note: Config may need to be updated manually in Hume Portal');
     console.log('[hume] Go to: https://platform.hume.ai');
     console.log('[hume] - Select your config');
     console.log('[hume] - Set Prompt to: PFL Receptionist');
-    if (bookAppointmentTool) {
-      console.log('[hume] - Add Tool: book_appointment');
+    for (const t of receptionistTools) {
+      console.log(`[hume] - Add Tool: ${t.name}`);
     }
+    if (webhookUrl) console.log(`[hume] - Add Webhook: ${webhookUrl} (chat_started, chat_ended)`);
     throw err;
   }
 }
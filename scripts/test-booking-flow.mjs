@@ -11,14 +11,15 @@ async function testFlow() {
 
   // 1. Check environment variables
   console.log('1️⃣ Checking environment variables...');
+  // Google credentials are only needed for the Google calendar backend (CALENDAR_PROVIDER=local needs none)
+  const usesGoogle = !process.env.CALENDAR_PROVIDER || process.env.CALENDAR_PROVIDER === 'google';
   const requiredVars = [
     'HUME_API_KEY',
     'HUME_CONFIG_ID',
-    'GOOGLE_CLIENT_ID',
-    'GOOGLE_CLIENT_SECRET',
-    'GOOGLE_REFRESH_TOKEN',
+    ...(usesGoogle ? ['GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET', 'GOOGLE_REFRESH_TOKEN'] : []),
     'TWILIO_ACCOUNT_SID',
     'TWILIO_AUTH_TOKEN',
+    'TOOL_BRIDGE_SECRET',
   ];
 
   const missing = requiredVars.filter(v => !process.env[v]);
@@ -56,12 +57,11 @@ async function testFlow() {
     
     const response = await fetchFn('http://localhost:3001/tools/hume/book-appointment', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${process.env.TOOL_BRIDGE_SECRET || ''}` },
       body: JSON.stringify({
-        calendarId: 'primary',
         date: dateStr,
         startTime: '16:00',
-        endTime: '16:30',
+        service: 'returning-cut',
         timezone: 'America/Chicago',
         summary: 'Flow Test Appointment',
         description: 'Automated test of booking flow'
@@ -97,12 +97,12 @@ async function testFlow() {
   console.log('✅ Server is running');
   console.log('✅ Environment variables configured');
   console.log('✅ Hume API accessible');
-  console.log('✅ Google Calendar booking works');
+  console.log(`✅ Calendar booking works (${usesGoogle ? 'google' : process.env.CALENDAR_PROVIDER})`);
   console.log('\n🎯 Next Steps:');
   console.log('1. Make sure Twilio Status Callback URL is configured');
   console.log('2. Make a test call to your Twilio number');
   console.log('3. Watch server logs for [call-status] and [post-call-booking] messages');
-  console.log('4. Check your Google Calendar after the call ends\n');
+  console.log('4. Check your calendar after the call ends\n');
 }
 
 testFlow().catch(err => {
@@ -3,13 +3,43 @@
  * - Twilio webhooks for inbound calling
  * - Optional Hume EVI handoff (if HUME_API_KEY + HUME_CONFIG_ID present)
  * - Legacy OpenAI flow (intent + TTS) as fallback when Hume not configured
- * - Google Calendar debug endpoints and OAuth helper
+ * - Calendar debug endpoints (any CALENDAR_PROVIDER) and Google OAuth helper
+ * - SMS reminders before appointments (timer on a long-running server, /cron/reminders otherwise)
+ * - Call state (legacy flow, Hume chat ids, post-call claims) in services/session-store.js, shared
+ *   between instances when SESSION_STORE=db
+ * - Calls, call events, messages and bookings persisted to Postgres when DATABASE_URL is set
+ *   (services/call-store.js; schema in db/migrations, applied on start)
  */
 const path = require('path');
 const express = require('express');
 const twilio = require('twilio');
-const http = require('http');
-const { createEvent, listUpcomingEvents, getEventById } = require('./services/google-calendar');
+const { DateTime } = require('luxon');
+const { createEvent, insertEvent, listUpcomingEvents, getEventById, updateEvent, deleteEvent, findEventsByPrivateProperty } = require('./services/calendar');
+const { getBusinessSchedule, isOpenBetween, describeSchedule } = require('./services/schedule');
+const { checkSlot, findStaffForSlot } = require('./services/availability');
+const { findOpenSlots, bookAppointment, bookedService, slotRejectionMessage } = require('./services/booking');
+const { parseDateTimes, parseLocalDate, parseLocalTime, parseRelativeDate, ensureFutureIso, getCurrentDateTimeISO } = require('./services/datetime');
+const { bookingTags, getBookingTags, isOwnedBy, toAppointmentSummary, findBookingsForCall, addBookingTags } = require('./services/appointments');
+const { normalizePhone } = require('./services/phone');
+const { verifyAppointmentSignature, appointmentIcsUrl } = require('./services/appointment-links');
+const { eventToICalendar } = require('./services/ical');
+const { handleInboundSms } = require('./services/sms-inbound');
+const { runReminders, startReminderLoop } = require('./services/reminders');
+const { MISSED_CALL_STATUSES, textBackMissedCall } = require('./services/missed-call');
+const { OUTCOMES, recordOutcome, getOutcomeHistory, getBookingPolicy, isLateCancel, sendNoShowFollowUp, runOutcomes, startOutcomeLoop } = require('./services/outcomes');
+const { sendSms } = require('./services/sms');
+const { offerAlternatives, endSmsBooking } = require('./services/sms-booking');
+const { getCustomer, recordBooking, updateCustomer, serviceForCustomer } = require('./services/customers');
+const { isDbConfigured, migrate } = require('./services/db');
+const { getSession, setSession, deleteSession, claimSession } = require('./services/session-store');
+const { rememberHumeCaller, getHumeCaller, linkHumeChat, getCallerPhone, verifyHumeWebhook, linkChatStarted } = require('./services/hume-correlation');
+const { persist, logCallEvent, upsertCall, insertMessage, insertCallerMessage, recordAppointment } = require('./services/call-store');
+const { TRANSCRIPT_ROLES, saveTranscript, getTranscript, searchTranscripts } = require('./services/transcripts');
+const { DEAD_LETTER_STATUSES, addDeadLetter, getDeadLetter, listDeadLetters, resolveDeadLetter } = require('./services/dead-letters');
+const { getConsent, getConsentHistory, recordImpliedConsent } = require('./services/consent');
+const { t, getDefaultLocale, formatDateTime } = require('./services/messages');
+const { getDefaultService, findService } = require('./services/service-catalog');
+const { getStaff, getDefaultStaff, getStaffById, schedulesForStaff, getStaffCalendarIds } = require('./services/staff');
 const { google } = require('googleapis');
 
 // Load env from .env.local
@@ -31,31 +61,43 @@ const app = express();
 const port = Number(process.env.PORT || 3001);
 const businessName = process.env.BUSINESS_NAME || 'our office';
 const businessTz = process.env.BUSINESS_TIMEZONE || 'America/Chicago';
+const businessAddress = process.env.BUSINESS_ADDRESS || '';
 const useTwilioTts = process.env.USE_TWILIO_TTS === '1';
+// Voice prompts use the business language (BUSINESS_LOCALE); texts use each customer's (see services/messages.js)
+const voiceLocale = getDefaultLocale();
 const validateTwilio = process.env.TWILIO_VALIDATE === '1';
 const operatorNumber = process.env.OPERATOR_NUMBER || '';
 // Hume EVI (Phase 1): when set, /voice/answer redirects Twilio to Hume
 const HUME_API_KEY = process.env.HUME_API_KEY || '';
 const HUME_CONFIG_ID = process.env.HUME_CONFIG_ID || '';
-// Business hours configuration: e.g., BUSINESS_HOURS="09:00-17:00", BUSINESS_DAYS="1-5" (Mon-Fri)
-const businessHoursRange = process.env.BUSINESS_HOURS || '09:00-17:00';
-const businessDaysSpec = process.env.BUSINESS_DAYS || '1-5';
+// Business hours: BUSINESS_SCHEDULE / BUSINESS_SCHEDULE_PATH (per-day hours, breaks, holidays),
+// or the simple BUSINESS_HOURS="09:00-17:00" + BUSINESS_DAYS="1-5" pair (see services/schedule.js)
+const businessSchedule = getBusinessSchedule();
 
-// Twilio client for sending SMS
-const twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+// Outbound texts go through services/sms.js (consent-checked); the number is also quoted in messages
 const twilioPhoneNumber = process.env.TWILIO_PHONE_NUMBER || '';
 
-// Simple in-memory session state keyed by CallSid
-const sessionByCallSid = new Map();
-
-// Map Twilio Call SID to Hume Chat ID for post-call retrieval
-const callSidToHumeChatId = new Map();
+// Call state lives in the session store (services/session-store.js), keyed by CallSid, so any
+// instance can serve any webhook of a call:
+//   'call'      - legacy voice flow state
+//   'hume-chat' - Hume chat id for post-call retrieval (linked by services/hume-correlation.js)
+//   'post-call' - post-call processing claimed (Twilio may deliver call-status more than once)
+const CALL_SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+const POST_CALL_CLAIM_TTL_MS = 10 * 60 * 1000;
+
+// POST_CALL_TEST_MODE=true enables /admin/post-call/test (post-call processing of a supplied transcript,
+// no Hume chat). Ignored in production (NODE_ENV or VERCEL_ENV "production").
+const isProduction = process.env.NODE_ENV === 'production' || process.env.VERCEL_ENV === 'production';
+const postCallTestMode = /^(1|true|yes)$/i.test(String(process.env.POST_CALL_TEST_MODE || '')) && !isProduction;
+if (isProduction && process.env.POST_CALL_TEST_MODE) {
+  console.error('[post-call-booking] POST_CALL_TEST_MODE is ignored in production');
+}
 
 // Ensure correct proto/host behind tunnels/proxies
 app.set('trust proxy', true);
 
-// Enable JSON parsing globally (for debug/test endpoints)
-app.use(express.json());
+// Enable JSON parsing globally (for debug/test endpoints); the raw body is kept for webhook signatures
+app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
 
 // Centralized error handler to avoid timeouts on malformed bodies
 app.use((err, _req, res, next) => {
@@ -70,112 +112,22 @@ app.get('/health', (_req, res) => {
   res.status(200).send('OK');
 });
 
+// Speak a voice template: Twilio <Say> in the business language, or <Play> through /tts when OpenAI TTS is on
+function speak(node, baseUrl, key, vars) {
+  const text = t(key, vars, voiceLocale);
+  if (useTwilioTts || !process.env.OPENAI_API_KEY) {
+    node.say({ language: t('voice.language', {}, voiceLocale) }, text);
+  } else {
+    node.play(`${baseUrl}/tts?text=${encodeURIComponent(text)}`);
+  }
+}
+
 // Optional: simple GET probe for /voice/answer (helps quick checks in browser)
 app.get('/voice/answer', (_req, res) => {
   // Probe for health; Twilio will POST to the same path
   res.type('text/plain').send('voice/answer OK (use POST for Twilio)');
 });
 
-function parseBusinessDays(spec) {
-  try {
-    if (!spec) return new Set([0, 1, 2, 3, 4, 5, 6]);
-    const days = new Set();
-    for (const part of String(spec).split(',')) {
-      const p = part.trim();
-      if (!p) continue;
-      if (p.includes('-')) {
-        const [a, b] = p.split('-').map((x) => Number(x));
-        if (Number.isFinite(a) && Number.isFinite(b)) {
-          for (let d = Math.min(a, b); d <= Math.max(a, b); d++) days.add(d);
-        }
-      } else {
-        const n = Number(p);
-        if (Number.isFinite(n)) days.add(n);
-      }
-    }
-    if (days.size === 0) return new Set([0, 1, 2, 3, 4, 5, 6]);
-    return days;
-  } catch (_) {
-    return new Set([0, 1, 2, 3, 4, 5, 6]);
-  }
-}
-
-function getNowPartsInTimezone(tz) {
-  const now = new Date();
-  const fmt = new Intl.DateTimeFormat('en-US', {
-    timeZone: tz,
-    hour12: false,
-    weekday: 'short',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
-  const parts = fmt.formatToParts(now);
-  const hour = Number(parts.find((p) => p.type === 'hour')?.value || '0');
-  const minute = Number(parts.find((p) => p.type === 'minute')?.value || '0');
-  const weekdayStr = parts.find((p) => p.type === 'weekday')?.value || 'Sun';
-  const map = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
-  const day = map[weekdayStr] ?? 0;
-  return { day, minutes: hour * 60 + minute };
-}
-
-function isBusinessOpen({ timezone, hoursRange, daysSpec }) {
-  try {
-    const days = parseBusinessDays(daysSpec);
-    const { day, minutes } = getNowPartsInTimezone(timezone);
-    if (!days.has(day)) return false;
-    const [openStr, closeStr] = String(hoursRange).split('-');
-    const [oh, om] = (openStr || '00:00').split(':').map((x) => Number(x));
-    const [ch, cm] = (closeStr || '23:59').split(':').map((x) => Number(x));
-    const openMin = (Number.isFinite(oh) ? oh : 0) * 60 + (Number.isFinite(om) ? om : 0);
-    const closeMin = (Number.isFinite(ch) ? ch : 23) * 60 + (Number.isFinite(cm) ? cm : 59);
-    return minutes >= openMin && minutes <= closeMin;
-  } catch (_) {
-    return true;
-  }
-}
-
-function getPartsForDateInTimezone(date, tz) {
-  const fmt = new Intl.DateTimeFormat('en-US', {
-    timeZone: tz,
-    hour12: false,
-    weekday: 'short',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
-  const parts = fmt.formatToParts(date);
-  const hour = Number(parts.find((p) => p.type === 'hour')?.value || '0');
-  const minute = Number(parts.find((p) => p.type === 'minute')?.value || '0');
-  const weekdayStr = parts.find((p) => p.type === 'weekday')?.value || 'Sun';
-  const map = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
-  const day = map[weekdayStr] ?? 0;
-  return { day, minutes: hour * 60 + minute };
-}
-
-function isWithinBusinessHoursAt(isoString, { timezone, hoursRange, daysSpec }) {
-  try {
-    const d = new Date(isoString);
-    if (Number.isNaN(d.getTime())) return false;
-    const days = parseBusinessDays(daysSpec);
-    const { day, minutes } = getPartsForDateInTimezone(d, timezone);
-    if (!days.has(day)) return false;
-    const [openStr, closeStr] = String(hoursRange).split('-');
-    const [oh, om] = (openStr || '00:00').split(':').map((x) => Number(x));
-    const [ch, cm] = (closeStr || '23:59').split(':').map((x) => Number(x));
-    const openMin = (Number.isFinite(oh) ? oh : 0) * 60 + (Number.isFinite(om) ? om : 0);
-    const closeMin = (Number.isFinite(ch) ? ch : 23) * 60 + (Number.isFinite(cm) ? cm : 59);
-    return minutes >= openMin && minutes <= closeMin;
-  } catch (_) {
-    return false;
-  }
-}
-
-function businessDaysHuman(spec) {
-  const s = String(spec || '').trim();
-  if (s === '1-5') return 'Mon–Fri';
-  if (s === '0-6') return 'Sun–Sat';
-  return s || 'Mon–Fri';
-}
-
 // OpenAI TTS endpoint used by Twilio <Play>
 // /tts removed (Hume handles voice)
 
@@ -184,15 +136,19 @@ function businessDaysHuman(spec) {
 app.post('/voice/answer', express.urlencoded({ extended: false }), twilio.webhook({ validate: validateTwilio }), async (req, res) => {
   // Hume EVI: direct Twilio integration
   // Tools ARE supported when configured in your Hume Config
+  await persist('upsertCall', () => upsertCall({ callSid: req.body.CallSid, from: req.body.From, to: req.body.To, status: req.body.CallStatus || 'in-progress' }));
+  await logCallEvent({ callSid: req.body.CallSid, type: 'call_started', payload: { from: req.body.From || null, to: req.body.To || null, hume: Boolean(HUME_API_KEY && HUME_CONFIG_ID) } });
+
   if (HUME_API_KEY && HUME_CONFIG_ID) {
     const callSid = req.body.CallSid;
     const from = req.body.From;
     
     console.log(`[voice/answer] call ${callSid} from ${from} - redirecting to Hume EVI`);
     
+    // Hume's chat_started webhook (/voice/hume-callback) finds this call by the caller's number
+    await rememberHumeCaller({ callSid, phone: from }).catch((err) => console.error(`[voice/answer] could not remember caller for ${callSid}:`, err?.message || err));
+
     const twiml = new twilio.twiml.VoiceResponse();
-    // Add callback parameter so Hume can notify us of the chat_id
-    const callbackUrl = `${req.protocol}://${req.get('host')}/voice/hume-callback?call_sid=${encodeURIComponent(callSid)}`;
     const humeUrl = `https://api.hume.ai/v0/evi/twilio?config_id=${encodeURIComponent(HUME_CONFIG_ID)}&api_key=${encodeURIComponent(HUME_API_KEY)}`;
     
     twiml.redirect(humeUrl);
@@ -200,15 +156,35 @@ app.post('/voice/answer', express.urlencoded({ extended: false }), twilio.webhoo
   }
   
   const twiml = new twilio.twiml.VoiceResponse();
-  twiml.say('The AI assistant is not configured. Please try again later.');
+  twiml.say({ language: t('voice.language', {}, voiceLocale) }, t('voice.notConfigured', {}, voiceLocale));
   return res.type('text/xml').send(twiml.toString());
 });
 
+// Hume config webhook (chat_started / chat_ended): links the Hume chat to the Twilio call.
+// Register it with `node scripts/hume-update-config.mjs` (needs PUBLIC_BASE_URL).
+app.post('/voice/hume-callback', async (req, res) => {
+  try {
+    const invalid = verifyHumeWebhook(req.rawBody, req.headers);
+    if (invalid) {
+      console.warn('[voice/hume-callback] rejected:', invalid);
+      return res.status(401).json({ ok: false, error: invalid });
+    }
+    const event = req.body?.event_name || req.body?.eventName;
+    if (event !== 'chat_started') return res.json({ ok: true, ignored: event || 'unknown event' });
+    const linked = await linkChatStarted(req.body);
+    if (!linked.callSid) return res.status(404).json({ ok: false, error: 'no_matching_call', chatId: linked.chatId, reason: linked.reason });
+    return res.json({ ok: true, callSid: linked.callSid, chatId: linked.chatId });
+  } catch (err) {
+    console.error('[voice/hume-callback] error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
 // legacy /voice/handle-input path removed
 
 app.post('/voice/schedule-time', express.urlencoded({ extended: false }), twilio.webhook({ validate: validateTwilio }), async (req, res) => {
   const callSid = (req.body && req.body.CallSid) || (req.query && req.query.CallSid) || 'TEST';
-  const state = sessionByCallSid.get(callSid) || {};
+  const state = (await getSession('call', callSid)) || {};
   const speech = ((req.body && req.body.SpeechResult) || (req.query && req.query.SpeechResult) || '').trim();
   console.log('[voice/schedule-time] received', { callSid, state: state.state, speech });
   const twiml = new twilio.twiml.VoiceResponse();
@@ -217,97 +193,49 @@ app.post('/voice/schedule-time', express.urlencoded({ extended: false }), twilio
   const baseUrl = `${proto}://${host}`;
 
   // persist caller message for the datetime
-  try {
-    await insertCallerMessage({ callSid, text: speech });
-  } catch (e) {
-    console.error('[persist] insertCallerMessage error', e && e.message ? e.message : e);
-  }
+  await persist('insertCallerMessage', () => insertCallerMessage({ callSid, text: speech }));
 
   if (state.state !== 'awaiting_datetime') {
     twiml.redirect(`${baseUrl}/voice/answer`);
     return res.type('text/xml').send(twiml.toString());
   }
 
-  let intent;
-  try {
-    const context = await getRelevantContext(speech, 4);
-    intent = await inferIntentFromText(speech, { businessName, timezone: businessTz, context });
-    console.log('[voice/schedule-time] intent', intent);
-    try {
-      await insertCallEvent({
-        callSid,
-        type: 'intent_detected',
-        payload: {
-          intent: intent && intent.intent || 'general',
-          reply: intent && intent.reply || '',
-          datetimeISO: intent && intent.datetimeISO || null,
-          text: speech,
-        },
-      });
-    } catch (e) {
-      console.error('[persist] intent_detected event error', e && e.message ? e.message : e);
-    }
-  } catch (_) {
-    const gather = twiml.gather({ input: 'speech dtmf', action: `${baseUrl}/voice/schedule-time`, method: 'POST', speechTimeout: 'auto', timeout: 5, numDigits: 1, actionOnEmptyResult: true });
-    if (useTwilioTts || !process.env.OPENAI_API_KEY) {
-      gather.say('Sorry, what date and time?');
-    } else {
-      gather.play(`${baseUrl}/tts?text=${encodeURIComponent('Sorry, what date and time?')}`);
-    }
+  // "next Tuesday after lunch", "tomorrow at 2pm": a day alone, or a time already past, is not enough; ask again
+  const { startISO, error: parseError } = parseRelativeDate({ text: speech, timezone: businessTz });
+  await logCallEvent({ callSid, type: 'datetime_parsed', payload: { text: speech, datetimeISO: startISO, error: parseError || null } });
+  if (!startISO) {
+    const gather = twiml.gather({ input: 'speech', action: `${baseUrl}/voice/schedule-time`, method: 'POST', speechTimeout: 'auto' });
+    speak(gather, baseUrl, parseError === 'past' ? 'voice.timePassed' : 'voice.askSpecificTime');
     return res.type('text/xml').send(twiml.toString());
   }
 
-  if (!intent.datetimeISO) {
-    // Try to parse relative date/time from this turn
-    const parsed = parseRelativeDateToISO({ text: speech, timezone: businessTz });
-    if (!parsed) {
-      const gather = twiml.gather({ input: 'speech', action: `${baseUrl}/voice/schedule-time`, method: 'POST', speechTimeout: 'auto' });
-      gather.play(`${baseUrl}/tts?text=${encodeURIComponent('Please provide a specific day and time.')}`);
-      return res.type('text/xml').send(twiml.toString());
-    }
-    intent.datetimeISO = parsed;
-  }
-
   try {
-    let startISO2 = ensureFutureIso(intent.datetimeISO);
-    if (!isWithinBusinessHoursAt(startISO2, { timezone: businessTz, hoursRange: businessHoursRange, daysSpec: businessDaysSpec })) {
-      try { await insertCallEvent({ callSid, type: 'outside_business_hours', payload: { requested: startISO2 } }); } catch (_) {}
-      const msg = `That time is outside business hours. Please choose a time ${businessDaysHuman(businessDaysSpec)} between ${businessHoursRange}.`;
+    const startISO2 = ensureFutureIso(startISO, { timezone: businessTz });
+    const endISO2 = new Date(new Date(startISO2).getTime() + getDefaultService().durationMinutes * 60000).toISOString();
+    if (!isOpenBetween(businessSchedule, startISO2, endISO2)) {
+      await logCallEvent({ callSid, type: 'outside_business_hours', payload: { requested: startISO2 } });
       const gather = twiml.gather({ input: 'speech dtmf', action: `${baseUrl}/voice/schedule-time`, method: 'POST', speechTimeout: 'auto', timeout: 5, numDigits: 1, actionOnEmptyResult: true });
-      if (useTwilioTts || !process.env.OPENAI_API_KEY) { gather.say(msg); } else { gather.play(`${baseUrl}/tts?text=${encodeURIComponent(msg)}`); }
+      speak(gather, baseUrl, 'voice.outsideHours', { hours: describeSchedule(businessSchedule) });
       return res.type('text/xml').send(twiml.toString());
     }
-    console.log('[datetime] now:', getCurrentDateTimeISO(), 'normalized start:', startISO2);
+    console.log('[datetime] now:', getCurrentDateTimeISO(businessTz), 'normalized start:', startISO2);
     const evt = await createEvent({
       summary: `Call with ${businessName}`,
       description: `Booked by phone. Caller said: ${speech}`,
       startISO: startISO2,
-      durationMinutes: 30,
+      durationMinutes: getDefaultService().durationMinutes,
       timezone: businessTz,
     });
     console.log('[calendar] event created', { id: evt.id, start: evt.start });
-    try {
-      await insertCallEvent({ callSid, type: 'calendar_event_created', payload: { id: evt.id, htmlLink: evt.htmlLink, start: evt.start } });
-    } catch (e) {
-      console.error('[persist] insertCallEvent error', e && e.message ? e.message : e);
-    }
-    sessionByCallSid.set(callSid, { state: 'scheduled', eventId: evt.id });
-    const confirm = `Great, I booked you for ${new Date(evt.start.dateTime || startISO2).toLocaleString('en-US', { timeZone: businessTz })}.`;
-    if (useTwilioTts || !process.env.OPENAI_API_KEY) {
-      twiml.say(confirm);
-    } else {
-      twiml.play(`${baseUrl}/tts?text=${encodeURIComponent(confirm)}`);
-    }
-    const gather = twiml.gather({ input: 'speech', action: `${baseUrl}/voice/handle-input`, method: 'POST', speechTimeout: 'auto' });
+    await logCallEvent({ callSid, type: 'calendar_event_created', payload: { id: evt.id, htmlLink: evt.htmlLink, start: evt.start } });
+    await setSession('call', callSid, { state: 'scheduled', eventId: evt.id }, { ttlMs: CALL_SESSION_TTL_MS });
+    speak(twiml, baseUrl, 'voice.booked', { when: formatDateTime(evt.start.dateTime || startISO2, voiceLocale, businessTz) });
     // No follow-up verbal prompt; just listen
+    twiml.gather({ input: 'speech', action: `${baseUrl}/voice/handle-input`, method: 'POST', speechTimeout: 'auto' });
     return res.type('text/xml').send(twiml.toString());
   } catch (err) {
     console.error('[calendar] create error', err && err.message ? err.message : err);
-    if (useTwilioTts || !process.env.OPENAI_API_KEY) {
-      twiml.say('I could not save that appointment. Please try again later.');
-    } else {
-      twiml.play(`${baseUrl}/tts?text=${encodeURIComponent('I could not save that appointment. Please try again later.')}`);
-    }
+    speak(twiml, baseUrl, 'voice.saveFailed');
     return res.type('text/xml').send(twiml.toString());
   }
 });
@@ -319,14 +247,9 @@ app.post('/voice/transfer', express.urlencoded({ extended: false }), twilio.webh
   const proto = (req.headers['x-forwarded-proto'] || req.protocol || 'http');
   const host = req.get('host');
   const baseUrl = `${proto}://${host}`;
-  try { await insertCallEvent({ callSid, type: 'transfer_attempt', payload: { operatorNumber: operatorNumber || null } }); } catch (_) {}
+  await logCallEvent({ callSid, type: 'transfer_attempt', payload: { operatorNumber: operatorNumber || null } });
   if (!operatorNumber) {
-    const msg = 'No operator number is configured.';
-    if (useTwilioTts || !process.env.OPENAI_API_KEY) {
-      twiml.say(msg);
-    } else {
-      twiml.play(`${baseUrl}/tts?text=${encodeURIComponent(msg)}`);
-    }
+    speak(twiml, baseUrl, 'voice.noOperator');
     twiml.redirect(`${baseUrl}/voice/voicemail`);
     return res.type('text/xml').send(twiml.toString());
   }
@@ -342,22 +265,12 @@ app.post('/voice/dial-action', express.urlencoded({ extended: false }), twilio.w
   const proto = (req.headers['x-forwarded-proto'] || req.protocol || 'http');
   const host = req.get('host');
   const baseUrl = `${proto}://${host}`;
-  try { await insertCallEvent({ callSid, type: 'transfer_result', payload: { dialStatus } }); } catch (_) {}
+  await logCallEvent({ callSid, type: 'transfer_result', payload: { dialStatus } });
   if (dialStatus === 'completed') {
-    const msg = 'Thank you for calling.';
-    if (useTwilioTts || !process.env.OPENAI_API_KEY) {
-      twiml.say(msg);
-    } else {
-      twiml.play(`${baseUrl}/tts?text=${encodeURIComponent(msg)}`);
-    }
+    speak(twiml, baseUrl, 'voice.thanks');
     return res.type('text/xml').send(twiml.toString());
   }
-  const msg = 'No one is available to take your call. Please leave a message after the beep.';
-  if (useTwilioTts || !process.env.OPENAI_API_KEY) {
-    twiml.say(msg);
-  } else {
-    twiml.play(`${baseUrl}/tts?text=${encodeURIComponent(msg)}`);
-  }
+  speak(twiml, baseUrl, 'voice.noOneAvailable');
   twiml.redirect(`${baseUrl}/voice/voicemail`);
   return res.type('text/xml').send(twiml.toString());
 });
@@ -369,13 +282,8 @@ app.post('/voice/voicemail', express.urlencoded({ extended: false }), twilio.web
   const proto = (req.headers['x-forwarded-proto'] || req.protocol || 'http');
   const host = req.get('host');
   const baseUrl = `${proto}://${host}`;
-  try { await insertCallEvent({ callSid, type: 'voicemail_started', payload: {} }); } catch (_) {}
-  const msg = `Please leave your name, phone number, and a short message for ${businessName}.`;
-  if (useTwilioTts || !process.env.OPENAI_API_KEY) {
-    twiml.say(msg);
-  } else {
-    twiml.play(`${baseUrl}/tts?text=${encodeURIComponent(msg)}`);
-  }
+  await logCallEvent({ callSid, type: 'voicemail_started', payload: {} });
+  speak(twiml, baseUrl, 'voice.voicemail');
   twiml.record({ maxLength: 120, playBeep: true, action: `${baseUrl}/voice/voicemail-status`, method: 'POST', recordingStatusCallback: `${baseUrl}/voice/voicemail-status`, recordingStatusCallbackEvent: ['completed'] });
   return res.type('text/xml').send(twiml.toString());
 });
@@ -385,13 +293,13 @@ app.post('/voice/voicemail-status', express.urlencoded({ extended: false }), asy
   const recordingUrl = (req.body && (req.body.RecordingUrl || req.body.RecordingUrl0)) || (req.query && (req.query.RecordingUrl || req.query.RecordingUrl0)) || '';
   const recordingSid = (req.body && req.body.RecordingSid) || (req.query && req.query.RecordingSid) || '';
   const duration = (req.body && req.body.RecordingDuration) || (req.query && req.query.RecordingDuration) || '';
-  try {
-    await insertCallEvent({ callSid, type: 'voicemail_saved', payload: { recordingSid, recordingUrl, duration } });
-  } catch (_) {}
+  await logCallEvent({ callSid, type: 'voicemail_saved', payload: { recordingSid, recordingUrl, duration } });
   res.type('text/xml').send(new twilio.twiml.VoiceResponse().toString());
 });
 
 // Debug endpoints (local/json tests)
+// How a caller's answer is read (services/datetime.js): every date / time mention, and the start time
+// the voice flow would book (null, with error no_time or past: it would ask again)
 app.all('/debug/ai', async (req, res) => {
   try {
     if (req.method !== 'POST') {
@@ -399,8 +307,10 @@ app.all('/debug/ai', async (req, res) => {
     }
     const text = String((req.body && req.body.text) || '').trim();
     if (!text) return res.status(400).json({ error: 'text required' });
-    const intent = await inferIntentFromText(text, { businessName, timezone: businessTz });
-    return res.json({ ok: true, intent });
+    const mentions = parseDateTimes(text, { timezone: businessTz })
+      .map((m) => ({ ...m, start: m.start.toISO({ suppressMilliseconds: true }) }));
+    const { startISO, error } = parseRelativeDate({ text, timezone: businessTz });
+    return res.json({ ok: true, now: getCurrentDateTimeISO(businessTz), timezone: businessTz, mentions, startISO, error: error || null });
   } catch (err) {
     return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
   }
@@ -466,13 +376,13 @@ app.get('/oauth/google/start', (req, res) => {
   }
 })();
 
-// Create a Google Calendar event (debug/testing)
+// Create a calendar event (debug/testing)
 app.post('/debug/calendar/create', async (req, res) => {
   try {
     const summary = String(req.body.summary || 'Test Event');
     const description = String(req.body.description || 'Created via /debug/calendar/create');
     const startISO = String(req.body.startISO || '').trim();
-    const durationMinutes = Number.isFinite(Number(req.body.durationMinutes)) ? Number(req.body.durationMinutes) : 30;
+    const durationMinutes = Number.isFinite(Number(req.body.durationMinutes)) ? Number(req.body.durationMinutes) : getDefaultService().durationMinutes;
     const timezone = String(req.body.timezone || businessTz);
 
     if (!startISO) {
@@ -491,7 +401,8 @@ app.get('/debug/calendar/list', async (req, res) => {
   try {
     const maxResults = Number(req.query.maxResults || 10);
     const timeMin = String(req.query.timeMin || '').trim() || undefined;
-    const items = await listUpcomingEvents({ maxResults, timeMin });
+    const calendarId = String(req.query.calendarId || getDefaultStaff().calendarId);
+    const items = await listUpcomingEvents({ maxResults, timeMin, calendarId });
     return res.json({ ok: true, items });
   } catch (err) {
     return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
@@ -503,118 +414,569 @@ app.get('/debug/calendar/get', async (req, res) => {
   try {
     const id = String(req.query.id || '').trim();
     if (!id) return res.status(400).json({ ok: false, error: 'id required' });
-    const event = await getEventById(id);
+    const event = await getEventById(id, { calendarId: String(req.query.calendarId || getDefaultStaff().calendarId) });
     return res.json({ ok: true, event });
   } catch (err) {
     return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
   }
 });
 
+// Tool routes are only for our bridge (services/hume-tool-handler.js), which sends TOOL_BRIDGE_SECRET
+// as a bearer token; unset disables them. It sends the call's CallSid and Hume chat id with every tool
+// call (the first one links them). The caller's number is never taken from the request: it is looked
+// up from those ids (the Twilio From remembered at /voice/answer) into req.callerPhone
+app.use('/tools/hume', async (req, res, next) => {
+  const secret = process.env.TOOL_BRIDGE_SECRET;
+  if (!secret) return res.status(503).json({ ok: false, error: 'TOOL_BRIDGE_SECRET not configured' });
+  if (req.get('authorization') !== `Bearer ${secret}`) return res.status(401).json({ ok: false, error: 'unauthorized' });
+  const body = req.body || {};
+  delete body.callerPhone;
+  const { callSid, humeChatId } = body;
+  if (callSid && humeChatId) {
+    await linkHumeChat({ callSid, chatId: humeChatId, source: 'tool' })
+      .catch((err) => console.error('[hume-link] tool link error:', err?.message || err));
+  }
+  try {
+    req.callerPhone = await getCallerPhone({ callSid, humeChatId });
+  } catch (err) {
+    console.error('[hume-tool-bridge] caller lookup error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+  next();
+});
+
+// --- Hume Tool Bridge: check_availability ---
+// Free/busy query against the calendar, returning open slots within business hours.
+// Parameters (JSON): { date?, days?, service?, staff?, timezone?, maxSlots? }
+// staff is a barber name/id or "any" (default); each slot lists which barbers are free.
+// Tiered services are priced for the caller of the call (req.callerPhone).
+app.post('/tools/hume/check-availability', async (req, res) => {
+  console.log('[hume-tool-bridge] check_availability called');
+  console.log('[hume-tool-bridge] raw body:', JSON.stringify(req.body, null, 2));
+
+  try {
+    const result = await findOpenSlots({ ...req.body, callerPhone: req.callerPhone });
+    if (!result.ok) {
+      console.error('[hume-tool-bridge] check_availability rejected:', result.error);
+      return res.status(400).json(result);
+    }
+    console.log(`[hume-tool-bridge] ✅ ${result.slots.length} open slot(s) found`);
+    return res.json(result);
+  } catch (err) {
+    console.error('[hume-tool-bridge] ❌ error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
 // --- Hume Tool Bridge: book_appointment ---
-// Accepts Hume tool parameters and creates a Google Calendar event.
-// Parameters (JSON): { calendarId?, date, startTime, endTime, timezone?, summary?, description?, attendees?[] }
+// Accepts Hume tool parameters and creates a calendar event (services/booking.js).
+// Parameters (JSON): { date, startTime, service?, staff?, customerName?, language?, timezone?, summary?, description?, attendees?[], callSid?, humeChatId? }
+// The end time is computed from the service's duration (see services/service-catalog.js).
+// staff is a barber name/id or "any" (default: first barber free at that time, see services/staff.js).
+// language ("en", "es", "Spanish", ...) is stored on the event and picks the language of later texts.
+// callSid/humeChatId come from the bridge's call context; they and the caller's number (req.callerPhone) are stored on the event.
+// Idempotent per call: repeating the call's booking for the same start time returns the existing event.
+// Taken or out-of-hours slots answer 409 with the nearest alternatives.
 app.post('/tools/hume/book-appointment', async (req, res) => {
   console.log('[hume-tool-bridge] book_appointment called');
   console.log('[hume-tool-bridge] raw body:', JSON.stringify(req.body, null, 2));
-  
+
   try {
-    const calendarId = String(req.body.calendarId || 'primary').trim();
-    const date = String(req.body.date || '').trim(); // YYYY-MM-DD
-    const startTime = String(req.body.startTime || '').trim(); // HH:mm
-    const endTime = String(req.body.endTime || '').trim(); // HH:mm
-    const timezone = String(req.body.timezone || businessTz);
-    const summary = String(req.body.summary || `Call with ${businessName}`);
-    const description = String(req.body.description || 'Booked via Hume tool book_appointment');
-    const attendees = Array.isArray(req.body.attendees) ? req.body.attendees : undefined;
+    const result = await bookAppointment({ ...req.body, callerPhone: req.callerPhone, via: 'tool' });
+    if (!result.ok) {
+      console.warn('[hume-tool-bridge] book_appointment rejected:', result.error);
+      return res.status(Array.isArray(result.alternatives) ? 409 : 400).json(result);
+    }
+    console.log('[hume-tool-bridge] ✅ booked:', { id: result.event.id, start: result.event.start, alreadyBooked: Boolean(result.alreadyBooked) });
+    return res.json(result);
+  } catch (err) {
+    console.error('[hume-tool-bridge] ❌ error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+// --- Hume Tool Bridge: get_customer_profile ---
+// Who is calling, from their history: name, tier (sets the price), visits and preferred barber.
+// Parameters (JSON): { callSid?, humeChatId? }; the profile is the caller's of that call (req.callerPhone)
+app.post('/tools/hume/get-customer-profile', async (req, res) => {
+  console.log('[hume-tool-bridge] get_customer_profile called');
+  try {
+    const customer = await getCustomer(req.callerPhone);
+    if (!customer) return res.status(400).json({ ok: false, error: 'caller_unknown' });
+    const { known, name, tier, visitCount, lastVisitAt, preferredStaff } = customer;
+    return res.json({
+      ok: true,
+      known,
+      name,
+      tier,
+      visitCount,
+      lastVisitAt,
+      preferredStaff,
+      message: known
+        ? `${name || 'This caller'} is a ${tier} customer with ${visitCount} visit(s)${preferredStaff ? `, usually with ${preferredStaff.name}` : ''}.`
+        : 'New caller: First-Time pricing applies.',
+    });
+  } catch (err) {
+    console.error('[hume-tool-bridge] ❌ error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+// --- Hume Tool Bridge: existing appointments (find / reschedule / cancel) ---
+// All three need the caller's number, looked up from the call (req.callerPhone, see the middleware above).
+// Events are matched on the callerPhone tag written at booking time, so callers only
+// ever see or change their own appointments; anything else is reported as not found.
+function requireCallerPhone(req, res) {
+  const callerPhone = normalizePhone(req.callerPhone);
+  if (!callerPhone) {
+    console.error('[hume-tool-bridge] caller unknown for call', req.body.callSid || req.body.humeChatId || '(no ids)');
+    res.status(400).json({ ok: false, error: 'caller_unknown' });
+    return null;
+  }
+  return callerPhone;
+}
+
+// Looks the event up on each barber's calendar; returns { event, calendarId } or null
+async function getOwnedEvent(eventId, callerPhone) {
+  if (!eventId) return null;
+  for (const calendarId of getStaffCalendarIds()) {
+    try {
+      const event = await getEventById(eventId, { calendarId });
+      if (isOwnedBy(event, callerPhone)) return { event, calendarId };
+    } catch (err) {
+      if (err?.code === 404 || err?.code === 410) continue;
+      throw err;
+    }
+  }
+  return null;
+}
 
-    console.log('[hume-tool-bridge] parsed params:', { calendarId, date, startTime, endTime, timezone, summary, description, attendees });
+app.post('/tools/hume/find-my-appointments', async (req, res) => {
+  console.log('[hume-tool-bridge] find_my_appointments called');
+  try {
+    const callerPhone = requireCallerPhone(req, res);
+    if (!callerPhone) return;
+    const timezone = String(req.body.timezone || businessTz);
 
-    if (!date || !startTime || !endTime) {
-      console.error('[hume-tool-bridge] missing required params');
-      return res.status(400).json({ ok: false, error: 'date, startTime, endTime required' });
+    const events = [];
+    for (const calendarId of getStaffCalendarIds()) {
+      events.push(...await findEventsByPrivateProperty({ key: 'callerPhone', value: callerPhone, calendarId }));
     }
+    const appointments = events
+      .filter((e) => isOwnedBy(e, callerPhone))
+      .map((e) => toAppointmentSummary(e, timezone))
+      .sort((a, b) => new Date(a.start) - new Date(b.start));
+    console.log(`[hume-tool-bridge] ✅ ${appointments.length} appointment(s) for ${callerPhone}`);
+    return res.json({
+      ok: true,
+      appointments,
+      message: appointments.length
+        ? `Upcoming appointments: ${appointments.map((a) => (a.staff ? `${a.label} with ${a.staff.name}` : a.label)).join('; ')}.`
+        : 'No upcoming appointments found for this phone number.',
+    });
+  } catch (err) {
+    console.error('[hume-tool-bridge] ❌ error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
 
-    // Build local datetime using luxon to avoid cross-timezone date shifts
-    const { DateTime } = require('luxon');
-    const nowTz = DateTime.now().setZone(timezone);
+// Parameters (JSON): { eventId, date, startTime, timezone?, callSid?, humeChatId? }
+// The new end time comes from the booked service's duration, and its buffer is kept clear like
+// at booking time. The appointment stays with the same barber; a time already gone by is refused
+// (409 in_the_past, with alternatives) like a taken one.
+app.post('/tools/hume/reschedule-appointment', async (req, res) => {
+  console.log('[hume-tool-bridge] reschedule_appointment called');
+  console.log('[hume-tool-bridge] raw body:', JSON.stringify(req.body, null, 2));
+  try {
+    const callerPhone = requireCallerPhone(req, res);
+    if (!callerPhone) return;
+    const timezone = String(req.body.timezone || businessTz);
+    const eventId = String(req.body.eventId || '').trim();
+    const date = String(req.body.date || '').trim();
+    const startTime = String(req.body.startTime || '').trim();
 
-    function parseDate(dStr) {
-      // Accept YYYY-MM-DD, MM/DD/YYYY, or MM/DD (assume current year)
-      if (/^\d{4}-\d{2}-\d{2}$/.test(dStr)) {
-        const [y, m, d] = dStr.split('-').map((n) => Number(n));
-        return { year: y, month: m, day: d };
-      }
-      const mmddyyyy = DateTime.fromFormat(dStr, 'M/d/yyyy', { zone: timezone });
-      if (mmddyyyy.isValid) return { year: mmddyyyy.year, month: mmddyyyy.month, day: mmddyyyy.day };
-      const mmdd = DateTime.fromFormat(dStr, 'M/d', { zone: timezone }).set({ year: nowTz.year });
-      if (mmdd.isValid) return { year: mmdd.year, month: mmdd.month, day: mmdd.day };
-      // Fallback: try ISO parse
-      const iso = DateTime.fromISO(dStr, { zone: timezone });
-      if (iso.isValid) return { year: iso.year, month: iso.month, day: iso.day };
-      return null;
+    if (!eventId || !date || !startTime) {
+      return res.status(400).json({ ok: false, error: 'eventId, date, startTime required' });
     }
 
-    function parseTime(tStr) {
-      // Accept HH:mm, H:mm, h:mm a, h a
-      const candidates = ['H:mm', 'h:mm a', 'h a', 'H'];
-      for (const fmt of candidates) {
-        const dt = DateTime.fromFormat(tStr.trim().toLowerCase(), fmt, { zone: timezone });
-        if (dt.isValid) return { hour: dt.hour, minute: dt.minute };
-      }
-      // Fallback simple split (HH:mm)
-      const [hh, mm] = tStr.split(':').map((n) => Number(n));
-      if (Number.isFinite(hh)) return { hour: hh, minute: Number.isFinite(mm) ? mm : 0 };
-      return null;
+    const owned = await getOwnedEvent(eventId, callerPhone);
+    if (!owned) {
+      return res.status(404).json({ ok: false, error: 'appointment_not_found', message: 'I could not find that appointment for this phone number.' });
     }
+    const { event, calendarId } = owned;
+    const staffMember = getStaffById(getBookingTags(event).staffId) || getStaff().find((m) => m.calendarId === calendarId);
 
-    const dParts = parseDate(date);
-    const sParts = parseTime(startTime);
-    const eParts = parseTime(endTime);
-    console.log('[hume-tool-bridge] date parts:', dParts, 'start time parts:', sParts, 'end time parts:', eParts);
-    
-    if (!dParts || !sParts || !eParts) {
-      console.error('[hume-tool-bridge] invalid date/time format');
+    const dParts = parseLocalDate(date, timezone);
+    const sParts = parseLocalTime(startTime, timezone, { strict24h: true });
+    if (!dParts || !sParts) {
       return res.status(400).json({ ok: false, error: 'Invalid date or time format' });
     }
 
-    let startDt = DateTime.fromObject({ ...dParts, ...sParts, second: 0, millisecond: 0 }, { zone: timezone });
-    let endDt = DateTime.fromObject({ ...dParts, ...eParts, second: 0, millisecond: 0 }, { zone: timezone });
-    if (endDt <= startDt) endDt = endDt.plus({ days: 1 });
-
-    const startLocal = startDt.toISO();
-    const endLocal = endDt.toISO();
-    console.log('[hume-tool-bridge] computed ISO times:', { startLocal, endLocal });
-
-    // Google API client from existing oauth env
-    const auth = (function getAuth() {
-      const { GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI, GOOGLE_REFRESH_TOKEN } = process.env;
-      const o = new google.auth.OAuth2(GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI);
-      o.setCredentials({ refresh_token: GOOGLE_REFRESH_TOKEN });
-      return o;
-    })();
-    const calendar = google.calendar({ version: 'v3', auth });
-    const body = {
-      summary,
-      description,
-      start: { dateTime: startLocal, timeZone: timezone },
-      end: { dateTime: endLocal, timeZone: timezone },
-    };
-    if (attendees && attendees.length) body.attendees = attendees.map((email) => ({ email }));
-    
-    console.log('[hume-tool-bridge] calling Google Calendar API with body:', JSON.stringify(body, null, 2));
-    const resp = await calendar.events.insert({ calendarId, requestBody: body, sendUpdates: 'all' });
-    const event = resp.data;
+    const service = bookedService(event);
+    const oldStart = DateTime.fromISO(event.start.dateTime, { zone: timezone });
+    const oldEnd = DateTime.fromISO(event.end.dateTime, { zone: timezone });
+    const startDt = DateTime.fromObject({ ...dParts, ...sParts, second: 0, millisecond: 0 }, { zone: timezone });
+    const endDt = startDt.plus({ minutes: service.durationMinutes });
+
+    // The appointment's current slot does not count as a conflict with itself
+    const slotCheck = await checkSlot({
+      startISO: startDt.toISO(),
+      endISO: endDt.toISO(),
+      timezone,
+      calendarId,
+      schedule: schedulesForStaff(staffMember, businessSchedule),
+      bufferMinutes: service.bufferMinutes,
+      ignore: [{ start: oldStart.toISO(), end: oldEnd.toISO() }],
+    });
+    if (!slotCheck.ok) {
+      return res.status(409).json({ ok: false, error: slotCheck.reason, message: slotRejectionMessage(slotCheck), alternatives: slotCheck.alternatives });
+    }
+
+    const updated = await updateEvent(eventId, {
+      start: { dateTime: startDt.toISO(), timeZone: timezone },
+      end: { dateTime: endDt.toISO(), timeZone: timezone },
+    }, { calendarId });
+    console.log('[hume-tool-bridge] ✅ event rescheduled:', { id: updated.id, start: updated.start, end: updated.end });
+    await persist('recordAppointment', () => recordAppointment({ event: updated, calendarId, status: 'rescheduled' }));
+    await logCallEvent({ callSid: req.body.callSid || null, type: 'appointment_rescheduled', payload: { eventId, calendarId, from: event.start, to: updated.start } });
+    return res.json({ ok: true, appointment: toAppointmentSummary(updated, timezone) });
+  } catch (err) {
+    console.error('[hume-tool-bridge] ❌ error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
 
-    console.log('[hume-tool-bridge] ✅ event created:', { id: event.id, htmlLink: event.htmlLink, start: event.start, end: event.end });
-    return res.json({ ok: true, event: { id: event.id, htmlLink: event.htmlLink, start: event.start, end: event.end, summary: event.summary } });
+// Parameters (JSON): { eventId, callSid?, humeChatId? }
+app.post('/tools/hume/cancel-appointment', async (req, res) => {
+  console.log('[hume-tool-bridge] cancel_appointment called');
+  try {
+    const callerPhone = requireCallerPhone(req, res);
+    if (!callerPhone) return;
+    const timezone = String(req.body.timezone || businessTz);
+    const eventId = String(req.body.eventId || '').trim();
+    if (!eventId) return res.status(400).json({ ok: false, error: 'eventId required' });
+
+    const owned = await getOwnedEvent(eventId, callerPhone);
+    if (!owned) {
+      return res.status(404).json({ ok: false, error: 'appointment_not_found', message: 'I could not find that appointment for this phone number.' });
+    }
+    const { event, calendarId } = owned;
+
+    if (isLateCancel(event)) {
+      await recordOutcome({ event, calendarId, outcome: 'late_cancel', source: 'call', detail: req.body.callSid, tagEvent: false });
+    }
+    await deleteEvent(eventId, { calendarId });
+    console.log('[hume-tool-bridge] ✅ event cancelled:', eventId);
+    await persist('recordAppointment', () => recordAppointment({ event, calendarId, status: 'cancelled' }));
+    await logCallEvent({ callSid: req.body.callSid || null, type: 'appointment_cancelled', payload: { eventId, calendarId, start: event.start } });
+    return res.json({ ok: true, cancelled: toAppointmentSummary(event, timezone) });
   } catch (err) {
     console.error('[hume-tool-bridge] ❌ error:', err?.message || err);
     return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
   }
 });
 
+// --- Add-to-calendar: signed .ics download for a booking ---
+// Linked from the confirmation SMS as /appointments/<eventId>.ics?s=<staffId>&sig=<hmac>
+// (see services/appointment-links.js). Bad signatures and unknown events both return 404.
+app.get('/appointments/:id.ics', async (req, res) => {
+  const eventId = String(req.params.id || '');
+  const staffId = String(req.query.s || '');
+  if (!verifyAppointmentSignature(eventId, staffId, req.query.sig)) {
+    return res.status(404).type('text/plain').send('Not found');
+  }
+  try {
+    const member = getStaffById(staffId);
+    if (!member) return res.status(404).type('text/plain').send('Not found');
+    const event = await getEventById(eventId, { calendarId: member.calendarId });
+    if (event.status === 'cancelled') return res.status(410).type('text/plain').send('This appointment was cancelled');
+
+    const ics = eventToICalendar(customerCalendarEvent(event), { method: 'PUBLISH' });
+    res.set('Content-Disposition', 'attachment; filename="appointment.ics"');
+    return res.type('text/calendar; charset=utf-8').send(ics);
+  } catch (err) {
+    if (err?.code === 404 || err?.code === 410) return res.status(404).type('text/plain').send('Not found');
+    console.error('[appointments] ics error:', err?.message || err);
+    return res.status(500).type('text/plain').send('Error');
+  }
+});
+
+// What the customer sees in their own calendar: no internal tags or booking notes
+function customerCalendarEvent(event) {
+  const tags = getBookingTags(event);
+  const service = findService(tags.serviceId) || getDefaultService();
+  const appt = toAppointmentSummary(event, businessTz);
+  const minutes = Math.round((new Date(appt.end) - new Date(appt.start)) / 60000);
+  const details = [
+    `${service.name} (${minutes} min)`,
+    appt.staff ? `Barber: ${appt.staff.name}` : null,
+    businessAddress || null,
+    twilioPhoneNumber ? `Questions or changes: ${twilioPhoneNumber}` : null,
+  ].filter(Boolean);
+  return {
+    id: event.id,
+    iCalUID: event.iCalUID || event.id,
+    updated: event.updated,
+    summary: `${service.name} at ${businessName}${appt.staff ? ` with ${appt.staff.name}` : ''}`,
+    description: details.join('\n'),
+    location: businessAddress || undefined,
+    start: event.start,
+    end: event.end,
+  };
+}
+
+// Signed add-to-calendar link for a booking, or null when links are not configured
+function icsLinkForEvent(event) {
+  const staffId = getBookingTags(event).staffId || getDefaultStaff().id;
+  return appointmentIcsUrl({ eventId: event.id, staffId });
+}
+
+// --- Inbound SMS: replies to appointment texts ---
+// Configure this URL as the Messaging webhook ("A message comes in") on the Twilio number.
+// Keywords: C/CONFIRM, CANCEL, RESCHEDULE, BOOK (see services/sms-inbound.js); replies are TwiML.
+// Other texts from a number with nothing booked start the text-to-book conversation (services/sms-booking.js).
+app.post('/sms/inbound', express.urlencoded({ extended: false }), twilio.webhook({ validate: validateTwilio }), async (req, res) => {
+  const from = req.body.From;
+  const body = req.body.Body;
+  console.log(`[sms-inbound] from ${from}: ${JSON.stringify(body)}`);
+  const twiml = new twilio.twiml.MessagingResponse();
+  const phone = normalizePhone(from) || from;
+  await persist('insertMessage', () => insertMessage({ phone, channel: 'sms', direction: 'inbound', body }));
+  let reply = null;
+  try {
+    const result = await handleInboundSms({ from, body });
+    console.log(`[sms-inbound] ${from} → ${result.action}`);
+    reply = result.reply;
+    await logCallEvent({ callSid: null, type: 'sms_inbound', payload: { from: phone, action: result.action } });
+  } catch (err) {
+    console.error('[sms-inbound] ❌ error:', err?.message || err);
+    reply = t('sms.error');
+  }
+  if (reply) {
+    twiml.message(reply);
+    await persist('insertMessage', () => insertMessage({ phone, channel: 'sms', direction: 'outbound', body: reply }));
+  }
+  return res.type('text/xml').send(twiml.toString());
+});
+
+// --- Admin API ---
+// Requires "Authorization: Bearer <ADMIN_TOKEN>"; admin routes are disabled while ADMIN_TOKEN is unset.
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(503).json({ ok: false, error: 'ADMIN_TOKEN not configured' });
+  if (req.get('authorization') !== `Bearer ${token}`) return res.status(401).json({ ok: false, error: 'unauthorized' });
+  next();
+}
+
+// SMS consent status and audit trail for one number (when and how consent was given or withdrawn)
+app.get('/admin/sms-consent/:phone', requireAdmin, async (req, res) => {
+  try {
+    const phone = normalizePhone(req.params.phone);
+    if (!phone) return res.status(400).json({ ok: false, error: 'phone required' });
+    return res.json({ ok: true, phone, consent: await getConsent(phone), history: await getConsentHistory(phone) });
+  } catch (err) {
+    console.error('[admin] sms-consent error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Customer profile: name, visits, tier and preferred barber (services/customers.js)
+app.get('/admin/customers/:phone', requireAdmin, async (req, res) => {
+  try {
+    const customer = await getCustomer(req.params.phone);
+    if (!customer) return res.status(400).json({ ok: false, error: 'phone required' });
+    return res.json({ ok: true, customer });
+  } catch (err) {
+    console.error('[admin] customer error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Body (JSON): { name?, customerSince? (YYYY-MM-DD) }; customerSince imports customers who predate this system
+app.put('/admin/customers/:phone', requireAdmin, async (req, res) => {
+  try {
+    const { name, customerSince } = req.body || {};
+    const customer = await updateCustomer(req.params.phone, { name, customerSince });
+    if (!customer) return res.status(400).json({ ok: false, error: 'phone required' });
+    return res.json({ ok: true, customer });
+  } catch (err) {
+    if (/customerSince/.test(err?.message)) return res.status(400).json({ ok: false, error: err.message });
+    console.error('[admin] customer update error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Appointment outcomes (attended / no_show / late_cancel) for one customer, and the booking policy they lead to
+app.get('/admin/customers/:phone/outcomes', requireAdmin, async (req, res) => {
+  try {
+    const phone = normalizePhone(req.params.phone);
+    if (!phone) return res.status(400).json({ ok: false, error: 'phone required' });
+    return res.json({ ok: true, phone, outcomes: await getOutcomeHistory(phone), policy: await getBookingPolicy(phone) });
+  } catch (err) {
+    console.error('[admin] outcomes error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Record what happened to a booking. Body (JSON): { outcome: attended | no_show | late_cancel, detail? }
+// A no-show gets the rebooking follow-up text right away (outside quiet hours; otherwise on the next outcome pass).
+app.post('/admin/appointments/:eventId/outcome', requireAdmin, async (req, res) => {
+  try {
+    const eventId = String(req.params.eventId || '');
+    const outcome = String(req.body?.outcome || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (!OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ ok: false, error: `outcome must be one of ${OUTCOMES.join(', ')}` });
+    }
+    let found = null;
+    for (const calendarId of getStaffCalendarIds()) {
+      try {
+        found = { event: await getEventById(eventId, { calendarId }), calendarId };
+        break;
+      } catch (err) {
+        if (err?.code === 404 || err?.code === 410) continue;
+        throw err;
+      }
+    }
+    if (!found || !getBookingTags(found.event).callerPhone) {
+      return res.status(404).json({ ok: false, error: 'appointment_not_found' });
+    }
+    const entry = await recordOutcome({ ...found, outcome, source: 'admin', detail: req.body?.detail });
+    let followUpSent = false;
+    if (outcome === 'no_show') {
+      const event = await getEventById(eventId, { calendarId: found.calendarId });
+      followUpSent = await sendNoShowFollowUp({ event, calendarId: found.calendarId, ...notifyDeps });
+    }
+    return res.json({ ok: true, outcome: entry, followUpSent });
+  } catch (err) {
+    console.error('[admin] outcome error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+// --- Call transcripts (services/transcripts.js); need DATABASE_URL ---
+// Speaker turns, tool calls and the bookings made on one call
+app.get('/api/calls/:callSid/transcript', requireAdmin, async (req, res) => {
+  try {
+    if (!isDbConfigured()) return res.status(503).json({ ok: false, error: 'DATABASE_URL not configured' });
+    const transcript = await getTranscript(String(req.params.callSid || ''));
+    if (!transcript) return res.status(404).json({ ok: false, error: 'transcript_not_found' });
+    return res.json({ ok: true, transcript });
+  } catch (err) {
+    console.error('[api] transcript error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Full-text search. Query: q (required; "quoted phrase", OR, -word), phone, from / to (ISO dates), role, limit (max 100)
+app.get('/api/transcripts/search', requireAdmin, async (req, res) => {
+  try {
+    if (!isDbConfigured()) return res.status(503).json({ ok: false, error: 'DATABASE_URL not configured' });
+    const { q, phone, from, to, role, limit } = req.query;
+    if (!String(q || '').trim()) return res.status(400).json({ ok: false, error: 'q required' });
+    if (phone && !normalizePhone(phone)) return res.status(400).json({ ok: false, error: 'invalid phone' });
+    if ([from, to].some((d) => d && Number.isNaN(Date.parse(d)))) return res.status(400).json({ ok: false, error: 'from / to must be ISO dates' });
+    if (role && !TRANSCRIPT_ROLES.includes(role)) {
+      return res.status(400).json({ ok: false, error: `role must be one of ${TRANSCRIPT_ROLES.join(', ')}` });
+    }
+    const results = await searchTranscripts({ q, phone, from, to, role, limit });
+    return res.json({ ok: true, count: results.length, results });
+  } catch (err) {
+    console.error('[api] transcript search error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+// --- Post-call dead-letter queue (services/dead-letters.js) ---
+// Query: status = pending (default) | resolved | all, limit
+app.get('/admin/post-call/dead-letters', requireAdmin, async (req, res) => {
+  try {
+    const status = String(req.query.status || 'pending');
+    if (status !== 'all' && !DEAD_LETTER_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: `status must be one of ${DEAD_LETTER_STATUSES.join(', ')}, all` });
+    }
+    const deadLetters = await listDeadLetters({ status, limit: req.query.limit });
+    return res.json({ ok: true, count: deadLetters.length, deadLetters });
+  } catch (err) {
+    console.error('[admin] dead letters error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Run post-call processing for a failed call again. Body (JSON): { humeChatId? } to name the chat when
+// it could not be matched to the call automatically (defaults to the chat the failed attempt used)
+app.post('/admin/post-call/:callSid/retry', requireAdmin, async (req, res) => {
+  try {
+    const callSid = String(req.params.callSid || '');
+    const deadLetter = await getDeadLetter(callSid);
+    if (!deadLetter) return res.status(404).json({ ok: false, error: 'dead_letter_not_found' });
+    if (deadLetter.status === 'resolved') return res.status(409).json({ ok: false, error: 'already_resolved', deadLetter });
+    const humeChatId = req.body?.humeChatId ? String(req.body.humeChatId) : deadLetter.humeChatId || undefined;
+    const result = await processPostCallBooking(callSid, deadLetter.callerPhone, { humeChatId });
+    if (result.error === 'already in progress') return res.status(409).json({ ...result, deadLetter });
+    return res.status(result.ok ? 200 : 502).json({ ...result, deadLetter: await getDeadLetter(callSid) });
+  } catch (err) {
+    console.error('[admin] post-call retry error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+// Test mode only (POST_CALL_TEST_MODE): book from a supplied transcript, as if a call had just ended.
+// Body (JSON): { phone, callSid?, messages: [{ role: user | assistant, content }] }
+app.post('/admin/post-call/test', requireAdmin, async (req, res) => {
+  if (!postCallTestMode) return res.status(404).json({ ok: false, error: 'post-call test mode is off' });
+  try {
+    const { phone, messages } = req.body || {};
+    if (!normalizePhone(phone)) return res.status(400).json({ ok: false, error: 'phone required' });
+    if (!Array.isArray(messages) || !messages.length) return res.status(400).json({ ok: false, error: 'messages required' });
+    const callSid = String(req.body.callSid || `TEST${Date.now()}`);
+    const conversation = {
+      event_messages: messages.map((m) => ({ role: m.role === 'assistant' ? 'assistant' : 'user', message: { content: String(m.content || '') } })),
+    };
+    console.warn(`[post-call-booking][${callSid}] test mode: supplied transcript (${messages.length} messages)`);
+    const result = await processPostCallBooking(callSid, phone, { conversation });
+    return res.status(result.ok ? 200 : 502).json({ ...result, callSid });
+  } catch (err) {
+    console.error('[admin] post-call test error:', err?.message || err);
+    return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+  }
+});
+
+// --- Appointment reminders ---
+// Reminders and missed-call text-backs go through the same consent-checked sendSms as the booking
+// confirmation; each send is logged as a call event
+const notifyDeps = {
+  sendSms,
+  logEvent: logCallEvent,
+};
+
+// Scheduler hooks for serverless deployments (e.g. Vercel Cron, or any cron hitting these URLs every few minutes):
+// /cron/reminders sends due reminders, /cron/outcomes records appointment outcomes and no-show follow-ups.
+// Requires "Authorization: Bearer <CRON_SECRET>"; the routes are disabled while CRON_SECRET is unset.
+function cronHandler(tag, run) {
+  return async (req, res) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) return res.status(503).json({ ok: false, error: 'CRON_SECRET not configured' });
+    if (req.get('authorization') !== `Bearer ${secret}`) return res.status(401).json({ ok: false, error: 'unauthorized' });
+    try {
+      const result = await run(notifyDeps);
+      return res.json({ ok: true, ...result });
+    } catch (err) {
+      console.error(`[${tag}] cron error:`, err?.message || err);
+      return res.status(500).json({ ok: false, error: err && err.message ? err.message : String(err) });
+    }
+  };
+}
+const handleReminderCron = cronHandler('reminders', runReminders);
+const handleOutcomeCron = cronHandler('outcomes', runOutcomes);
+app.get('/cron/reminders', handleReminderCron);
+app.post('/cron/reminders', handleReminderCron);
+app.get('/cron/outcomes', handleOutcomeCron);
+app.post('/cron/outcomes', handleOutcomeCron);
+
 // --- Post-Call Processing: Twilio Status Webhook ---
 // Configure this URL in your Twilio phone number settings as the "Status Callback URL"
+// Completed calls are booked from the transcript; calls that end without a booking (no-answer, busy,
+// failed, canceled, or completed with nothing booked) get a text-back with open times (services/missed-call.js)
 app.post('/voice/call-status', express.urlencoded({ extended: false }), async (req, res) => {
   const callSid = req.body.CallSid;
   const callStatus = req.body.CallStatus;
@@ -623,13 +985,18 @@ app.post('/voice/call-status', express.urlencoded({ extended: false }), async (r
   const duration = req.body.CallDuration;
 
   console.log(`[call-status] ${callSid} status: ${callStatus}, from: ${from}, duration: ${duration}s`);
+  await persist('upsertCall', () => upsertCall({ callSid, from, to, status: callStatus, durationSeconds: duration }));
+  await logCallEvent({ callSid, type: 'call_status', payload: { status: callStatus, duration: duration || null } });
 
-  // Only process completed calls
   if (callStatus === 'completed' && HUME_API_KEY && HUME_CONFIG_ID) {
     // Process appointment booking asynchronously (don't block webhook response)
     processPostCallBooking(callSid, from).catch(err => {
       console.error(`[call-status] error processing call ${callSid}:`, err?.message || err);
     });
+  } else if (MISSED_CALL_STATUSES.includes(callStatus)) {
+    textBackMissedCall({ callSid, phone: from, reason: callStatus, ...notifyDeps }).catch(err => {
+      console.error(`[call-status] missed-call text-back failed for ${callSid}:`, err?.message || err);
+    });
   }
 
   res.status(204).end();
@@ -637,135 +1004,251 @@ app.post('/voice/call-status', express.urlencoded({ extended: false }), async (r
 
 /**
  * Process post-call appointment booking
- * 1. Fetch conversation from Hume
+ * 1. Fetch conversation from Hume (the chat linked to this call; never a guess)
  * 2. Parse appointment details
- * 3. Book appointment if details found
- * 4. Send SMS confirmation
+ * 3. Reconcile with any booking made during the call, otherwise book
+ * 4. Send SMS confirmation (once per booking)
+ * 5. Time taken meanwhile (no barber free): text the nearest open times to book by reply
+ * 6. Nothing booked: text the caller the next open times instead
+ * A failure goes to the dead-letter queue (services/dead-letters.js) with the stage it failed at,
+ * for a retry from /admin/post-call/:callSid/retry. So does a taken time with nothing to offer.
+ * @param {object} [opts]
+ * @param {string} [opts.humeChatId] - chat to use (admin retry after checking the chat by hand)
+ * @param {object} [opts.conversation] - transcript to use instead of Hume (test mode only)
+ * @returns {Promise<{ ok: boolean, booked?: string|null, stage?: string, error?: string }>} booked is bookAndNotify's result
  */
-async function processPostCallBooking(callSid, customerPhone) {
+async function processPostCallBooking(callSid, customerPhone, { humeChatId: chatIdOverride, conversation: suppliedConversation } = {}) {
+  if (!(await claimSession('post-call', callSid, { ttlMs: POST_CALL_CLAIM_TTL_MS }))) {
+    console.log(`[post-call-booking][${callSid}] already in progress, skipping duplicate status callback`);
+    return { ok: false, error: 'already in progress' };
+  }
   console.log(`[post-call-booking][${callSid}] starting...`);
 
+  let stage = 'correlate';
+  let failedChatId = null;
   try {
     const { fetchHumeConversation, findRecentHumeChat, parseAppointmentFromConversation } = require('./services/hume-conversation');
-    
-    // Try to get Hume chat_id from our stored mapping
-    let humeChatId = callSidToHumeChatId.get(callSid);
-    
-    if (!humeChatId) {
-      console.log(`[post-call-booking][${callSid}] no stored chat_id, searching recent chats...`);
-      // Fallback: find the most recent Hume chat (likely the one that just ended)
-      try {
-        humeChatId = await findRecentHumeChat(new Date(), customerPhone);
-      } catch (err) {
-        console.error(`[post-call-booking][${callSid}] could not find Hume chat:`, err?.message || err);
-        console.log(`[post-call-booking][${callSid}] falling back to mock conversation for testing`);
-        
-        // Use mock conversation as fallback
-        const mockConversation = {
-          event_messages: [
-            { role: 'user', message: { content: 'I want to book an appointment for tomorrow at 2pm' } },
-            { role: 'assistant', message: { content: 'Great! What is your name?' } },
-            { role: 'user', message: { content: 'My name is John Smith' } },
-          ],
-          metadata: { from: customerPhone },
-        };
-        
-        const appointment = parseAppointmentFromConversation(mockConversation);
-        return await bookAndNotify(callSid, customerPhone, appointment);
+    let conversation = suppliedConversation || null;
+    let humeChatId = null;
+
+    if (!conversation) {
+      // Try to get Hume chat_id from our stored mapping
+      humeChatId = chatIdOverride || (await getSession('hume-chat', callSid))?.chatId;
+
+      if (!humeChatId) {
+        // The chat_started webhook never linked this call: only accept a chat that provably started with it
+        const caller = await getHumeCaller(customerPhone);
+        const startedAt = caller?.callSid === callSid ? caller.startedAt : null;
+        console.warn(`[post-call-booking][${callSid}] no linked Hume chat (is the chat_started webhook registered?), searching recent chats...`);
+        try {
+          if (!startedAt) throw new Error('call start time unknown; cannot match a Hume chat to this call');
+          humeChatId = await findRecentHumeChat(startedAt, customerPhone);
+          await logCallEvent({ callSid, type: 'hume_chat_linked', payload: { chatId: humeChatId, source: 'chat-list' } });
+        } catch (err) {
+          await logCallEvent({ callSid, type: 'hume_chat_unmatched', payload: { error: err?.message || String(err) } });
+          throw new Error(`no Hume chat for this call: ${err?.message || err}`);
+        }
       }
+
+      stage = 'fetch';
+      failedChatId = humeChatId;
+      console.log(`[post-call-booking][${callSid}] fetching conversation from Hume chat: ${humeChatId}`);
+      await persist('upsertCall', () => upsertCall({ callSid, humeChatId }));
+      conversation = await fetchHumeConversation(humeChatId);
+      await persist('saveTranscript', () => saveTranscript({ callSid, humeChatId, callerPhone: customerPhone, turns: conversation.turns }));
+
+      // Clean up stored mapping
+      await deleteSession('hume-chat', callSid);
     }
-    
-    console.log(`[post-call-booking][${callSid}] fetching conversation from Hume chat: ${humeChatId}`);
-    const conversation = await fetchHumeConversation(humeChatId);
-    
-    // Clean up stored mapping
-    callSidToHumeChatId.delete(callSid);
-    
-    // Parse appointment from real conversation
-    const appointment = parseAppointmentFromConversation(conversation);
 
-    return await bookAndNotify(callSid, customerPhone, appointment);
+    // Parse appointment from the conversation
+    stage = 'book';
+    const appointment = await parseAppointmentFromConversation(conversation, { customerPhone });
+
+    const booked = await bookAndNotify(callSid, customerPhone, appointment, { humeChatId });
+    if (!booked) await textBackMissedCall({ callSid, phone: customerPhone, reason: 'no_booking', ...notifyDeps });
+    if (await persist('resolveDeadLetter', () => resolveDeadLetter(callSid))) {
+      console.log(`[post-call-booking][${callSid}] dead letter resolved`);
+    }
+    return { ok: true, booked };
   } catch (err) {
-    console.error(`[post-call-booking][${callSid}] ❌ error:`, err?.message || err);
+    const error = err?.message || String(err);
+    console.error(`[post-call-booking][${callSid}] ❌ error (${stage}):`, error);
+    await logCallEvent({ callSid, type: 'post_call_failed', payload: { stage, error } });
+    const entry = await persist('addDeadLetter', () => addDeadLetter({ callSid, callerPhone: customerPhone, humeChatId: failedChatId, stage, error }));
+    if (entry) console.warn(`[post-call-booking][${callSid}] sent to dead-letter queue (attempt ${entry.attempts})`);
+    return { ok: false, stage, error };
+  } finally {
+    await deleteSession('post-call', callSid).catch((err) => console.error(`[post-call-booking][${callSid}] could not release claim:`, err?.message || err));
   }
 }
 
 /**
- * Book appointment and send SMS notification
+ * Book appointment and send SMS notification.
+ * If the agent already booked during the call (events tagged with this callSid / humeChatId),
+ * those bookings are kept and only confirmed; the transcript is never booked a second time.
+ * A time no barber is free at any more is never booked: the caller is texted the nearest open times,
+ * or, with none to offer (or no number to text), the call goes to the dead-letter queue.
+ * @returns {Promise<'booked'|'alternatives_sent'|null>} null when the call ended without a booking
  */
-async function bookAndNotify(callSid, customerPhone, appointment) {
+async function bookAndNotify(callSid, customerPhone, appointment, { humeChatId } = {}) {
   console.log(`[post-call-booking][${callSid}] parsed appointment:`, appointment);
+  await logCallEvent({ callSid, type: 'post_call_parsed', payload: { appointment } });
 
-  if (!appointment.found) {
-    console.log(`[post-call-booking][${callSid}] no appointment details found in conversation`);
-    return;
-  }
-  
   try {
+    const existing = await findBookingsForCall({ callSid, humeChatId });
+    if (existing.length) {
+      console.log(`[post-call-booking][${callSid}] reconciled with ${existing.length} booking(s) made during the call:`, existing.map((b) => b.event.id));
+      const matches = (b) => {
+        const booked = toAppointmentSummary(b.event, businessTz);
+        return booked.date === appointment.date && booked.startTime === appointment.startTime;
+      };
+      if (appointment.found && !existing.some(matches)) {
+        console.warn(`[post-call-booking][${callSid}] transcript suggests ${appointment.date} ${appointment.startTime}; keeping the in-call booking`);
+      }
+      await logCallEvent({ callSid, type: 'post_call_reconciled', payload: { eventIds: existing.map((b) => b.event.id) } });
+      for (const booking of existing) {
+        await sendConfirmationOnce(callSid, customerPhone, booking, appointment.customerName);
+      }
+      return 'booked';
+    }
+
+    if (!appointment.found) {
+      console.log(`[post-call-booking][${callSid}] no appointment details found in conversation`);
+      return null;
+    }
 
     // Book the appointment directly (internal call)
     console.log(`[post-call-booking][${callSid}] booking appointment...`);
     
-    const { DateTime } = require('luxon');
-    const calendarId = 'primary';
     const timezone = appointment.timezone;
     
     // Parse date/time using same logic as the endpoint
     const dParts = { year: parseInt(appointment.date.split('-')[0]), month: parseInt(appointment.date.split('-')[1]), day: parseInt(appointment.date.split('-')[2]) };
     const sParts = { hour: parseInt(appointment.startTime.split(':')[0]), minute: parseInt(appointment.startTime.split(':')[1]) };
-    const eParts = { hour: parseInt(appointment.endTime.split(':')[0]), minute: parseInt(appointment.endTime.split(':')[1]) };
     
+    const requestedService = findService(appointment.serviceId) || getDefaultService();
+    const service = await serviceForCustomer(requestedService, customerPhone);
     const startDt = DateTime.fromObject({ ...dParts, ...sParts, second: 0, millisecond: 0 }, { zone: timezone });
-    const endDt = DateTime.fromObject({ ...dParts, ...eParts, second: 0, millisecond: 0 }, { zone: timezone });
-    
-    const auth = (function getAuth() {
-      const { GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI, GOOGLE_REFRESH_TOKEN } = process.env;
-      const o = new google.auth.OAuth2(GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI);
-      o.setCredentials({ refresh_token: GOOGLE_REFRESH_TOKEN });
-      return o;
-    })();
-    
-    const calendar = google.calendar({ version: 'v3', auth });
+    const endDt = startDt.plus({ minutes: service.durationMinutes });
+
+    // Post-call bookings are "anyone available": take the first free barber
+    const staffCheck = await findStaffForSlot({
+      startISO: startDt.toISO(),
+      endISO: endDt.toISO(),
+      timezone,
+      staff: getStaff(),
+      bufferMinutes: service.bufferMinutes,
+      schedule: businessSchedule,
+    });
+    if (!staffCheck.ok) {
+      const { reason, alternatives } = staffCheck;
+      console.warn(`[post-call-booking][${callSid}] no barber free (${reason}), ${alternatives.length} alternative(s)`);
+      await logCallEvent({ callSid, type: 'post_call_slot_unavailable', payload: { reason, start: startDt.toISO(), alternatives: alternatives.length } });
+      if (await textAlternatives(callSid, customerPhone, appointment, service, staffCheck)) return 'alternatives_sent';
+      throw new Error(`no barber free at ${appointment.date} ${appointment.startTime} (${reason}) and no alternatives texted`);
+    }
+    const assigned = staffCheck.staff;
+    const calendarId = assigned.calendarId;
+    const withStaff = getStaff().length > 1 ? ` with ${assigned.name}` : '';
+
     const eventBody = {
-      summary: appointment.summary,
-      description: appointment.description,
+      summary: service === requestedService
+        ? `${appointment.summary}${withStaff}`
+        : `${appointment.customerName ? `${appointment.customerName} - ` : ''}${service.name}${withStaff}`,
+      description: `${appointment.description} Barber: ${assigned.name}`,
       start: { dateTime: startDt.toISO(), timeZone: timezone },
       end: { dateTime: endDt.toISO(), timeZone: timezone },
+      extendedProperties: { private: bookingTags({ callerPhone: customerPhone, callSid, humeChatId, serviceId: service.id, staffId: assigned.id }) },
     };
+    if (normalizePhone(customerPhone) && (await getBookingPolicy(customerPhone)).requireConfirmation) {
+      eventBody.extendedProperties.private.confirmationRequired = 'true';
+    }
     
-    const resp = await calendar.events.insert({ calendarId, requestBody: eventBody, sendUpdates: 'all' });
-    const bookingResult = resp.data;
+    const bookingResult = await insertEvent(eventBody, { calendarId });
 
     console.log(`[post-call-booking][${callSid}] ✅ appointment booked:`, bookingResult.id);
+    await persist('recordBooking', () => recordBooking({ phone: customerPhone, name: appointment.customerName }));
+    await persist('recordAppointment', () => recordAppointment({ event: bookingResult, calendarId }));
+    await logCallEvent({ callSid, type: 'appointment_booked', payload: { eventId: bookingResult.id, calendarId, start: bookingResult.start, callerPhone: normalizePhone(customerPhone), via: 'post_call' } });
 
-    // Send SMS confirmation
-    if (customerPhone && twilioPhoneNumber) {
-      const confirmationMessage = `Hi ${appointment.customerName || 'there'}! Your appointment at ${businessName} is confirmed for ${appointment.date} at ${appointment.startTime}. See you then!`;
-      
-      console.log(`[post-call-booking][${callSid}] sending SMS to ${customerPhone}...`);
-      
-      await twilioClient.messages.create({
-        body: confirmationMessage,
-        from: twilioPhoneNumber,
-        to: customerPhone,
-      });
-
-      console.log(`[post-call-booking][${callSid}] ✅ SMS confirmation sent`);
-    } else {
-      console.log(`[post-call-booking][${callSid}] skipping SMS (phone or Twilio number not configured)`);
-    }
+    await sendConfirmationOnce(callSid, customerPhone, { event: bookingResult, calendarId }, appointment.customerName);
+    return 'booked';
   } catch (err) {
     console.error(`[post-call-booking][${callSid}] ❌ booking error:`, err?.message || err);
     throw err;
   }
 }
 
-// Start server (standalone Node)
-if (!process.env.VERCEL) {
+// The requested time was taken before the call ended: text the nearest open times, and the reply books
+// through the text-to-book conversation (services/sms-booking.js). false when nothing was sent
+async function textAlternatives(callSid, customerPhone, appointment, service, { alternatives }) {
+  if (!normalizePhone(customerPhone) || !twilioPhoneNumber) return false;
+  const menu = await offerAlternatives(customerPhone, { name: appointment.customerName, serviceId: service.id, slots: alternatives });
+  if (!menu) return false;
+  // Calling to book counts as consent to texts about the booking, unless the number has opted out
+  await persist('recordImpliedConsent', () => recordImpliedConsent(customerPhone, { source: 'call', detail: callSid }));
+  const requested = DateTime.fromISO(`${appointment.date}T${appointment.startTime}`, { zone: appointment.timezone });
+  const message = await sendSms({
+    to: customerPhone,
+    body: t('sms.postCall.alternatives', { when: formatDateTime(requested.toISO(), voiceLocale, businessTz), menu }, voiceLocale),
+    purpose: 'post-call alternatives',
+  });
+  if (!message) {
+    await endSmsBooking(customerPhone);
+    return false;
+  }
+  await logCallEvent({ callSid, type: 'post_call_alternatives_sent', payload: { to: customerPhone, alternatives: alternatives.length, messageSid: message.sid || null } });
+  console.log(`[post-call-booking][${callSid}] ✅ alternatives texted`);
+  return true;
+}
+
+// SMS confirmation for one booking; the confirmationSentAt tag on the event makes repeats a no-op
+async function sendConfirmationOnce(callSid, customerPhone, { event, calendarId }, customerName) {
+  if (getBookingTags(event).confirmationSentAt) {
+    console.log(`[post-call-booking][${callSid}] confirmation already sent for ${event.id}, skipping SMS`);
+    return;
+  }
+  if (!customerPhone || !twilioPhoneNumber) {
+    console.log(`[post-call-booking][${callSid}] skipping SMS (phone or Twilio number not configured)`);
+    return;
+  }
+  // Calling to book counts as consent to texts about the booking, unless the number has opted out
+  await persist('recordImpliedConsent', () => recordImpliedConsent(customerPhone, { source: 'call', detail: callSid }));
+
+  const locale = getBookingTags(event).locale;
+  const appt = toAppointmentSummary(event, businessTz);
+  const icsUrl = icsLinkForEvent(event);
+  const confirmationMessage = t('sms.confirmation', {
+    greeting: customerName ? t('sms.greeting', { name: customerName }, locale) : t('sms.greeting.noName', {}, locale),
+    when: formatDateTime(appt.start, locale, businessTz),
+    withStaff: appt.staff ? t('sms.withStaff', { staff: appt.staff.name }, locale) : '',
+    addToCalendar: icsUrl ? t('sms.addToCalendar', { url: icsUrl }, locale) : '',
+  }, locale) + (getBookingTags(event).confirmationRequired ? ` ${t('sms.confirmRequired', {}, locale)}` : '');
+
+  console.log(`[post-call-booking][${callSid}] sending SMS to ${customerPhone}...`);
+
+  const message = await sendSms({ to: customerPhone, body: confirmationMessage, purpose: 'confirmation' });
+  if (!message) {
+    console.log(`[post-call-booking][${callSid}] SMS not sent (opted out)`);
+    return;
+  }
+  await addBookingTags(event, calendarId, { confirmationSentAt: new Date().toISOString() });
+
+  await logCallEvent({ callSid, type: 'confirmation_sent', payload: { eventId: event.id, to: customerPhone, messageSid: message.sid || null } });
+  console.log(`[post-call-booking][${callSid}] ✅ SMS confirmation sent`);
+}
+
+// Start server (standalone Node). Migrations run first, so no request or loop ever sees an
+// older schema; a failed migration stops the start instead of serving against it.
+async function start() {
+  if (isDbConfigured()) await migrate();
   const server = app.listen(port, () => {
     console.log(`Server listening on http://localhost:${port}`);
     console.log('POST /voice/answer redirects to Hume EVI');
     console.log('POST /voice/call-status handles post-call booking & SMS');
+    startReminderLoop(notifyDeps);
+    startOutcomeLoop(notifyDeps);
   });
   
   server.on('error', (err) => {
@@ -774,6 +1257,13 @@ if (!process.env.VERCEL) {
   });
 }
 
+if (!process.env.VERCEL) {
+  start().catch((err) => {
+    console.error('[db] migration failed, not starting:', err?.message || err);
+    process.exit(1);
+  });
+}
+
 module.exports = app;
 
 // Removed former supabase debug and status endpoints
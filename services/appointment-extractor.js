@@ -0,0 +1,148 @@
+/**
+ * Appointment extraction from a call transcript
+ * - One interface over the configured backend: APPOINTMENT_EXTRACTOR=openai | local
+ *   (default: openai when OPENAI_API_KEY is set, otherwise local)
+ * - Extractor contract (services/openai-appointment-extractor.js, services/local-appointment-extractor.js):
+ *     extract({ turns, now, timezone, services }) → ExtractionSchema
+ *   turns: [{ role: 'caller' | 'agent', text }] in call order; now: luxon DateTime in the business timezone
+ * - Every field carries a 0-1 confidence. Details the agent read back in its final confirmation win over
+ *   anything said earlier (drafts, alternatives, corrections)
+ * - A booking needs date and time at APPOINTMENT_MIN_CONFIDENCE (default 0.6) or above; anything less is
+ *   reported as not found, so the caller gets the open-times text instead of a guessed appointment
+ * - When the OpenAI extractor fails (network, refusal, invalid output) the local one is used instead
+ */
+const { z } = require('zod');
+const { DateTime } = require('luxon');
+const { getServiceCatalog, findService, getDefaultService } = require('./service-catalog');
+
+const EXTRACTORS = {
+  openai: () => require('./openai-appointment-extractor'),
+  local: () => require('./local-appointment-extractor'),
+};
+
+const confidence = z.number().min(0).max(1);
+
+const ExtractionSchema = z.object({
+  found: z.boolean(),
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).nullable(),
+  startTime: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/).nullable(),
+  customerName: z.string().nullable(),
+  serviceId: z.string().nullable(),
+  confirmedByAgent: z.boolean(),
+  confidence: z.object({
+    date: confidence,
+    startTime: confidence,
+    customerName: confidence,
+    service: confidence,
+  }),
+});
+
+let extractor = null;
+
+function getAppointmentExtractor() {
+  if (extractor) return extractor;
+  const name = String(process.env.APPOINTMENT_EXTRACTOR || (process.env.OPENAI_API_KEY ? 'openai' : 'local')).trim().toLowerCase();
+  if (!EXTRACTORS[name]) {
+    throw new Error(`Unknown APPOINTMENT_EXTRACTOR "${name}" (expected one of ${Object.keys(EXTRACTORS).join(', ')})`);
+  }
+  extractor = EXTRACTORS[name]();
+  console.log(`[extractor] using ${extractor.name} appointment extractor`);
+  return extractor;
+}
+
+function minConfidence() {
+  const n = Number(process.env.APPOINTMENT_MIN_CONFIDENCE);
+  return process.env.APPOINTMENT_MIN_CONFIDENCE && Number.isFinite(n) ? n : 0.6;
+}
+
+/**
+ * Speaker turns from any conversation shape we handle: archived transcript turns (conversation.turns),
+ * Hume event_messages ({ role: user | assistant, message: { content } }) or legacy messages ({ role, content }).
+ */
+function conversationTurns(conversation) {
+  if (Array.isArray(conversation?.turns) && conversation.turns.length) {
+    return conversation.turns
+      .filter((t) => t.role === 'caller' || t.role === 'agent')
+      .map((t) => ({ role: t.role, text: String(t.text || '') }));
+  }
+  const messages = conversation?.event_messages || conversation?.messages || [];
+  return messages
+    .map((m) => ({
+      role: m.role === 'assistant' || m.role === 'agent' ? 'agent' : 'caller',
+      text: String(m.message?.content || m.content || m.text || ''),
+    }))
+    .filter((t) => t.text.trim());
+}
+
+function toAppointment(result, { timezone, now, customerPhone, extractorName }) {
+  const min = minConfidence();
+  const requested = result.serviceId && findService(result.serviceId);
+  const serviceEntry = requested || getDefaultService();
+  const service = requested ? requested.name : 'General appointment';
+  const customerName = (result.customerName || '').trim();
+
+  let { date, startTime } = result;
+  let reason = null;
+  if (!date || !startTime) reason = 'date or time missing';
+  else if (result.confidence.date < min || result.confidence.startTime < min) reason = `confidence below ${min}`;
+  else if (DateTime.fromISO(`${date}T${startTime}`, { zone: timezone }) <= now) reason = 'time is in the past';
+
+  let endTime = null;
+  if (startTime) {
+    endTime = DateTime.fromFormat(startTime, 'HH:mm').plus({ minutes: serviceEntry.durationMinutes }).toFormat('HH:mm');
+  }
+
+  return {
+    found: Boolean(result.found && !reason),
+    ...(reason ? { notFoundReason: reason } : {}),
+    date,
+    startTime,
+    endTime,
+    timezone,
+    customerName,
+    customerPhone,
+    service,
+    serviceId: serviceEntry.id,
+    durationMinutes: serviceEntry.durationMinutes,
+    summary: customerName ? `${customerName} - ${service}` : service,
+    description: `Booked via phone conversation. ${customerName ? `Customer: ${customerName}` : ''} ${customerPhone ? `Phone: ${customerPhone}` : ''}`.trim(),
+    confidence: result.confidence,
+    confirmedByAgent: result.confirmedByAgent,
+    extractor: extractorName,
+  };
+}
+
+/**
+ * Appointment details from a conversation, in the shape post-call booking uses, with per-field confidence.
+ * @param {object} conversation - see conversationTurns
+ * @param {{ now?: DateTime, extractor?: object, customerPhone?: string }} [opts] - customerPhone is the
+ *   caller's number from Twilio (transcripts do not carry it), copied onto the appointment
+ * @returns {Promise<object>} { found, date, startTime, endTime, timezone, customerName, serviceId, ..., confidence, extractor }
+ */
+async function extractAppointment(conversation, opts = {}) {
+  const timezone = process.env.BUSINESS_TIMEZONE || 'America/Chicago';
+  const now = (opts.now || DateTime.now()).setZone(timezone);
+  const input = { turns: conversationTurns(conversation), now, timezone, services: getServiceCatalog() };
+  const customerPhone = opts.customerPhone || '';
+
+  let used = opts.extractor || getAppointmentExtractor();
+  let result;
+  try {
+    result = ExtractionSchema.parse(await used.extract(input));
+  } catch (err) {
+    if (used.name === 'local') throw err;
+    console.error(`[extractor] ${used.name} extraction failed, using local:`, err?.message || err);
+    used = EXTRACTORS.local();
+    result = ExtractionSchema.parse(await used.extract(input));
+  }
+  const appointment = toAppointment(result, { timezone, now, customerPhone, extractorName: used.name });
+  console.log(`[extractor] ${used.name}: ${appointment.found ? `${appointment.date} ${appointment.startTime}` : `not found (${appointment.notFoundReason})`}`, result.confidence);
+  return appointment;
+}
+
+module.exports = {
+  ExtractionSchema,
+  getAppointmentExtractor,
+  conversationTurns,
+  extractAppointment,
+};
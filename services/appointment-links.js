@@ -0,0 +1,35 @@
+/**
+ * Public appointment links
+ * - Signed URLs a customer can open without logging in (GET /appointments/:id.ics), so links
+ *   sent by SMS can't be enumerated or forged
+ * - Signature: HMAC-SHA256 over "<eventId>.<staffId>" with ICS_SIGNING_SECRET, base64url
+ * - appointmentIcsUrl returns null when PUBLIC_BASE_URL or ICS_SIGNING_SECRET is not set,
+ *   and callers simply leave the link out
+ */
+const crypto = require('crypto');
+
+function signAppointment(eventId, staffId) {
+  const secret = process.env.ICS_SIGNING_SECRET;
+  if (!secret) throw new Error('ICS_SIGNING_SECRET not configured');
+  return crypto.createHmac('sha256', secret).update(`${eventId}.${staffId}`).digest('base64url');
+}
+
+function verifyAppointmentSignature(eventId, staffId, signature) {
+  if (!process.env.ICS_SIGNING_SECRET || !eventId || !staffId || !signature) return false;
+  const expected = Buffer.from(signAppointment(eventId, staffId));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function appointmentIcsUrl({ eventId, staffId }) {
+  const base = String(process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  if (!base || !process.env.ICS_SIGNING_SECRET) return null;
+  const query = new URLSearchParams({ s: staffId, sig: signAppointment(eventId, staffId) });
+  return `${base}/appointments/${encodeURIComponent(eventId)}.ics?${query}`;
+}
+
+module.exports = {
+  signAppointment,
+  verifyAppointmentSignature,
+  appointmentIcsUrl,
+};
@@ -0,0 +1,94 @@
+/**
+ * Appointment helpers shared by the tool routes and post-call processing
+ * - bookingTags: extendedProperties.private tags so a booking can be found again
+ * - isOwnedBy: does this event belong to the given caller phone
+ * - toAppointmentSummary: compact, speakable view of a calendar event (incl. barber)
+ * - findBookingsForCall: bookings already made for a call (idempotency across the in-call
+ *   tool and post-call processing), keyed by the callSid / humeChatId tags
+ * - addBookingTags: record follow-up state on the event (e.g. confirmation SMS sent)
+ */
+
+const { DateTime } = require('luxon');
+const { findEventsByPrivateProperty, updateEvent } = require('./calendar');
+const { normalizePhone } = require('./phone');
+const { getStaff, getStaffById, getStaffCalendarIds } = require('./staff');
+
+// Tags stored on the calendar event (Google: extendedProperties.private, string values only)
+function bookingTags({ callerPhone, callSid, humeChatId, serviceId, staffId, locale } = {}) {
+  const tags = {};
+  const phone = normalizePhone(callerPhone);
+  if (phone) tags.callerPhone = phone;
+  if (callSid) tags.callSid = String(callSid);
+  if (humeChatId) tags.humeChatId = String(humeChatId);
+  if (serviceId) tags.serviceId = String(serviceId);
+  if (staffId) tags.staffId = String(staffId);
+  if (locale) tags.locale = String(locale); // customer's language for texts (services/messages.js)
+  return tags;
+}
+
+function getBookingTags(event) {
+  return (event && event.extendedProperties && event.extendedProperties.private) || {};
+}
+
+function isOwnedBy(event, callerPhone) {
+  const phone = normalizePhone(callerPhone);
+  if (!phone || !event || event.status === 'cancelled') return false;
+  return getBookingTags(event).callerPhone === phone;
+}
+
+function toAppointmentSummary(event, timezone) {
+  const start = DateTime.fromISO(event.start?.dateTime || event.start?.date, { zone: timezone });
+  const end = DateTime.fromISO(event.end?.dateTime || event.end?.date, { zone: timezone });
+  return {
+    id: event.id,
+    summary: event.summary || '',
+    date: start.toFormat('yyyy-MM-dd'),
+    startTime: start.toFormat('HH:mm'),
+    endTime: end.toFormat('HH:mm'),
+    start: start.toISO(),
+    end: end.toISO(),
+    label: `${start.toFormat('cccc, LLLL d')} at ${start.toFormat('h:mm a')}`,
+    staff: staffForEvent(event),
+  };
+}
+
+// Barber named on the event (staffId tag); null when only the implicit single-calendar entry exists
+function staffForEvent(event) {
+  if (getStaff().length < 2) return null;
+  const member = getStaffById(getBookingTags(event).staffId);
+  return member ? { id: member.id, name: member.name } : null;
+}
+
+/**
+ * Live bookings tagged with this call's callSid or Hume chat id, across all barber calendars.
+ * Returns [{ event, calendarId }] in start order ([] when the call booked nothing).
+ */
+async function findBookingsForCall({ callSid, humeChatId } = {}) {
+  const keys = [['callSid', callSid], ['humeChatId', humeChatId]].filter(([, value]) => value);
+  const byId = new Map();
+  for (const calendarId of getStaffCalendarIds()) {
+    for (const [key, value] of keys) {
+      const events = await findEventsByPrivateProperty({ key, value: String(value), calendarId });
+      for (const event of events) {
+        if (event.status !== 'cancelled' && !byId.has(event.id)) byId.set(event.id, { event, calendarId });
+      }
+    }
+  }
+  return [...byId.values()].sort((a, b) => new Date(a.event.start?.dateTime) - new Date(b.event.start?.dateTime));
+}
+
+// Merge extra tags into the event's private properties; returns the updated event
+async function addBookingTags(event, calendarId, extra) {
+  const tags = { ...getBookingTags(event) };
+  for (const [key, value] of Object.entries(extra)) tags[key] = String(value);
+  return updateEvent(event.id, { extendedProperties: { private: tags } }, { calendarId });
+}
+
+module.exports = {
+  bookingTags,
+  getBookingTags,
+  isOwnedBy,
+  toAppointmentSummary,
+  findBookingsForCall,
+  addBookingTags,
+};
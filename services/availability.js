@@ -0,0 +1,262 @@
+/**
+ * Availability search
+ * - computeOpenSlots: pure slot math (working hours minus busy intervals)
+ * - checkAvailability: free/busy query across staff calendars + computeOpenSlots
+ * - checkSlot: past-time, working-hours and overlap check for one requested slot on one calendar, with
+ *   nearest alternatives; every booking path (voice tools, reschedule, SMS, post-call) goes through it
+ * - findStaffForSlot: checkSlot across candidate barbers; first free barber wins
+ *
+ * Slots are returned in the business timezone as { date, startTime, endTime, start, end, label }
+ * so the agent can read them out and pass date/startTime straight into book_appointment.
+ * Staff-aware results add staff: [{ id, name }] (who is free for that slot).
+ *
+ * `schedule` is a services/schedule.js schedule or an array of them; a slot is open only when
+ * it fits inside an open range of every entry (e.g. shop hours + a barber's own hours).
+ */
+
+const { DateTime } = require('luxon');
+const { queryFreeBusyByCalendar } = require('./calendar');
+const { isOpenBetween } = require('./schedule');
+const { schedulesForStaff } = require('./staff');
+
+const DEFAULT_SLOT_INTERVAL_MINUTES = Number(process.env.SLOT_INTERVAL_MINUTES || 30);
+
+function overlaps(aStart, aEnd, bStart, bEnd) {
+  return aStart < bEnd && bStart < aEnd;
+}
+
+function isOpenFor(startISO, endISO, schedule) {
+  const list = Array.isArray(schedule) ? schedule : [schedule];
+  return list.every((s) => isOpenBetween(s, startISO, endISO));
+}
+
+// Remove `ignore` intervals from busy blocks (e.g. the event being rescheduled)
+function subtractIntervals(busy, ignore = []) {
+  let result = busy.map((b) => ({ start: new Date(b.start).getTime(), end: new Date(b.end).getTime() }));
+  for (const ig of ignore) {
+    const igStart = new Date(ig.start).getTime();
+    const igEnd = new Date(ig.end).getTime();
+    const next = [];
+    for (const b of result) {
+      if (!overlaps(b.start, b.end, igStart, igEnd)) {
+        next.push(b);
+        continue;
+      }
+      if (b.start < igStart) next.push({ start: b.start, end: igStart });
+      if (b.end > igEnd) next.push({ start: igEnd, end: b.end });
+    }
+    result = next;
+  }
+  return result.map((b) => ({ start: new Date(b.start).toISOString(), end: new Date(b.end).toISOString() }));
+}
+
+function toSlot(startDt, endDt) {
+  return {
+    date: startDt.toFormat('yyyy-MM-dd'),
+    startTime: startDt.toFormat('HH:mm'),
+    endTime: endDt.toFormat('HH:mm'),
+    start: startDt.toISO(),
+    end: endDt.toISO(),
+    label: `${startDt.toFormat('cccc, LLLL d')} at ${startDt.toFormat('h:mm a')}`,
+  };
+}
+
+/**
+ * Walk each day in [fromDate, fromDate + days) on a fixed grid and keep the slots where
+ * the schedule allows the whole slot, and nothing in `busy` overlaps.
+ * @param {object} opts
+ * @param {{year:number,month:number,day:number}} opts.fromDate - first local date to search
+ * @param {number} [opts.days=1] - number of days to search
+ * @param {number} [opts.durationMinutes=30]
+ * @param {number} [opts.bufferMinutes=0] - extra time after the slot that must also be free
+ * @param {number} [opts.slotIntervalMinutes] - grid step (default SLOT_INTERVAL_MINUTES or 30)
+ * @param {string} opts.timezone - IANA timezone
+ * @param {object|object[]} opts.schedule - schedule(s), see module docs
+ * @param {Array<{start:string,end:string}>} [opts.busy=[]] - busy intervals (ISO)
+ * @param {Date} [opts.notBefore=new Date()] - slots starting before this are skipped
+ * @param {number} [opts.maxSlots=5]
+ */
+function computeOpenSlots({
+  fromDate,
+  days = 1,
+  durationMinutes = 30,
+  bufferMinutes = 0,
+  slotIntervalMinutes = DEFAULT_SLOT_INTERVAL_MINUTES,
+  timezone,
+  schedule,
+  busy = [],
+  notBefore = new Date(),
+  maxSlots = 5,
+}) {
+  const busyMs = busy
+    .map((b) => ({ start: new Date(b.start).getTime(), end: new Date(b.end).getTime() }))
+    .filter((b) => Number.isFinite(b.start) && Number.isFinite(b.end));
+  const notBeforeMs = new Date(notBefore).getTime();
+  const step = Math.max(5, Number(slotIntervalMinutes) || 30);
+  const slots = [];
+
+  const firstDay = DateTime.fromObject({ ...fromDate, hour: 0, minute: 0, second: 0, millisecond: 0 }, { zone: timezone });
+  for (let i = 0; i < days && slots.length < maxSlots; i++) {
+    const dayStart = firstDay.plus({ days: i });
+    for (let m = 0; m + durationMinutes <= 24 * 60 && slots.length < maxSlots; m += step) {
+      const startDt = dayStart.plus({ minutes: m });
+      const endDt = startDt.plus({ minutes: durationMinutes });
+      const startMs = startDt.toMillis();
+      const blockedUntilMs = endDt.plus({ minutes: bufferMinutes }).toMillis();
+      if (startMs < notBeforeMs) continue;
+      if (!isOpenFor(startDt.toISO(), endDt.toISO(), schedule)) continue;
+      if (busyMs.some((b) => overlaps(startMs, blockedUntilMs, b.start, b.end))) continue;
+      slots.push(toSlot(startDt, endDt));
+    }
+  }
+  return slots;
+}
+
+// Merge per-barber slot lists into one list of distinct start times, each naming who is free
+function mergeStaffSlots(perStaff) {
+  const byStart = new Map();
+  for (const { staff, slots } of perStaff) {
+    for (const slot of slots) {
+      const key = new Date(slot.start).getTime();
+      if (!byStart.has(key)) byStart.set(key, { ...slot, staff: [] });
+      byStart.get(key).staff.push({ id: staff.id, name: staff.name });
+    }
+  }
+  return [...byStart.entries()].sort((a, b) => a[0] - b[0]).map(([, slot]) => slot);
+}
+
+// The `count` slots closest to requestedMs, returned in chronological order
+function nearestSlots(slots, requestedMs, count) {
+  return slots
+    .slice()
+    .sort((a, b) => Math.abs(new Date(a.start) - requestedMs) - Math.abs(new Date(b.start) - requestedMs))
+    .slice(0, count)
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+/**
+ * Query free/busy for the search window across the given barbers and compute open slots.
+ * @param {object} opts - see computeOpenSlots; schedule is the shop's schedule
+ * @param {Array<object>} opts.staff - staff entries to search (services/staff.js)
+ */
+async function checkAvailability({ fromDate, days = 1, durationMinutes = 30, bufferMinutes = 0, timezone, schedule, staff, maxSlots = 5, slotIntervalMinutes }) {
+  const windowStart = DateTime.fromObject({ ...fromDate, hour: 0, minute: 0 }, { zone: timezone });
+  const windowEnd = windowStart.plus({ days });
+  const busyByCalendar = await queryFreeBusyByCalendar({
+    timeMin: windowStart.toISO(),
+    timeMax: windowEnd.toISO(),
+    calendarIds: [...new Set(staff.map((s) => s.calendarId))],
+    timezone,
+  });
+  const perStaff = staff.map((member) => ({
+    staff: member,
+    slots: computeOpenSlots({
+      fromDate,
+      days,
+      durationMinutes,
+      bufferMinutes,
+      slotIntervalMinutes,
+      timezone,
+      schedule: schedulesForStaff(member, schedule),
+      busy: busyByCalendar[member.calendarId] || [],
+      maxSlots,
+    }),
+  }));
+  const slots = mergeStaffSlots(perStaff).slice(0, maxSlots);
+  return { slots };
+}
+
+/**
+ * Validate a requested slot on one calendar before booking.
+ * Returns { ok: true } when the slot starts in the future, is inside working hours and is free, otherwise
+ * { ok: false, reason: 'in_the_past' | 'outside_business_hours' | 'slot_unavailable', conflicts, alternatives }
+ * where alternatives are the open slots closest to the requested start (from now on, for a past start).
+ * @param {object} opts
+ * @param {string} opts.startISO
+ * @param {string} opts.endISO
+ * @param {string} opts.timezone
+ * @param {object|object[]} opts.schedule - schedule(s), see module docs
+ * @param {string} [opts.calendarId='primary']
+ * @param {number} [opts.maxAlternatives=3]
+ * @param {number} [opts.searchDays=3] - days after the requested date to look for alternatives
+ * @param {number} [opts.bufferMinutes=0] - time after endISO that must also be free
+ * @param {Array<{start:string,end:string}>} [opts.ignore=[]] - intervals not counted as busy
+ * @param {Date} [opts.now=new Date()]
+ */
+async function checkSlot({ startISO, endISO, timezone, schedule, calendarId = 'primary', maxAlternatives = 3, searchDays = 3, bufferMinutes = 0, ignore = [], now = new Date() }) {
+  const startDt = DateTime.fromISO(startISO, { zone: timezone });
+  const endDt = DateTime.fromISO(endISO, { zone: timezone });
+  const durationMinutes = Math.round(endDt.diff(startDt, 'minutes').minutes);
+  const nowDt = DateTime.fromJSDate(new Date(now), { zone: timezone });
+  const past = startDt < nowDt;
+
+  // One free/busy query covers both the requested slot and the alternatives window,
+  // which starts today for a time that has already gone by
+  const windowStart = (past ? nowDt : startDt).startOf('day');
+  const windowEnd = windowStart.plus({ days: searchDays + 1 });
+  const busyByCalendar = await queryFreeBusyByCalendar({
+    timeMin: windowStart.toISO(),
+    timeMax: windowEnd.toISO(),
+    calendarIds: [calendarId],
+    timezone,
+  });
+  const busy = subtractIntervals(busyByCalendar[calendarId] || [], ignore);
+
+  let reason = null;
+  const blockedUntilMs = endDt.plus({ minutes: bufferMinutes }).toMillis();
+  const conflicts = busy.filter((b) => overlaps(startDt.toMillis(), blockedUntilMs, new Date(b.start).getTime(), new Date(b.end).getTime()));
+  if (past) {
+    reason = 'in_the_past';
+  } else if (!isOpenFor(startDt.toISO(), endDt.toISO(), schedule)) {
+    reason = 'outside_business_hours';
+  } else if (conflicts.length) {
+    reason = 'slot_unavailable';
+  }
+  if (!reason) return { ok: true };
+
+  const candidates = computeOpenSlots({
+    fromDate: { year: windowStart.year, month: windowStart.month, day: windowStart.day },
+    days: searchDays + 1,
+    durationMinutes,
+    bufferMinutes,
+    timezone,
+    schedule,
+    busy,
+    notBefore: nowDt.toJSDate(),
+    maxSlots: 500,
+  });
+  return { ok: false, reason, conflicts, alternatives: nearestSlots(candidates, startDt.toMillis(), maxAlternatives) };
+}
+
+/**
+ * checkSlot for each candidate barber in order; the first one who is free gets the booking.
+ * Returns { ok: true, staff } or { ok: false, reason, conflicts, alternatives } with alternatives
+ * merged across all candidates (each naming who is free).
+ * @param {object} opts - checkSlot options, with schedule = shop schedule and no calendarId
+ * @param {Array<object>} opts.staff - candidate staff entries (services/staff.js)
+ */
+async function findStaffForSlot({ staff, schedule, maxAlternatives = 3, ...slotOpts }) {
+  const perStaff = [];
+  const conflicts = [];
+  let reason = 'outside_business_hours';
+  for (const member of staff) {
+    const result = await checkSlot({ ...slotOpts, maxAlternatives, calendarId: member.calendarId, schedule: schedulesForStaff(member, schedule) });
+    if (result.ok) return { ok: true, staff: member };
+    // A past time is past for everyone; otherwise "booked" beats "closed" (someone works then)
+    if (result.reason === 'in_the_past' || (result.reason === 'slot_unavailable' && reason !== 'in_the_past')) reason = result.reason;
+    conflicts.push(...result.conflicts);
+    perStaff.push({ staff: member, slots: result.alternatives });
+  }
+  const requestedMs = new Date(slotOpts.startISO).getTime();
+  return { ok: false, reason, conflicts, alternatives: nearestSlots(mergeStaffSlots(perStaff), requestedMs, maxAlternatives) };
+}
+
+module.exports = {
+  overlaps,
+  isOpenFor,
+  subtractIntervals,
+  computeOpenSlots,
+  checkAvailability,
+  checkSlot,
+  findStaffForSlot,
+};
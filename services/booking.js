@@ -0,0 +1,233 @@
+/**
+ * Booking: open slots and new appointments, shared by every channel
+ * - findOpenSlots: free/busy over a window, each slot listing which barbers are free
+ * - bookAppointment: checks the slot (past, hours, double-booking, buffer), assigns a barber and
+ *   creates the tagged calendar event; idempotent per call for the same start time
+ * - Used by the Hume tool routes (/tools/hume/check-availability, /tools/hume/book-appointment)
+ *   and the text-to-book conversation (services/sms-booking.js), so both channels book the same way
+ * - Results are { ok: true, ... } or { ok: false, error, ... }; a slot rejection also carries
+ *   message and alternatives (the routes answer 409 for those, 400 for the rest)
+ * - Service tiers follow the caller's history (services/customers.js), never what was asked for
+ * - bookedService: the service an existing booking was made for, which sets its length and buffer
+ *   when it is moved (voice and SMS reschedules)
+ */
+const { DateTime } = require('luxon');
+const { insertEvent } = require('./calendar');
+const { checkAvailability, findStaffForSlot } = require('./availability');
+const { getBusinessSchedule, describeSchedule } = require('./schedule');
+const { parseLocalDate, parseLocalTime } = require('./datetime');
+const { bookingTags, getBookingTags, findBookingsForCall } = require('./appointments');
+const { resolveLocale } = require('./messages');
+const { getServiceCatalog, getDefaultService, findService, formatPrice } = require('./service-catalog');
+const { getStaff, getDefaultStaff, getStaffById, findStaff } = require('./staff');
+const { getBookingPolicy } = require('./outcomes');
+const { recordBooking, serviceForCustomer } = require('./customers');
+const { persist, logCallEvent, recordAppointment } = require('./call-store');
+
+function businessTz() {
+  return process.env.BUSINESS_TIMEZONE || 'America/Chicago';
+}
+
+// "Monday, January 7 at 10:00 AM (with Marcus or Dre)" when barbers are configured
+function slotLabelWithStaff(slot) {
+  if (!slot.staff || getStaff().length < 2) return slot.label;
+  return `${slot.label} (with ${slot.staff.map((s) => s.name).join(' or ')})`;
+}
+
+// Speakable explanation for a checkSlot rejection, with the nearest alternatives
+function slotRejectionMessage({ reason, alternatives }) {
+  const why = reason === 'in_the_past' ? 'That time has already passed.'
+    : reason === 'outside_business_hours' ? `That time is outside business hours (${describeSchedule(getBusinessSchedule())}).`
+      : 'That time is already booked.';
+  const offer = alternatives.length
+    ? ` The closest open times are ${alternatives.map(slotLabelWithStaff).join(', or ')}. Would one of those work?`
+    : ' I could not find an open time nearby. Is there another day that works?';
+  return why + offer;
+}
+
+// Service tag of a booking; events without one (legacy voice flow) are the default service
+function bookedService(event) {
+  return findService(getBookingTags(event).serviceId) || getDefaultService();
+}
+
+async function serviceFor(serviceParam, callerPhone) {
+  const requested = serviceParam ? findService(serviceParam) : getDefaultService();
+  return { requested, service: await serviceForCustomer(requested, callerPhone) };
+}
+
+/**
+ * Open slots for a service over one or more days.
+ * @param {object} params
+ * @param {string} [params.date] - YYYY-MM-DD, defaults to today
+ * @param {number} [params.days] - 1-14, default 1
+ * @param {string} [params.service] - service name/id, defaults to the default service
+ * @param {string} [params.staff] - barber name/id or "any"
+ * @param {string} [params.timezone]
+ * @param {number} [params.maxSlots] - 1-20, default 5
+ * @param {string} [params.callerPhone] - picks the tier price of tiered services
+ * @returns {Promise<object>} { ok, timezone, service, durationMinutes, slots, message } or { ok: false, error }
+ */
+async function findOpenSlots({ date, days, service: serviceParam, staff: staffParam, timezone, maxSlots, callerPhone } = {}) {
+  const staff = findStaff(staffParam);
+  if (!staff.length) return { ok: false, error: 'unknown_staff', staff: getStaff().map((s) => s.name) };
+  const tz = String(timezone || businessTz());
+  const { service } = await serviceFor(String(serviceParam || '').trim(), callerPhone);
+  if (!service) return { ok: false, error: 'unknown_service', services: getServiceCatalog().map((s) => s.name) };
+
+  const day = String(date || '').trim() || DateTime.now().setZone(tz).toFormat('yyyy-MM-dd');
+  const fromDate = parseLocalDate(day, tz);
+  if (!fromDate) return { ok: false, error: 'Invalid date format' };
+
+  const schedule = getBusinessSchedule();
+  const { slots } = await checkAvailability({
+    fromDate,
+    days: Math.min(14, Math.max(1, Number(days) || 1)),
+    durationMinutes: service.durationMinutes,
+    bufferMinutes: service.bufferMinutes,
+    timezone: tz,
+    staff,
+    maxSlots: Math.min(20, Math.max(1, Number(maxSlots) || 5)),
+    schedule,
+  });
+  return {
+    ok: true,
+    timezone: tz,
+    service: service.id,
+    durationMinutes: service.durationMinutes,
+    slots,
+    message: slots.length
+      ? `Open times: ${slots.map(slotLabelWithStaff).join('; ')}.`
+      : `No open times in that window. Our hours are ${describeSchedule(schedule)}.`,
+  };
+}
+
+/**
+ * Book a slot. The end time comes from the service duration, never from the caller or the model.
+ * @param {object} params
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {string} params.startTime - HH:mm, 24-hour ("7:30" is 07:30); also h:mm am/pm
+ * @param {string} [params.service] - name/id, defaults to the default service
+ * @param {string} [params.staff] - barber name/id or "any" (first barber free at that time)
+ * @param {string} [params.customerName]
+ * @param {string} [params.language] - "en", "es", "Spanish", ...; picks the language of later texts
+ * @param {string} [params.timezone]
+ * @param {string} [params.summary]
+ * @param {string} [params.description]
+ * @param {string[]} [params.attendees] - emails
+ * @param {string} [params.callerPhone] - owner of the booking
+ * @param {string} [params.callSid]
+ * @param {string} [params.humeChatId]
+ * @param {string} [params.via] - channel for the call event: 'tool' (default) or 'sms'
+ * @returns {Promise<object>} { ok, event, service, confirmationRequired?, message? }, { ok, alreadyBooked, event },
+ *   or { ok: false, error, message?, requested?, alternatives? }
+ */
+async function bookAppointment(params = {}) {
+  const date = String(params.date || '').trim();
+  const startTime = String(params.startTime || '').trim();
+  const timezone = String(params.timezone || businessTz());
+  const serviceParam = String(params.service || '').trim();
+  const { requested: requestedService, service } = await serviceFor(serviceParam, params.callerPhone);
+  const staffParam = String(params.staff || '').trim();
+  const staffCandidates = findStaff(staffParam);
+  const customerName = String(params.customerName || '').trim();
+  const attendees = Array.isArray(params.attendees) ? params.attendees : undefined;
+  const locale = params.language ? resolveLocale(params.language) : undefined;
+  const via = params.via || 'tool';
+
+  if (!date || !startTime) return { ok: false, error: 'date, startTime required' };
+  if (!service) {
+    console.error('[booking] unknown service:', serviceParam);
+    return { ok: false, error: 'unknown_service', services: getServiceCatalog().map((s) => s.name) };
+  }
+  if (service !== requestedService) {
+    console.log('[booking] service adjusted to caller tier:', { requested: requestedService.id, booked: service.id });
+  }
+  if (!staffCandidates.length) {
+    console.error('[booking] unknown staff:', staffParam);
+    return { ok: false, error: 'unknown_staff', staff: getStaff().map((s) => s.name) };
+  }
+
+  // Build local datetime using luxon to avoid cross-timezone date shifts
+  const dParts = parseLocalDate(date, timezone);
+  const sParts = parseLocalTime(startTime, timezone, { strict24h: true });
+  if (!dParts || !sParts) return { ok: false, error: 'Invalid date or time format' };
+  const startDt = DateTime.fromObject({ ...dParts, ...sParts, second: 0, millisecond: 0 }, { zone: timezone });
+  const endDt = startDt.plus({ minutes: service.durationMinutes });
+  const startLocal = startDt.toISO();
+  const endLocal = endDt.toISO();
+
+  const existing = (await findBookingsForCall({ callSid: params.callSid, humeChatId: params.humeChatId }))
+    .find(({ event }) => new Date(event.start?.dateTime).getTime() === startDt.toMillis());
+  if (existing) {
+    const { event } = existing;
+    const member = getStaffById(getBookingTags(event).staffId) || getDefaultStaff();
+    console.log('[booking] already booked on this call:', event.id);
+    return { ok: true, alreadyBooked: true, event: { id: event.id, htmlLink: event.htmlLink, start: event.start, end: event.end, summary: event.summary, staff: { id: member.id, name: member.name } } };
+  }
+
+  // Refuse past times, double-bookings and out-of-hours requests; offer the nearest open times instead.
+  // With "any" barber, the first one free at that time is assigned.
+  const slotCheck = await findStaffForSlot({
+    startISO: startLocal,
+    endISO: endLocal,
+    timezone,
+    staff: staffCandidates,
+    bufferMinutes: service.bufferMinutes,
+    schedule: getBusinessSchedule(),
+  });
+  if (!slotCheck.ok) {
+    const { reason, alternatives } = slotCheck;
+    console.warn('[booking] slot rejected:', reason, { conflicts: slotCheck.conflicts.length, alternatives: alternatives.length });
+    return {
+      ok: false,
+      error: reason,
+      message: slotRejectionMessage(slotCheck),
+      requested: { date, startTime, service: service.id, staff: staffParam || 'any', start: startLocal, end: endLocal },
+      alternatives,
+    };
+  }
+
+  const assigned = slotCheck.staff;
+  const { calendarId } = assigned;
+  const withStaff = getStaff().length > 1 ? ` with ${assigned.name}` : '';
+  const channel = via === 'sms' ? 'text message' : 'Hume tool book_appointment';
+  const summary = String(params.summary || `${customerName ? `${customerName} - ` : ''}${service.name}${withStaff}`);
+  const description = String(params.description || `Booked via ${channel}. Service: ${service.name} (${service.tier}${service.price != null ? `, ${formatPrice(service)}` : ''}). Barber: ${assigned.name}`);
+  const tags = bookingTags({ callerPhone: params.callerPhone, callSid: params.callSid, humeChatId: params.humeChatId, serviceId: service.id, staffId: assigned.id, locale });
+  // Repeat no-shows have to confirm by text (services/outcomes.js)
+  const policy = tags.callerPhone ? await getBookingPolicy(tags.callerPhone) : null;
+  if (policy && policy.requireConfirmation) tags.confirmationRequired = 'true';
+
+  const body = {
+    summary,
+    description,
+    start: { dateTime: startLocal, timeZone: timezone },
+    end: { dateTime: endLocal, timeZone: timezone },
+  };
+  if (attendees && attendees.length) body.attendees = attendees.map((email) => ({ email }));
+  if (Object.keys(tags).length) body.extendedProperties = { private: tags };
+
+  const event = await insertEvent(body, { calendarId });
+  console.log('[booking] event created:', { id: event.id, start: event.start, staff: assigned.id, via });
+  if (tags.callerPhone) await persist('recordBooking', () => recordBooking({ phone: tags.callerPhone, name: customerName }));
+  await persist('recordAppointment', () => recordAppointment({ event, calendarId }));
+  await logCallEvent({ callSid: params.callSid || null, type: 'appointment_booked', payload: { eventId: event.id, calendarId, start: event.start, callerPhone: tags.callerPhone || null, via } });
+  const result = {
+    ok: true,
+    event: { id: event.id, htmlLink: event.htmlLink, start: event.start, end: event.end, summary: event.summary, staff: { id: assigned.id, name: assigned.name } },
+    service: { id: service.id, name: service.name, tier: service.tier, price: service.price },
+  };
+  if (tags.confirmationRequired) {
+    result.confirmationRequired = true;
+    result.message = `Booked. This caller has missed ${policy.noShows} recent appointments, so ask them to reply C to the confirmation text to confirm.`;
+  }
+  return result;
+}
+
+module.exports = {
+  findOpenSlots,
+  bookAppointment,
+  bookedService,
+  slotLabelWithStaff,
+  slotRejectionMessage,
+};
@@ -0,0 +1,168 @@
+/**
+ * CalDAV provider (see services/calendar.js for the provider contract)
+ * - Apple iCloud, Fastmail, Nextcloud, Radicale... anything speaking CalDAV (RFC 4791)
+ * - Config: CALDAV_URL (default calendar collection), CALDAV_USERNAME, CALDAV_PASSWORD (basic auth)
+ * - calendarId is a collection URL, or a collection name resolved next to CALDAV_URL
+ *   ("marcus" → <CALDAV_URL>/../marcus/); 'primary' is CALDAV_URL itself
+ * - Events are stored as <uid>.ics resources, so event ids are the iCalendar UIDs
+ * - listEvents/queryFreeBusy use a calendar-query REPORT with a time-range filter; private
+ *   property filtering happens client side (see services/ical.js for how tags are stored)
+ * - Recurring events come back as single instances, like Google's singleEvents=true: the REPORT
+ *   asks the server to <c:expand> them within the window, and any the server still returns as
+ *   a master with an RRULE are expanded client side
+ */
+const crypto = require('crypto');
+const { eventToICalendar, parseICalendar, expandRecurrences } = require('./ical');
+const { mergePatch } = require('./calendar');
+
+function getConfig() {
+  const { CALDAV_URL, CALDAV_USERNAME, CALDAV_PASSWORD } = process.env;
+  if (!CALDAV_URL) throw new Error('CalDAV env not configured. Required: CALDAV_URL (plus CALDAV_USERNAME/CALDAV_PASSWORD if the server needs auth)');
+  return { url: CALDAV_URL.endsWith('/') ? CALDAV_URL : `${CALDAV_URL}/`, username: CALDAV_USERNAME, password: CALDAV_PASSWORD };
+}
+
+function collectionUrl(calendarId = 'primary') {
+  const { url } = getConfig();
+  if (!calendarId || calendarId === 'primary') return url;
+  if (/^https?:\/\//i.test(calendarId)) return calendarId.endsWith('/') ? calendarId : `${calendarId}/`;
+  return new URL(`../${encodeURIComponent(calendarId)}/`, url).toString();
+}
+
+function resourceUrl(eventId, calendarId) {
+  return new URL(`${encodeURIComponent(eventId)}.ics`, collectionUrl(calendarId)).toString();
+}
+
+async function request(method, url, { body, headers = {} } = {}) {
+  const { username, password } = getConfig();
+  const allHeaders = { ...headers };
+  if (username) allHeaders.Authorization = `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`;
+  const res = await fetch(url, { method, headers: allHeaders, body });
+  if (res.status >= 400) {
+    const err = new Error(`CalDAV ${method} ${url} failed: ${res.status} ${(await res.text()).slice(0, 200)}`);
+    err.code = res.status;
+    throw err;
+  }
+  return res;
+}
+
+function decodeXml(s) {
+  return s
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCharCode(parseInt(n, 16)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// calendar-data payloads from a multistatus response (namespace prefixes vary by server)
+function calendarDataFromMultistatus(xml) {
+  const re = /<(?:[\w-]+:)?calendar-data\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/g;
+  const out = [];
+  let m;
+  while ((m = re.exec(xml))) out.push(decodeXml(m[1].trim()));
+  return out;
+}
+
+// 2026-01-07T10:00:00-06:00 → 20260107T160000Z
+function toCalDavTime(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function withEtag(event, res) {
+  const etag = res.headers.get('etag');
+  return etag ? { ...event, etag } : event;
+}
+
+async function insertEvent(event, { calendarId = 'primary' } = {}) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const stored = { ...event, id, iCalUID: id, status: 'confirmed', created: now, updated: now };
+  const res = await request('PUT', resourceUrl(id, calendarId), {
+    body: eventToICalendar(stored),
+    headers: { 'Content-Type': 'text/calendar; charset=utf-8', 'If-None-Match': '*' },
+  });
+  return withEtag(stored, res);
+}
+
+async function getEvent(eventId, { calendarId = 'primary' } = {}) {
+  const res = await request('GET', resourceUrl(eventId, calendarId), { headers: { Accept: 'text/calendar' } });
+  const [event] = parseICalendar(await res.text());
+  if (!event) {
+    const err = new Error(`Event not found: ${eventId}`);
+    err.code = 404;
+    throw err;
+  }
+  return withEtag({ ...event, id: eventId }, res);
+}
+
+// Read-modify-write guarded by the ETag, so a concurrent change fails instead of being overwritten
+async function updateEvent(eventId, patch, { calendarId = 'primary' } = {}) {
+  const current = await getEvent(eventId, { calendarId });
+  const { etag, ...rest } = current;
+  const next = { ...mergePatch(rest, patch), id: eventId, updated: new Date().toISOString() };
+  const headers = { 'Content-Type': 'text/calendar; charset=utf-8' };
+  if (etag) headers['If-Match'] = etag;
+  const res = await request('PUT', resourceUrl(eventId, calendarId), { body: eventToICalendar(next, { uid: rest.iCalUID || eventId }), headers });
+  return withEtag(next, res);
+}
+
+async function deleteEvent(eventId, { calendarId = 'primary' } = {}) {
+  await request('DELETE', resourceUrl(eventId, calendarId));
+}
+
+async function listEvents({ calendarId = 'primary', timeMin, timeMax, privateProperty, maxResults = 10 } = {}) {
+  const range = [timeMin && `start="${toCalDavTime(timeMin)}"`, timeMax && `end="${toCalDavTime(timeMax)}"`].filter(Boolean).join(' ');
+  // expand needs both ends of the window; without timeMax the client-side expansion does it all
+  const calendarData = timeMin && timeMax ? `<c:calendar-data><c:expand ${range}/></c:calendar-data>` : '<c:calendar-data/>';
+  const body = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><d:getetag/>${calendarData}</d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT">${range ? `<c:time-range ${range}/>` : ''}</c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+  const res = await request('REPORT', collectionUrl(calendarId), {
+    body,
+    headers: { 'Content-Type': 'application/xml; charset=utf-8', Depth: '1' },
+  });
+  const events = expandRecurrences(calendarDataFromMultistatus(await res.text()).flatMap(parseICalendar), { timeMin, timeMax });
+  const startMs = (e) => new Date(e.start?.dateTime || e.start?.date).getTime();
+  const endMs = (e) => new Date(e.end?.dateTime || e.end?.date).getTime();
+  // Servers differ in how strictly they apply time-range; re-check the window here
+  const minMs = timeMin ? new Date(timeMin).getTime() : -Infinity;
+  const maxMs = timeMax ? new Date(timeMax).getTime() : Infinity;
+  return events
+    .filter((e) => e.status !== 'cancelled' && endMs(e) > minMs && startMs(e) < maxMs)
+    .filter((e) => !privateProperty || e.extendedProperties?.private?.[privateProperty.key] === String(privateProperty.value))
+    .sort((a, b) => startMs(a) - startMs(b))
+    .slice(0, maxResults);
+}
+
+async function queryFreeBusy({ timeMin, timeMax, calendarIds = ['primary'] }) {
+  const byCalendar = {};
+  for (const id of calendarIds) {
+    const events = await listEvents({ calendarId: id, timeMin, timeMax, maxResults: Infinity });
+    byCalendar[id] = events
+      .filter((e) => e.transparency !== 'transparent')
+      .map((e) => ({
+        start: new Date(e.start.dateTime || e.start.date).toISOString(),
+        end: new Date(e.end.dateTime || e.end.date).toISOString(),
+      }));
+  }
+  return byCalendar;
+}
+
+module.exports = {
+  name: 'caldav',
+  insertEvent,
+  getEvent,
+  updateEvent,
+  deleteEvent,
+  listEvents,
+  queryFreeBusy,
+};
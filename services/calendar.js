@@ -0,0 +1,125 @@
+/**
+ * Calendar access
+ * - One interface over the configured backend: CALENDAR_PROVIDER=google (default) | local | caldav
+ * - Provider contract (services/google-calendar.js, services/local-calendar.js, services/caldav-calendar.js):
+ *     insertEvent(event, { calendarId })            → event
+ *     getEvent(eventId, { calendarId })             → event (rejects with err.code 404 when missing)
+ *     updateEvent(eventId, patch, { calendarId })   → event (patch semantics)
+ *     deleteEvent(eventId, { calendarId })
+ *     listEvents({ calendarId, timeMin, timeMax, privateProperty: { key, value }, maxResults }) → events in start order
+ *     queryFreeBusy({ timeMin, timeMax, calendarIds, timezone }) → { [calendarId]: [{ start, end }] }
+ *   Events use the Google Calendar event shape (summary, description, start/end.dateTime,
+ *   attendees, extendedProperties.private) whatever the backend.
+ * - Convenience helpers on top: createEvent, listUpcomingEvents, findEventsByPrivateProperty, queryFreeBusy
+ */
+const { getDefaultService } = require('./service-catalog');
+
+const PROVIDERS = {
+  google: () => require('./google-calendar'),
+  local: () => require('./local-calendar'),
+  memory: () => require('./local-calendar'),
+  caldav: () => require('./caldav-calendar'),
+};
+
+let provider = null;
+
+function getCalendarProvider() {
+  if (provider) return provider;
+  const name = String(process.env.CALENDAR_PROVIDER || 'google').trim().toLowerCase();
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown CALENDAR_PROVIDER "${name}" (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  provider = PROVIDERS[name]();
+  console.log(`[calendar] using ${provider.name} provider`);
+  return provider;
+}
+
+function isPlainObject(v) {
+  return v && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Google patch semantics for providers without a native patch: nested objects merge, everything else is replaced
+function mergePatch(target, patch) {
+  const out = { ...target };
+  for (const [key, value] of Object.entries(patch)) {
+    out[key] = isPlainObject(value) && isPlainObject(target[key]) ? mergePatch(target[key], value) : value;
+  }
+  return out;
+}
+
+function addMinutes(isoString, minutes) {
+  const d = new Date(isoString);
+  if (Number.isNaN(d.getTime())) throw new Error('Invalid startISO');
+  const end = new Date(d.getTime() + minutes * 60000);
+  return end.toISOString();
+}
+
+async function insertEvent(event, opts) {
+  return getCalendarProvider().insertEvent(event, opts);
+}
+
+// Creates a timed event using startISO and durationMinutes
+// durationMinutes defaults to the catalog's default service
+// If you need end by clock-time instead, compute endISO externally
+async function createEvent({ summary, description, startISO, durationMinutes = getDefaultService().durationMinutes, timezone = 'America/Chicago', calendarId = 'primary' }) {
+  const endISO = addMinutes(startISO, durationMinutes);
+  return insertEvent({
+    summary: summary || 'Appointment',
+    description: description || '',
+    start: { dateTime: startISO, timeZone: timezone },
+    end: { dateTime: endISO, timeZone: timezone },
+  }, { calendarId });
+}
+
+async function getEventById(eventId, opts) {
+  return getCalendarProvider().getEvent(eventId, opts);
+}
+
+async function updateEvent(eventId, patch, opts) {
+  return getCalendarProvider().updateEvent(eventId, patch, opts);
+}
+
+async function deleteEvent(eventId, opts) {
+  return getCalendarProvider().deleteEvent(eventId, opts);
+}
+
+async function listUpcomingEvents({ maxResults = 10, timeMin, timeMax, calendarId = 'primary' } = {}) {
+  return getCalendarProvider().listEvents({ calendarId, timeMin: timeMin || new Date().toISOString(), timeMax, maxResults });
+}
+
+// Upcoming events whose extendedProperties.private[key] === value (e.g. callerPhone)
+async function findEventsByPrivateProperty({ key, value, timeMin, maxResults = 10, calendarId = 'primary' }) {
+  return getCalendarProvider().listEvents({
+    calendarId,
+    timeMin: timeMin || new Date().toISOString(),
+    privateProperty: { key, value },
+    maxResults,
+  });
+}
+
+// Returns { [calendarId]: [{ start, end }] } busy intervals (ISO strings) per calendar, sorted by start
+async function queryFreeBusyByCalendar(opts) {
+  return getCalendarProvider().queryFreeBusy(opts);
+}
+
+// Returns busy intervals [{ start, end }] (ISO strings) across the given calendars, sorted by start
+async function queryFreeBusy(opts) {
+  const byCalendar = await queryFreeBusyByCalendar(opts);
+  const busy = [].concat(...Object.values(byCalendar));
+  busy.sort((a, b) => new Date(a.start) - new Date(b.start));
+  return busy;
+}
+
+module.exports = {
+  getCalendarProvider,
+  mergePatch,
+  insertEvent,
+  createEvent,
+  getEventById,
+  updateEvent,
+  deleteEvent,
+  listUpcomingEvents,
+  findEventsByPrivateProperty,
+  queryFreeBusyByCalendar,
+  queryFreeBusy,
+};
@@ -0,0 +1,131 @@
+/**
+ * Call event store (Postgres, see services/db.js and db/migrations)
+ * - upsertCall: one row per Twilio call, updated as status callbacks arrive
+ * - insertCallEvent: append-only log of what happened on a call (or outside one: reminders, follow-ups)
+ * - insertCallerMessage / insertMessage: what the caller said, and SMS in both directions
+ * - recordAppointment: bookings made, moved or cancelled through us (services/outcomes.js adds what
+ *   happened to them on the same rows)
+ * - Without DATABASE_URL every write is skipped (logged once), so local runs and tests need no database.
+ *   Errors are thrown; callers wrap writes in persist() (or logCallEvent), which logs and drops them,
+ *   so persistence never fails a call
+ */
+const { isDbConfigured, query } = require('./db');
+const { getBookingTags } = require('./appointments');
+
+const FINAL_CALL_STATUSES = ['completed', 'no-answer', 'busy', 'failed', 'canceled'];
+
+let warned = false;
+
+function enabled() {
+  if (isDbConfigured()) return true;
+  if (!warned) {
+    console.warn('[call-store] DATABASE_URL not set; calls, events and messages are not persisted');
+    warned = true;
+  }
+  return false;
+}
+
+/**
+ * Create or update the row for a call; fields left undefined keep their stored value.
+ * @param {{ callSid: string, from?: string, to?: string, status?: string, durationSeconds?: number, humeChatId?: string }} call
+ */
+async function upsertCall({ callSid, from, to, status, durationSeconds, humeChatId }) {
+  if (!enabled() || !callSid) return null;
+  const ended = FINAL_CALL_STATUSES.includes(status);
+  const duration = Number.isFinite(Number(durationSeconds)) && durationSeconds !== '' ? Number(durationSeconds) : null;
+  const { rows } = await query(
+    `insert into calls (call_sid, from_number, to_number, status, duration_seconds, hume_chat_id, ended_at)
+     values ($1, $2, $3, $4, $5, $6, case when $7 then now() end)
+     on conflict (call_sid) do update set
+       from_number = coalesce(excluded.from_number, calls.from_number),
+       to_number = coalesce(excluded.to_number, calls.to_number),
+       status = coalesce(excluded.status, calls.status),
+       duration_seconds = coalesce(excluded.duration_seconds, calls.duration_seconds),
+       hume_chat_id = coalesce(excluded.hume_chat_id, calls.hume_chat_id),
+       ended_at = coalesce(calls.ended_at, excluded.ended_at),
+       updated_at = now()
+     returning *`,
+    [callSid, from || null, to || null, status || null, duration, humeChatId || null, ended],
+  );
+  return rows[0];
+}
+
+/**
+ * @param {{ callSid: string|null, type: string, payload?: object }} evt
+ */
+async function insertCallEvent({ callSid, type, payload }) {
+  if (!enabled()) return null;
+  const { rows } = await query(
+    'insert into call_events (call_sid, type, payload) values ($1, $2, $3) returning id',
+    [callSid || null, type, JSON.stringify(payload || {})],
+  );
+  return rows[0].id;
+}
+
+/**
+ * @param {{ callSid?: string, phone?: string, channel: 'voice'|'sms', direction: 'inbound'|'outbound', body: string }} msg
+ */
+async function insertMessage({ callSid, phone, channel, direction, body }) {
+  if (!enabled()) return null;
+  const { rows } = await query(
+    'insert into messages (call_sid, phone, channel, direction, body) values ($1, $2, $3, $4, $5) returning id',
+    [callSid || null, phone || null, channel, direction, String(body || '')],
+  );
+  return rows[0].id;
+}
+
+// What the caller said on a call; the phone comes from the call row
+async function insertCallerMessage({ callSid, text }) {
+  if (!enabled()) return null;
+  const { rows } = await query(
+    `insert into messages (call_sid, phone, channel, direction, body)
+     values ($1, (select from_number from calls where call_sid = $1), 'voice', 'inbound', $2) returning id`,
+    [callSid || null, String(text || '')],
+  );
+  return rows[0].id;
+}
+
+/**
+ * Record a booking (or its new time / cancellation) from the calendar event.
+ * @param {{ event: object, calendarId: string, status?: 'booked'|'rescheduled'|'cancelled' }} booking
+ */
+async function recordAppointment({ event, calendarId, status = 'booked' }) {
+  if (!enabled()) return null;
+  const tags = getBookingTags(event);
+  await query(
+    `insert into appointments (event_id, calendar_id, call_sid, caller_phone, service_id, staff_id, start_at, end_at, status)
+     values ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     on conflict (calendar_id, event_id) do update set
+       start_at = excluded.start_at,
+       end_at = excluded.end_at,
+       status = excluded.status,
+       updated_at = now()`,
+    [event.id, calendarId, tags.callSid || null, tags.callerPhone || null, tags.serviceId || null, tags.staffId || null,
+      event.start?.dateTime || null, event.end?.dateTime || null, status],
+  );
+  return true;
+}
+
+// Store writes never fail a request or a call: errors are logged and dropped
+async function persist(what, fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    console.error(`[persist] ${what} error`, err?.message || err);
+    return null;
+  }
+}
+
+function logCallEvent(evt) {
+  return persist('insertCallEvent', () => insertCallEvent(evt));
+}
+
+module.exports = {
+  persist,
+  logCallEvent,
+  upsertCall,
+  insertCallEvent,
+  insertMessage,
+  insertCallerMessage,
+  recordAppointment,
+};
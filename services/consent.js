@@ -0,0 +1,140 @@
+/**
+ * SMS consent ledger
+ * - Per-number status: opted_in | opted_out, plus an append-only history of every change
+ *   ({ at, phone, action, source, detail }) as the audit trail
+ * - optIn / optOut: explicit changes (STOP / START keywords, admin, carrier rejections)
+ * - recordImpliedConsent: the customer called or texted us; recorded as opted_in only when the
+ *   number has no status yet, so it never overrides a STOP
+ * - canText: false for opted-out numbers (transactional texts to customers who contacted us), and
+ *   false when the ledger cannot be read: an unknown status never gets a text
+ * - Postgres (db/migrations/005_sms_consent.sql) when DATABASE_URL is set; otherwise kept in memory
+ *   (logged once), which is lost on restart
+ */
+const { isDbConfigured, query, withTransaction } = require('./db');
+const { normalizePhone } = require('./phone');
+
+const memory = { numbers: new Map(), history: [] }; // phone → { status, updatedAt, source }
+let warned = false;
+
+function useDb() {
+  if (isDbConfigured()) return true;
+  if (!warned) {
+    console.warn('[consent] DATABASE_URL not set; opt-outs are kept in memory only');
+    warned = true;
+  }
+  return false;
+}
+
+function fromRow(row) {
+  return { status: row.status, updatedAt: new Date(row.updated_at).toISOString(), source: row.source };
+}
+
+function actionFor(status) {
+  return status === 'opted_out' ? 'opt_out' : 'opt_in';
+}
+
+function logChange(phone, status, source, detail) {
+  console.log(`[consent] ${phone} ${status} (${source}${detail ? `: ${detail}` : ''})`);
+}
+
+// Sets the status and appends to the history; with onlyIfNew, a number that already has a status
+// is left alone (returns its current status, nothing logged)
+async function record(phone, status, { source, detail } = {}, { onlyIfNew = false } = {}) {
+  const p = normalizePhone(phone);
+  if (!p) return null;
+  const src = source || 'unknown';
+  if (useDb()) {
+    return withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `insert into sms_consent (phone, status, source) values ($1, $2, $3)
+         on conflict (phone) do ${onlyIfNew ? 'nothing' : 'update set status = excluded.status, source = excluded.source, updated_at = now()'}
+         returning *`,
+        [p, status, src],
+      );
+      if (!rows[0]) {
+        const current = await client.query('select * from sms_consent where phone = $1', [p]);
+        return current.rows[0] ? fromRow(current.rows[0]) : null;
+      }
+      await client.query(
+        'insert into sms_consent_history (phone, action, source, detail) values ($1, $2, $3, $4)',
+        [p, actionFor(status), src, detail || null],
+      );
+      logChange(p, status, src, detail);
+      return fromRow(rows[0]);
+    });
+  }
+  const current = memory.numbers.get(p);
+  if (onlyIfNew && current) return { ...current };
+  const at = new Date().toISOString();
+  const entry = { status, updatedAt: at, source: src };
+  memory.numbers.set(p, entry);
+  memory.history.push({ at, phone: p, action: actionFor(status), source: src, detail: detail || null });
+  logChange(p, status, src, detail);
+  return { ...entry };
+}
+
+/**
+ * @param {string} phone
+ * @returns {Promise<{ status: string, updatedAt: string, source: string }|null>} null when the number has no status
+ */
+async function getConsent(phone) {
+  const p = normalizePhone(phone);
+  if (!p) return null;
+  if (useDb()) {
+    const { rows } = await query('select * from sms_consent where phone = $1', [p]);
+    return rows[0] ? fromRow(rows[0]) : null;
+  }
+  const entry = memory.numbers.get(p);
+  return entry ? { ...entry } : null;
+}
+
+function optIn(phone, meta) {
+  return record(phone, 'opted_in', meta);
+}
+
+function optOut(phone, meta) {
+  return record(phone, 'opted_out', meta);
+}
+
+function recordImpliedConsent(phone, meta) {
+  return record(phone, 'opted_in', meta, { onlyIfNew: true });
+}
+
+async function canText(phone) {
+  try {
+    const consent = await getConsent(phone);
+    return !consent || consent.status !== 'opted_out';
+  } catch (err) {
+    console.error(`[consent] could not read consent for ${phone}, not texting:`, err?.message || err);
+    return false;
+  }
+}
+
+/**
+ * @param {string} phone
+ * @returns {Promise<object[]>} { at, phone, action, source, detail }, oldest first
+ */
+async function getConsentHistory(phone) {
+  const p = normalizePhone(phone);
+  if (!p) return [];
+  if (useDb()) {
+    const { rows } = await query('select * from sms_consent_history where phone = $1 order by at, id', [p]);
+    return rows.map((row) => ({
+      at: new Date(row.at).toISOString(),
+      phone: row.phone,
+      action: row.action,
+      source: row.source,
+      detail: row.detail,
+    }));
+  }
+  return memory.history.filter((h) => h.phone === p).map((h) => ({ ...h }));
+}
+
+module.exports = {
+  getConsent,
+  optIn,
+  optOut,
+  recordImpliedConsent,
+  canText,
+  getConsentHistory,
+};
@@ -0,0 +1,250 @@
+/**
+ * Customer profiles, keyed by phone
+ * - { phone, name, customerSince, bookings, visits, lastBookedAt, lastVisitAt }; visits are attended
+ *   appointments ({ eventId, date, serviceId, staffId }), recorded from appointment outcomes
+ *   (services/outcomes.js), so a no-show or late cancel never counts
+ * - recordBooking: every booking, any channel; keeps the latest name the customer gave
+ * - Tier comes from history, never from what the caller says:
+ *     Preferred  - customer since PREFERRED_CUSTOMER_SINCE (default 2022-12-31) or earlier
+ *     Returning  - at least one attended visit
+ *     First-Time - otherwise
+ *   customerSince is the first visit; set it through the admin API for customers from before this system
+ * - Preferred barber: the one with the most visits (latest visit breaks ties)
+ * - serviceForCustomer: swaps a tier-priced service (First-Time / Returning / Preferred cut) for the
+ *   one matching the customer's tier
+ * - Postgres (db/migrations/007_customers.sql) when DATABASE_URL is set; otherwise kept in memory
+ *   (logged once), which is lost on restart
+ */
+const { DateTime } = require('luxon');
+const { isDbConfigured, query, withTransaction } = require('./db');
+const { normalizePhone } = require('./phone');
+const { getBookingTags } = require('./appointments');
+const { getServiceCatalog } = require('./service-catalog');
+const { getStaff, getStaffById } = require('./staff');
+
+const HISTORY_TIERS = ['First-Time', 'Returning', 'Preferred'];
+const DEFAULT_PREFERRED_SINCE = '2022-12-31';
+
+const memory = new Map(); // phone → { phone, name, customerSince, bookings, visits, lastBookedAt, lastVisitAt, updatedAt }
+let warned = false;
+
+function useDb() {
+  if (isDbConfigured()) return true;
+  if (!warned) {
+    console.warn('[customers] DATABASE_URL not set; customer profiles are kept in memory only');
+    warned = true;
+  }
+  return false;
+}
+
+function emptyRecord(phone) {
+  return { phone, name: null, customerSince: null, bookings: 0, visits: [], lastBookedAt: null, lastVisitAt: null };
+}
+
+// Memory record for a phone, created on first use
+function memoryRecord(phone) {
+  if (!memory.has(phone)) memory.set(phone, emptyRecord(phone));
+  return memory.get(phone);
+}
+
+// Stored record with its visits (oldest first), or null for a number we have never seen
+async function loadRecord(phone) {
+  if (!useDb()) {
+    const record = memory.get(phone);
+    return record ? { ...record, visits: record.visits.slice() } : null;
+  }
+  const { rows } = await query(
+    `select phone, name, to_char(customer_since, 'YYYY-MM-DD') as customer_since, bookings, last_booked_at, updated_at
+     from customers where phone = $1`,
+    [phone],
+  );
+  if (!rows[0]) return null;
+  const { rows: visits } = await query(
+    `select event_id, to_char(visit_date, 'YYYY-MM-DD') as date, service_id, staff_id
+     from customer_visits where phone = $1 order by visit_date, created_at`,
+    [phone],
+  );
+  const row = rows[0];
+  return {
+    phone: row.phone,
+    name: row.name,
+    customerSince: row.customer_since,
+    bookings: row.bookings,
+    visits: visits.map((v) => ({ eventId: v.event_id, date: v.date, serviceId: v.service_id, staffId: v.staff_id })),
+    lastBookedAt: row.last_booked_at ? new Date(row.last_booked_at).toISOString() : null,
+    lastVisitAt: visits.length ? visits[visits.length - 1].date : null,
+    updatedAt: new Date(row.updated_at).toISOString(),
+  };
+}
+
+function eventDate(event) {
+  return String(event.start?.dateTime || event.start?.date || '').slice(0, 10) || null;
+}
+
+function firstVisitDate(record) {
+  return record.visits.reduce((min, v) => (!min || v.date < min ? v.date : min), null);
+}
+
+function tierFor(record) {
+  const since = record.customerSince || firstVisitDate(record);
+  if (since && since <= (process.env.PREFERRED_CUSTOMER_SINCE || DEFAULT_PREFERRED_SINCE)) return 'Preferred';
+  return record.visits.length ? 'Returning' : 'First-Time';
+}
+
+function preferredStaffFor(record) {
+  if (getStaff().length < 2) return null;
+  const byStaff = new Map();
+  for (const visit of record.visits) {
+    if (!visit.staffId) continue;
+    const entry = byStaff.get(visit.staffId) || { count: 0, last: '' };
+    byStaff.set(visit.staffId, { count: entry.count + 1, last: visit.date > entry.last ? visit.date : entry.last });
+  }
+  const [best] = [...byStaff.entries()].sort(([, a], [, b]) => b.count - a.count || b.last.localeCompare(a.last));
+  const member = best && getStaffById(best[0]);
+  return member ? { id: member.id, name: member.name } : null;
+}
+
+/**
+ * Profile with derived fields; unknown numbers get an empty First-Time profile (known: false).
+ * @returns {Promise<object|null>} null when the phone is not a phone number
+ */
+async function getCustomer(phone) {
+  const p = normalizePhone(phone);
+  if (!p) return null;
+  const stored = await loadRecord(p);
+  const record = stored || emptyRecord(p);
+  return {
+    ...record,
+    known: Boolean(stored),
+    customerSince: record.customerSince || firstVisitDate(record),
+    visitCount: record.visits.length,
+    tier: tierFor(record),
+    preferredStaff: preferredStaffFor(record),
+  };
+}
+
+/**
+ * A booking was made for this phone (voice tool, SMS, post-call).
+ * @param {{ phone: string, name?: string }} booking
+ */
+async function recordBooking({ phone, name }) {
+  const p = normalizePhone(phone);
+  if (!p) return null;
+  const given = String(name || '').trim() || null;
+  if (useDb()) {
+    await query(
+      `insert into customers (phone, name, bookings, last_booked_at) values ($1, $2, 1, now())
+       on conflict (phone) do update set
+         name = coalesce(excluded.name, customers.name),
+         bookings = customers.bookings + 1,
+         last_booked_at = now(),
+         updated_at = now()`,
+      [p, given],
+    );
+  } else {
+    const record = memoryRecord(p);
+    if (given) record.name = given;
+    record.bookings += 1;
+    record.lastBookedAt = new Date().toISOString();
+    record.updatedAt = record.lastBookedAt;
+  }
+  return getCustomer(p);
+}
+
+// An appointment was attended (outcome 'attended'); recording the same event twice is a no-op
+async function recordVisit(event) {
+  const tags = getBookingTags(event);
+  const p = normalizePhone(tags.callerPhone);
+  if (!p) return null;
+  const visit = { eventId: event.id, date: eventDate(event), serviceId: tags.serviceId || null, staffId: tags.staffId || null };
+  let added;
+  if (useDb()) {
+    added = await withTransaction(async (client) => {
+      await client.query('insert into customers (phone) values ($1) on conflict (phone) do nothing', [p]);
+      const { rowCount } = await client.query(
+        `insert into customer_visits (phone, event_id, visit_date, service_id, staff_id) values ($1, $2, $3, $4, $5)
+         on conflict (phone, event_id) do nothing`,
+        [p, visit.eventId, visit.date, visit.serviceId, visit.staffId],
+      );
+      if (rowCount) await client.query('update customers set updated_at = now() where phone = $1', [p]);
+      return rowCount > 0;
+    });
+  } else {
+    const record = memoryRecord(p);
+    added = !record.visits.some((v) => v.eventId === event.id);
+    if (added) {
+      record.visits.push(visit);
+      record.visits.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+      record.lastVisitAt = record.visits[record.visits.length - 1].date;
+      record.updatedAt = new Date().toISOString();
+    }
+  }
+  const customer = await getCustomer(p);
+  if (added) console.log(`[customers] ${p} visit ${event.id} recorded (${customer.visitCount} total)`);
+  return customer;
+}
+
+// The outcome of an event changed away from attended
+async function removeVisit(phone, eventId) {
+  const p = normalizePhone(phone);
+  if (!p) return;
+  if (useDb()) {
+    const { rowCount } = await query('delete from customer_visits where phone = $1 and event_id = $2', [p, eventId]);
+    if (rowCount) await query('update customers set updated_at = now() where phone = $1', [p]);
+    return;
+  }
+  const record = memory.get(p);
+  if (!record || !record.visits.some((v) => v.eventId === eventId)) return;
+  record.visits = record.visits.filter((v) => v.eventId !== eventId);
+  record.lastVisitAt = record.visits.length ? record.visits[record.visits.length - 1].date : null;
+  record.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Admin edits: name, and customerSince (YYYY-MM-DD) for customers who predate this system.
+ */
+async function updateCustomer(phone, { name, customerSince } = {}) {
+  const p = normalizePhone(phone);
+  if (!p) return null;
+  if (customerSince != null && customerSince !== ''
+    && !(/^\d{4}-\d{2}-\d{2}$/.test(String(customerSince)) && DateTime.fromISO(String(customerSince)).isValid)) {
+    throw new Error('customerSince must be YYYY-MM-DD');
+  }
+  const newName = name !== undefined ? String(name || '').trim() || null : undefined;
+  const newSince = customerSince !== undefined ? customerSince || null : undefined;
+  if (useDb()) {
+    await query(
+      `insert into customers (phone, name, customer_since) values ($1, $2, $3)
+       on conflict (phone) do update set
+         name = case when $4 then excluded.name else customers.name end,
+         customer_since = case when $5 then excluded.customer_since else customers.customer_since end,
+         updated_at = now()`,
+      [p, newName ?? null, newSince ?? null, newName !== undefined, newSince !== undefined],
+    );
+  } else {
+    const record = memoryRecord(p);
+    if (newName !== undefined) record.name = newName;
+    if (newSince !== undefined) record.customerSince = newSince;
+    record.updatedAt = new Date().toISOString();
+  }
+  return getCustomer(p);
+}
+
+/**
+ * The catalog service to book for this caller: tier-priced services follow the customer's tier,
+ * anything else (and callers without a phone) is returned unchanged.
+ */
+async function serviceForCustomer(service, phone) {
+  const customer = await getCustomer(phone);
+  if (!service || !customer || !HISTORY_TIERS.includes(service.tier) || service.tier === customer.tier) return service;
+  return getServiceCatalog().find((s) => s.tier === customer.tier) || service;
+}
+
+module.exports = {
+  getCustomer,
+  recordBooking,
+  recordVisit,
+  removeVisit,
+  updateCustomer,
+  serviceForCustomer,
+};
@@ -1,38 +1,205 @@
-function getCurrentDateTimeISO() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const hours = String(now.getHours()).padStart(2, '0');
-  const minutes = String(now.getMinutes()).padStart(2, '0');
-  const seconds = String(now.getSeconds()).padStart(2, '0');
-  return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
-}
-
-// Normalize an ISO-like datetime string to be in the current or next year and future relative to now
-function ensureFutureIso(inputIso) {
+/**
+ * Date and time parsing, always in the business timezone (BUSINESS_TIMEZONE, default America/Chicago)
+ * - Natural language through chrono-node, anchored to "now" in the business timezone, so "tomorrow"
+ *   late in the evening is the business's tomorrow whatever the server clock says
+ * - Forward-looking: "Friday", "the 15th" and "3/4" mean the next one, never a past one; durations
+ *   ("30 minutes", "in 2 hours") are not read as times
+ * - Parts of the day are barbershop hours: morning 9:00, after lunch 13:00, afternoon 15:00,
+ *   evening 17:00 (approximateTime: true); a bare hour 1-7 ("at 3", "3:30") means the afternoon in
+ *   what people say or text, never in tool parameters (parseLocalTime strict24h: "7:30" is 07:30)
+ * - parseDateTimes: every date / time mention in free text (transcripts, SMS, speech);
+ *   parseLocalDate / parseLocalTime: one answer (tool parameters, SMS replies);
+ *   parseRelativeDate: a bookable start time from one spoken answer, or why there is none
+ *   (no_time, past); parseRelativeDateToISO: the same, null when there is none
+ * - "the 15th" is the next 15th of a month (today included); a bare "15th" is not read as a date,
+ *   it is too often something else ("15th street")
+ */
+const chrono = require('chrono-node');
+const { DateTime } = require('luxon');
+
+const PARTS_OF_DAY = [
+  { re: /\bafter\s+lunch\b/i, hour: 13 },
+  { re: /\b(?:in\s+the\s+)?morning\b/i, hour: 9 },
+  { re: /\b(?:in\s+the\s+)?afternoon\b/i, hour: 15 },
+  { re: /\b(?:in\s+the\s+)?evening\b|\btonight\b/i, hour: 17 },
+];
+
+function businessTimezone() {
+  return process.env.BUSINESS_TIMEZONE || 'America/Chicago';
+}
+
+function businessNow(timezone = businessTimezone()) {
+  return DateTime.now().setZone(timezone);
+}
+
+// "YYYY-MM-DD HH:mm:ss" in the business timezone
+function getCurrentDateTimeISO(timezone = businessTimezone()) {
+  return businessNow(timezone).toFormat('yyyy-MM-dd HH:mm:ss');
+}
+
+// chrono's casual English plus "the 15th" (next such day of a month)
+const parser = chrono.casual.clone();
+parser.parsers.push({
+  pattern: () => /\bthe\s+(\d{1,2})(?:st|nd|rd|th)\b(?!\s+of\b)/i,
+  extract: (context, match) => {
+    const day = Number(match[1]);
+    if (day < 1 || day > 31) return null;
+    return context.createParsingComponents({ day });
+  },
+});
+
+/**
+ * Every date / time mention in the text, in order.
+ * @param {string} text
+ * @param {{ timezone?: string, now?: DateTime }} [opts]
+ * @returns {Array<{ index: number, text: string, start: DateTime, hasDate: boolean, hasTime: boolean,
+ *   explicitTime: boolean, approximateTime: boolean }>}
+ *   start is in the business timezone; without a date it is the next time of day at or after now,
+ *   without a time it is the start of the day. explicitTime: am/pm, 24-hour or "noon"
+ */
+function parseDateTimes(text, { timezone = businessTimezone(), now } = {}) {
+  const anchor = (now || businessNow(timezone)).setZone(timezone);
+  const today = anchor.startOf('day');
+  const results = parser.parse(String(text || ''), { instant: anchor.toJSDate(), timezone: anchor.offset }, { forwardDate: true });
+  // Durations ("30 minutes", "in 2 hours") are not appointment times
+  return results.filter((r) => !r.tags().has('result/relativeDateAndTime')).map((r) => {
+    const c = r.start;
+    const hasDate = c.isCertain('day') || c.isCertain('weekday') || c.isCertain('month');
+    const after = String(text).slice(r.index, r.index + r.text.length + 20);
+    const part = !c.isCertain('hour') && PARTS_OF_DAY.find((p) => p.re.test(after));
+    let hour = c.get('hour');
+    let minute = c.get('minute') || 0;
+    let explicitTime = false;
+    if (part) {
+      hour = part.hour;
+      minute = 0;
+    } else if (c.isCertain('hour')) {
+      explicitTime = c.isCertain('meridiem') || hour > 12 || /\b(noon|midday)\b/i.test(r.text);
+      if (!c.isCertain('meridiem') && hour >= 1 && hour <= 7) hour += 12;
+    }
+    const hasTime = c.isCertain('hour') || Boolean(part);
+    let start = DateTime.fromObject(
+      { year: c.get('year'), month: c.get('month'), day: c.get('day'), hour: hasTime ? hour : 0, minute: hasTime ? minute : 0 },
+      { zone: timezone },
+    );
+    // Chrono may push a weekday / day-of-month forward by itself; make sure nothing lands in the past
+    if (hasDate && start.startOf('day') < today) {
+      start = c.isCertain('month') ? start.plus({ years: 1 }) : start.plus({ months: 1 });
+    }
+    if (!hasDate && hasTime) {
+      start = anchor.set({ hour, minute, second: 0, millisecond: 0 });
+      if (start < anchor) start = start.plus({ days: 1 });
+    }
+    return { index: r.index, text: r.text, start, hasDate, hasTime, explicitTime, approximateTime: Boolean(part) };
+  });
+}
+
+/**
+ * Start of an appointment from one spoken / typed answer ("next Tuesday after lunch", "tomorrow at 2pm").
+ * A day without a time is not enough (error no_time, so the caller is asked for a time); a time without
+ * a day is the next such time. A time already past today ("today at 9am" said at 10) is error past,
+ * with the time that was meant, so the caller can be told it has gone by.
+ * @param {{ text: string, timezone?: string, now?: DateTime }} opts
+ * @returns {{ startISO: string|null, error?: 'no_time'|'past', requestedISO?: string }} ISO datetimes
+ *   with the business timezone offset
+ */
+function parseRelativeDate({ text, timezone = businessTimezone(), now } = {}) {
+  const anchor = (now || businessNow(timezone)).setZone(timezone);
+  const mentions = parseDateTimes(text, { timezone, now: anchor });
+  const time = mentions.find((m) => m.hasTime);
+  if (!time) return { startISO: null, error: 'no_time' };
+  const day = time.hasDate ? time : mentions.find((m) => m.hasDate);
+  const start = day && day !== time
+    ? day.start.set({ hour: time.start.hour, minute: time.start.minute })
+    : time.start;
+  const iso = start.toISO({ suppressMilliseconds: true });
+  if (start < anchor) return { startISO: null, error: 'past', requestedISO: iso };
+  return { startISO: iso };
+}
+
+/**
+ * parseRelativeDate without the reason.
+ * @returns {string|null} ISO datetime with the business timezone offset
+ */
+function parseRelativeDateToISO(opts) {
+  return parseRelativeDate(opts).startISO;
+}
+
+/**
+ * Fix a stale year (e.g. a model answering with last year's date): a year in the past becomes this
+ * year. Nothing else moves; a time earlier this year stays as it is. Naive inputs (no offset) are read
+ * as business-timezone wall clock time.
+ * @returns {string} ISO datetime in the business timezone (the input unchanged if unparsable)
+ */
+function ensureFutureIso(inputIso, { timezone = businessTimezone(), now } = {}) {
   if (!inputIso) return inputIso;
-  // Use the user's function as the source of "now"
-  const nowStr = getCurrentDateTimeISO(); // e.g. "YYYY-MM-DD HH:mm:ss"
-  // Convert to a Date by swapping space for 'T' (assumes local time)
-  const now = new Date(nowStr.replace(' ', 'T'));
-
-  const parsed = new Date(inputIso);
-  if (Number.isNaN(parsed.getTime())) return inputIso;
-
-  let candidate = new Date(parsed.getTime());
-  const currentYear = now.getFullYear();
-  if (candidate.getFullYear() < currentYear) {
-    candidate.setFullYear(currentYear);
+  const anchor = (now || businessNow(timezone)).setZone(timezone);
+  let candidate = DateTime.fromISO(String(inputIso), { zone: timezone, setZone: false });
+  if (!candidate.isValid) return inputIso;
+  candidate = candidate.setZone(timezone);
+  if (candidate.year < anchor.year) candidate = candidate.set({ year: anchor.year });
+  return candidate.toISO({ suppressMilliseconds: true });
+}
+
+// Parse a local calendar date in the given timezone
+// Accepts YYYY-MM-DD, MM/DD/YYYY, MM/DD (the next one), or natural language ("Friday", "the 15th", "tomorrow")
+// Impossible dates (2026-02-30) are null; now (tests) defaults to the current business time
+function parseLocalDate(dStr, timezone = businessTimezone(), { now } = {}) {
+  const input = String(dStr || '').trim();
+  if (!input) return null;
+  const nowTz = (now || businessNow(timezone)).setZone(timezone);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(input)) {
+    const [year, month, day] = input.split('-').map((n) => Number(n));
+    return DateTime.fromObject({ year, month, day }, { zone: timezone }).isValid ? { year, month, day } : null;
   }
-  if (candidate < now) {
-    candidate.setFullYear(candidate.getFullYear() + 1);
+  const mmddyyyy = DateTime.fromFormat(input, 'M/d/yyyy', { zone: timezone });
+  if (mmddyyyy.isValid) return { year: mmddyyyy.year, month: mmddyyyy.month, day: mmddyyyy.day };
+  let mmdd = DateTime.fromFormat(input, 'M/d', { zone: timezone }).set({ year: nowTz.year });
+  if (mmdd.isValid) {
+    if (mmdd < nowTz.startOf('day')) mmdd = mmdd.plus({ years: 1 });
+    return { year: mmdd.year, month: mmdd.month, day: mmdd.day };
   }
-  return candidate.toISOString();
+  const iso = DateTime.fromISO(input, { zone: timezone });
+  if (iso.isValid) return { year: iso.year, month: iso.month, day: iso.day };
+  const mention = parseDateTimes(input, { timezone, now: nowTz }).find((m) => m.hasDate);
+  if (mention) return { year: mention.start.year, month: mention.start.month, day: mention.start.day };
+  return null;
 }
 
-console.log(getCurrentDateTimeISO());
-
-module.exports = { getCurrentDateTimeISO, ensureFutureIso };
-
+// Parse a wall-clock time. Accepts HH:mm (24-hour), a bare hour or H:mm (1-7 is the afternoon),
+// h:mm a, h a, a part of the day ("morning", "after lunch"), or natural language ("noon").
+// strict24h: digits are always 24-hour ("7:30" is 07:30), for tool parameters documented as HH:mm (24h)
+function parseLocalTime(tStr, timezone = businessTimezone(), { strict24h = false } = {}) {
+  const input = String(tStr || '').trim().toLowerCase();
+  if (!input) return null;
+  const part = !/\d/.test(input) && PARTS_OF_DAY.find((p) => p.re.test(input));
+  if (part) return { hour: part.hour, minute: 0 };
+  // "3", "3:30": same rule as spoken times; zero-padded "03:30" and "15:30" are 24-hour
+  const bare = input.match(/^(\d{1,2})(?::([0-5]\d))?$/);
+  if (bare) {
+    const hour = Number(bare[1]);
+    if (hour > 23) return null;
+    const afternoon = !strict24h && bare[1].length === 1 && hour >= 1 && hour <= 7;
+    return { hour: afternoon ? hour + 12 : hour, minute: Number(bare[2] || 0) };
+  }
+  const candidates = ['h:mm a', 'h a', 'ha', 'h:mma'];
+  for (const fmt of candidates) {
+    const dt = DateTime.fromFormat(input, fmt, { zone: timezone, locale: 'en-US' });
+    if (dt.isValid) return { hour: dt.hour, minute: dt.minute };
+  }
+  const mention = parseDateTimes(input, { timezone }).find((m) => m.hasTime);
+  if (mention) return { hour: mention.start.hour, minute: mention.start.minute };
+  return null;
+}
 
+module.exports = {
+  businessTimezone,
+  businessNow,
+  getCurrentDateTimeISO,
+  parseDateTimes,
+  parseRelativeDate,
+  parseRelativeDateToISO,
+  ensureFutureIso,
+  parseLocalDate,
+  parseLocalTime,
+};
@@ -0,0 +1,82 @@
+/**
+ * Postgres session store (see services/session-store.js; table from db/migrations/002_sessions.sql)
+ * - Shared by every instance; expired rows are ignored on read and purged at most every PURGE_INTERVAL_MS
+ * - update() locks the row (select ... for update) inside a transaction; a missing row is inserted
+ *   first so two instances updating a new key still serialize
+ */
+const { query, withTransaction } = require('./db');
+
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+let lastPurge = 0;
+
+function expiresAt(ttlMs) {
+  return new Date(Date.now() + ttlMs).toISOString();
+}
+
+async function purgeExpired() {
+  if (Date.now() - lastPurge < PURGE_INTERVAL_MS) return;
+  lastPurge = Date.now();
+  try {
+    await query('delete from sessions where expires_at <= now()');
+  } catch (err) {
+    console.error('[sessions] purge failed:', err?.message || err);
+  }
+}
+
+async function get(namespace, key) {
+  const { rows } = await query(
+    'select value from sessions where namespace = $1 and key = $2 and expires_at > now() and value is not null',
+    [namespace, key],
+  );
+  return rows.length ? rows[0].value : null;
+}
+
+async function set(namespace, key, value, { ttlMs }) {
+  if (value == null) return del(namespace, key);
+  await query(
+    `insert into sessions (namespace, key, value, expires_at) values ($1, $2, $3, $4)
+     on conflict (namespace, key) do update set value = excluded.value, expires_at = excluded.expires_at, updated_at = now()`,
+    [namespace, key, JSON.stringify(value), expiresAt(ttlMs)],
+  );
+  await purgeExpired();
+}
+
+async function update(namespace, key, fn, { ttlMs }) {
+  const next = await withTransaction(async (client) => {
+    // Placeholder row (already expired) so there is always a row to lock
+    await client.query(
+      'insert into sessions (namespace, key, value, expires_at) values ($1, $2, null, now()) on conflict do nothing',
+      [namespace, key],
+    );
+    const { rows } = await client.query(
+      'select value, expires_at > now() as live from sessions where namespace = $1 and key = $2 for update',
+      [namespace, key],
+    );
+    const current = rows[0] && rows[0].live ? rows[0].value : null;
+    const value = fn(current);
+    if (value == null) {
+      await client.query('delete from sessions where namespace = $1 and key = $2', [namespace, key]);
+      return null;
+    }
+    await client.query(
+      'update sessions set value = $3, expires_at = $4, updated_at = now() where namespace = $1 and key = $2',
+      [namespace, key, JSON.stringify(value), expiresAt(ttlMs)],
+    );
+    return JSON.parse(JSON.stringify(value));
+  });
+  await purgeExpired();
+  return next;
+}
+
+async function del(namespace, key) {
+  await query('delete from sessions where namespace = $1 and key = $2', [namespace, key]);
+}
+
+module.exports = {
+  name: 'db',
+  get,
+  set,
+  update,
+  delete: del,
+};
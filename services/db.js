@@ -0,0 +1,100 @@
+/**
+ * Postgres connection and schema migrations
+ * - DATABASE_URL (any Postgres: local docker-compose, Supabase, Render, Neon); add ?sslmode=require
+ *   for hosted databases. Unset: isDbConfigured() is false and the stores skip persistence
+ * - query(text, params): pooled query (pg); PG_POOL_MAX caps connections (default 5, keep it low on serverless)
+ * - withTransaction(fn): fn(client) inside begin/commit, rolled back if it throws
+ * - migrate(): applies db/migrations/*.sql in file-name order, once each, tracked in schema_migrations;
+ *   run by `npm run db:migrate` and by the standalone server before it starts listening. A session
+ *   advisory lock makes concurrent runs (several instances starting at once) wait for each other
+ *   instead of applying the same file twice
+ */
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+const MIGRATION_LOCK_ID = 726351; // arbitrary, app-wide key for pg_advisory_lock
+
+let pool = null;
+
+function isDbConfigured() {
+  return Boolean(process.env.DATABASE_URL);
+}
+
+function getPool() {
+  if (!isDbConfigured()) throw new Error('DATABASE_URL not configured');
+  if (!pool) {
+    pool = new Pool({ connectionString: process.env.DATABASE_URL, max: Number(process.env.PG_POOL_MAX || 5) });
+    pool.on('error', (err) => console.error('[db] idle client error:', err?.message || err));
+  }
+  return pool;
+}
+
+async function query(text, params) {
+  return getPool().query(text, params);
+}
+
+async function withTransaction(fn) {
+  const client = await getPool().connect();
+  try {
+    await client.query('begin');
+    const result = await fn(client);
+    await client.query('commit');
+    return result;
+  } catch (err) {
+    await client.query('rollback').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply pending migrations, each in its own transaction, holding the migration advisory lock.
+ * @returns {Promise<string[]>} names of the migrations applied
+ */
+async function migrate() {
+  const client = await getPool().connect();
+  try {
+    await client.query('select pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+  } catch (err) {
+    client.release();
+    throw err;
+  }
+  try {
+    await client.query('create table if not exists schema_migrations (name text primary key, applied_at timestamptz not null default now())');
+    const { rows } = await client.query('select name from schema_migrations');
+    const done = new Set(rows.map((r) => r.name));
+    const pending = fs.readdirSync(MIGRATIONS_DIR).filter((f) => f.endsWith('.sql') && !done.has(f)).sort();
+    for (const name of pending) {
+      await client.query('begin');
+      try {
+        await client.query(fs.readFileSync(path.join(MIGRATIONS_DIR, name), 'utf8'));
+        await client.query('insert into schema_migrations (name) values ($1)', [name]);
+        await client.query('commit');
+        console.log(`[db] applied migration ${name}`);
+      } catch (err) {
+        await client.query('rollback');
+        throw new Error(`Migration ${name} failed: ${err?.message || err}`);
+      }
+    }
+    return pending;
+  } finally {
+    await client.query('select pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function closeDb() {
+  if (pool) await pool.end();
+  pool = null;
+}
+
+module.exports = {
+  isDbConfigured,
+  query,
+  withTransaction,
+  migrate,
+  closeDb,
+};
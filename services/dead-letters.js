@@ -0,0 +1,138 @@
+/**
+ * Dead-letter queue for post-call processing
+ * - One entry per call whose post-call job failed: { callSid, callerPhone, humeChatId, stage, error, attempts, status };
+ *   humeChatId once the call was matched to its chat, so a retry does not need the (expired) link
+ *   stage: correlate (no Hume chat for the call) | fetch (Hume API) | book (calendar / SMS)
+ * - A failed retry updates the entry (attempts + 1, latest error); a successful one marks it resolved
+ * - Postgres (db/migrations/004_post_call_dead_letters.sql) when DATABASE_URL is set; otherwise kept in
+ *   memory (logged once), which is lost on restart
+ */
+const { isDbConfigured, query } = require('./db');
+const { normalizePhone } = require('./phone');
+
+const DEAD_LETTER_STATUSES = ['pending', 'resolved'];
+
+const memory = new Map(); // callSid → entry
+let warned = false;
+
+function useDb() {
+  if (isDbConfigured()) return true;
+  if (!warned) {
+    console.warn('[dead-letters] DATABASE_URL not set; failed post-call jobs are kept in memory only');
+    warned = true;
+  }
+  return false;
+}
+
+function fromRow(row) {
+  return {
+    callSid: row.call_sid,
+    callerPhone: row.caller_phone,
+    humeChatId: row.hume_chat_id,
+    stage: row.stage,
+    error: row.error,
+    attempts: row.attempts,
+    status: row.status,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+    resolvedAt: row.resolved_at ? new Date(row.resolved_at).toISOString() : null,
+  };
+}
+
+/**
+ * Record a failed post-call job (again, for a failed retry).
+ * @param {{ callSid: string, callerPhone?: string, humeChatId?: string, stage: string, error: string }} failure
+ * @returns {Promise<object>} the entry
+ */
+async function addDeadLetter({ callSid, callerPhone, humeChatId, stage, error }) {
+  const phone = normalizePhone(callerPhone) || callerPhone || null;
+  if (useDb()) {
+    const { rows } = await query(
+      `insert into post_call_dead_letters (call_sid, caller_phone, hume_chat_id, stage, error)
+       values ($1, $2, $3, $4, $5)
+       on conflict (call_sid) do update set
+         caller_phone = coalesce(excluded.caller_phone, post_call_dead_letters.caller_phone),
+         hume_chat_id = coalesce(excluded.hume_chat_id, post_call_dead_letters.hume_chat_id),
+         stage = excluded.stage,
+         error = excluded.error,
+         attempts = post_call_dead_letters.attempts + 1,
+         status = 'pending',
+         resolved_at = null,
+         updated_at = now()
+       returning *`,
+      [callSid, phone, humeChatId || null, stage, String(error)],
+    );
+    return fromRow(rows[0]);
+  }
+  const now = new Date().toISOString();
+  const current = memory.get(callSid);
+  const entry = {
+    callSid,
+    callerPhone: phone || current?.callerPhone || null,
+    humeChatId: humeChatId || current?.humeChatId || null,
+    stage,
+    error: String(error),
+    attempts: (current?.attempts || 0) + 1,
+    status: 'pending',
+    createdAt: current?.createdAt || now,
+    updatedAt: now,
+    resolvedAt: null,
+  };
+  memory.set(callSid, entry);
+  return { ...entry };
+}
+
+async function getDeadLetter(callSid) {
+  if (useDb()) {
+    const { rows } = await query('select * from post_call_dead_letters where call_sid = $1', [callSid]);
+    return rows[0] ? fromRow(rows[0]) : null;
+  }
+  const entry = memory.get(callSid);
+  return entry ? { ...entry } : null;
+}
+
+/**
+ * @param {{ status?: 'pending'|'resolved'|'all', limit?: number }} [opts]
+ * @returns {Promise<object[]>} newest first
+ */
+async function listDeadLetters({ status = 'pending', limit = 100 } = {}) {
+  const max = Math.min(Math.max(Number(limit) || 100, 1), 500);
+  if (useDb()) {
+    const { rows } = await query(
+      `select * from post_call_dead_letters where ($1::text is null or status = $1)
+       order by updated_at desc limit $2`,
+      [status === 'all' ? null : status, max],
+    );
+    return rows.map(fromRow);
+  }
+  return [...memory.values()]
+    .filter((e) => status === 'all' || e.status === status)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, max)
+    .map((e) => ({ ...e }));
+}
+
+// The call was processed after all; no-op when it never failed
+async function resolveDeadLetter(callSid) {
+  if (useDb()) {
+    const { rowCount } = await query(
+      `update post_call_dead_letters set status = 'resolved', resolved_at = now(), updated_at = now()
+       where call_sid = $1 and status = 'pending'`,
+      [callSid],
+    );
+    return rowCount > 0;
+  }
+  const entry = memory.get(callSid);
+  if (!entry || entry.status !== 'pending') return false;
+  const now = new Date().toISOString();
+  Object.assign(entry, { status: 'resolved', resolvedAt: now, updatedAt: now });
+  return true;
+}
+
+module.exports = {
+  DEAD_LETTER_STATUSES,
+  addDeadLetter,
+  getDeadLetter,
+  listDeadLetters,
+  resolveDeadLetter,
+};
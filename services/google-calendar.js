@@ -1,21 +1,14 @@
 /**
- * Google Calendar service
+ * Google Calendar provider (see services/calendar.js for the provider contract)
  * - OAuth via env (client id/secret/redirect + refresh token)
- * - createEvent: insert timed event using startISO + duration + timezone
- * - listUpcomingEvents: simple listing (primary calendar)
- * - getEventById: fetch single event
+ * - insertEvent / getEvent / updateEvent / deleteEvent: event CRUD on one calendar
+ * - listEvents: single events in start order, optionally filtered by a private extended property
+ * - queryFreeBusy: busy intervals per calendar
  */
 const path = require('path');
 require('dotenv').config({ path: path.resolve(process.cwd(), '.env.local') });
 const { google } = require('googleapis');
 
-function addMinutes(isoString, minutes) {
-  const d = new Date(isoString);
-  if (Number.isNaN(d.getTime())) throw new Error('Invalid startISO');
-  const end = new Date(d.getTime() + minutes * 60000);
-  return end.toISOString();
-}
-
 function getOAuthClientFromEnv() {
   const {
     GOOGLE_CLIENT_ID,
@@ -35,33 +28,41 @@ function getOAuthClientFromEnv() {
   return oauth2Client;
 }
 
-// Creates a timed event using startISO and durationMinutes on 'primary' calendar
-// If you need end by clock-time instead, compute endISO externally
-async function createEvent({ summary, description, startISO, durationMinutes = 30, timezone = 'America/Chicago' }) {
-  const auth = getOAuthClientFromEnv();
-  const calendar = google.calendar({ version: 'v3', auth });
-  const endISO = addMinutes(startISO, durationMinutes);
-  const event = {
-    summary: summary || 'Appointment',
-    description: description || '',
-    start: { dateTime: startISO, timeZone: timezone },
-    end: { dateTime: endISO, timeZone: timezone },
-  };
-  const res = await calendar.events.insert({
-    calendarId: 'primary',
-    requestBody: event,
+function getCalendarClient() {
+  return google.calendar({ version: 'v3', auth: getOAuthClientFromEnv() });
+}
+
+async function insertEvent(event, { calendarId = 'primary' } = {}) {
+  const res = await getCalendarClient().events.insert({ calendarId, requestBody: event, sendUpdates: 'all' });
+  return res.data;
+}
+
+async function getEvent(eventId, { calendarId = 'primary' } = {}) {
+  const res = await getCalendarClient().events.get({ calendarId, eventId });
+  return res.data;
+}
+
+// Patch an existing event; only the fields present in `patch` are changed
+async function updateEvent(eventId, patch, { calendarId = 'primary' } = {}) {
+  const res = await getCalendarClient().events.patch({
+    calendarId,
+    eventId,
+    requestBody: patch,
     sendUpdates: 'all',
   });
   return res.data;
 }
 
-module.exports = { createEvent };
-async function listUpcomingEvents({ maxResults = 10, timeMin } = {}) {
-  const auth = getOAuthClientFromEnv();
-  const calendar = google.calendar({ version: 'v3', auth });
-  const res = await calendar.events.list({
-    calendarId: 'primary',
-    timeMin: timeMin || new Date().toISOString(),
+async function deleteEvent(eventId, { calendarId = 'primary' } = {}) {
+  await getCalendarClient().events.delete({ calendarId, eventId, sendUpdates: 'all' });
+}
+
+async function listEvents({ calendarId = 'primary', timeMin, timeMax, privateProperty, maxResults = 10 } = {}) {
+  const res = await getCalendarClient().events.list({
+    calendarId,
+    timeMin,
+    timeMax,
+    privateExtendedProperty: privateProperty ? [`${privateProperty.key}=${privateProperty.value}`] : undefined,
     singleEvents: true,
     orderBy: 'startTime',
     maxResults,
@@ -69,14 +70,36 @@ async function listUpcomingEvents({ maxResults = 10, timeMin } = {}) {
   return res.data.items || [];
 }
 
-async function getEventById(eventId) {
-  const auth = getOAuthClientFromEnv();
-  const calendar = google.calendar({ version: 'v3', auth });
-  const res = await calendar.events.get({ calendarId: 'primary', eventId });
-  return res.data;
+// Returns { [calendarId]: [{ start, end }] } busy intervals (ISO strings) per calendar, sorted by start
+async function queryFreeBusy({ timeMin, timeMax, calendarIds = ['primary'], timezone = 'America/Chicago' }) {
+  const res = await getCalendarClient().freebusy.query({
+    requestBody: {
+      timeMin,
+      timeMax,
+      timeZone: timezone,
+      items: calendarIds.map((id) => ({ id })),
+    },
+  });
+  const calendars = res.data.calendars || {};
+  const byCalendar = {};
+  for (const id of calendarIds) {
+    const entry = calendars[id] || {};
+    if (entry.errors && entry.errors.length) {
+      throw new Error(`freebusy error for calendar ${id}: ${entry.errors.map((e) => e.reason).join(', ')}`);
+    }
+    byCalendar[id] = (entry.busy || [])
+      .map((b) => ({ start: b.start, end: b.end }))
+      .sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+  return byCalendar;
 }
 
-module.exports.listUpcomingEvents = listUpcomingEvents;
-module.exports.getEventById = getEventById;
-
-
+module.exports = {
+  name: 'google',
+  insertEvent,
+  getEvent,
+  updateEvent,
+  deleteEvent,
+  listEvents,
+  queryFreeBusy,
+};
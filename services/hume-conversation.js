@@ -2,13 +2,15 @@
  * Hume Conversation Retrieval and Parsing
  * 
  * Fetches conversation data from Hume after a call ends,
- * parses appointment details, and prepares for booking.
+ * extracts appointment details (services/appointment-extractor.js), and prepares for booking.
+ * toTranscriptTurns turns the raw chat events into the archived transcript (services/transcripts.js).
  */
 
-const { DateTime } = require('luxon');
 const { HumeClient } = require('hume');
+const { extractAppointment } = require('./appointment-extractor');
 
 const HUME_API_KEY = process.env.HUME_API_KEY;
+const CHAT_MATCH_WINDOW_MS = 2 * 60 * 1000;
 
 /**
  * Fetch all chat events from Hume using the SDK iterator
@@ -43,7 +45,7 @@ async function fetchHumeConversation(chatId) {
       .map(event => ({
         role: event.type === 'USER_MESSAGE' ? 'user' : 'assistant',
         message: {
-          content: event.message_text || event.text || ''
+          content: eventText(event)
         },
         timestamp: event.timestamp
       }));
@@ -51,6 +53,7 @@ async function fetchHumeConversation(chatId) {
     return {
       id: chatId,
       event_messages: messages,
+      turns: toTranscriptTurns(allChatEvents),
       all_events: allChatEvents, // Keep all events for debugging
     };
   } catch (err) {
@@ -59,11 +62,73 @@ async function fetchHumeConversation(chatId) {
   }
 }
 
+// The SDK returns camelCase fields; raw API payloads use snake_case
+function eventText(event) {
+  return event.messageText ?? event.message_text ?? event.text ?? '';
+}
+
+// Hume timestamps are epoch seconds or milliseconds depending on the endpoint
+function eventTime(event) {
+  const ts = Number(event.timestamp);
+  if (!Number.isFinite(ts)) return null;
+  return new Date(ts < 1e12 ? ts * 1000 : ts).toISOString();
+}
+
+function parseJson(text) {
+  try { return JSON.parse(text); } catch (_) { return null; }
+}
+
+const TURN_ROLES = {
+  USER_MESSAGE: 'caller',
+  USER_INTERRUPTION: 'caller',
+  AGENT_MESSAGE: 'agent',
+  FUNCTION_CALL: 'tool_call',
+  FUNCTION_CALL_RESPONSE: 'tool_response',
+  CHAT_START_MESSAGE: 'system',
+  CHAT_END_MESSAGE: 'system',
+};
+
+/**
+ * Speaker turns, in order: { seq, role: caller | agent | tool_call | tool_response | system, type, text, toolName, data, at }.
+ * Tool calls keep their parameters / result in data; the system prompt and audio markers are left out.
+ */
+function toTranscriptTurns(chatEvents) {
+  const toolNames = new Map(); // tool_call_id -> name, so responses carry the tool they answer
+  return (chatEvents || [])
+    .filter((event) => TURN_ROLES[event.type])
+    .map((event) => ({ event, time: Number(event.timestamp) || 0 }))
+    .sort((a, b) => a.time - b.time)
+    .map(({ event }, i) => {
+      const role = TURN_ROLES[event.type];
+      const text = eventText(event);
+      const isTool = role === 'tool_call' || role === 'tool_response';
+      const data = isTool ? parseJson(text) : null;
+      let toolName = null;
+      if (isTool) {
+        toolName = data?.name || data?.tool_name || toolNames.get(data?.tool_call_id) || null;
+        if (role === 'tool_call' && data?.tool_call_id && toolName) toolNames.set(data.tool_call_id, toolName);
+      }
+      return {
+        seq: i + 1,
+        role,
+        type: event.type,
+        text: role === 'tool_call' && data?.name ? `${data.name} ${data.parameters || ''}`.trim() : text,
+        toolName,
+        data,
+        at: eventTime(event),
+      };
+    });
+}
+
 /**
- * List recent Hume chats and find the one matching the call time/duration
- * This is a fallback when we don't have the chat_id stored
+ * Last resort when the chat_started webhook did not link a call (services/hume-correlation.js):
+ * the one Hume chat that started within CHAT_MATCH_WINDOW_MS of the call. Throws when there is
+ * none, or more than one (overlapping calls) — a wrong guess would attach another caller's
+ * conversation to this call.
+ * @param {string|Date} callStartedAt - when the call was handed to Hume
+ * @param {string} phoneNumber - caller; must match the chat metadata when Hume reports one
  */
-async function findRecentHumeChat(callTimestamp, phoneNumber) {
+async function findRecentHumeChat(callStartedAt, phoneNumber) {
   if (!HUME_API_KEY) {
     throw new Error('HUME_API_KEY not configured');
   }
@@ -74,165 +139,63 @@ async function findRecentHumeChat(callTimestamp, phoneNumber) {
   const recentChats = [];
 
   try {
-    // List recent chats using the SDK
     const chatsIterator = await client.empathicVoice.chats.listChats({
-      pageSize: 20, // Get last 20 chats to find a match
+      pageSize: 20,
+      ascendingOrder: false,
     });
 
-    // Collect chats from iterator (limit to first page for speed)
-    let count = 0;
+    // First page only: the call just ended
     for await (const chat of chatsIterator) {
       recentChats.push(chat);
-      count++;
-      if (count >= 20) break; // Stop after first page
+      if (recentChats.length >= 20) break;
     }
 
     console.log(`[hume-api] found ${recentChats.length} recent chats`);
-    
-    // Find the most recent chat that matches the call time (within 2 minutes)
-    const callTime = new Date(callTimestamp).getTime();
-    for (const chat of recentChats) {
-      const chatStartTime = new Date(chat.startTimestamp || chat.start_timestamp).getTime();
-      const timeDiff = Math.abs(callTime - chatStartTime);
-      
-      // If chat started within 2 minutes of the call, it's likely a match
-      if (timeDiff < 120000) { // 2 minutes tolerance
-        console.log(`[hume-api] found matching chat: ${chat.id} (time diff: ${Math.round(timeDiff/1000)}s)`);
-        return chat.id;
-      }
-    }
-    
-    // If no exact match, return the most recent chat
-    if (recentChats.length > 0) {
-      console.log(`[hume-api] no exact match, using most recent chat: ${recentChats[0].id}`);
-      return recentChats[0].id;
+
+    const callTime = new Date(callStartedAt).getTime();
+    if (!Number.isFinite(callTime)) throw new Error('call start time unknown');
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    const candidates = recentChats.filter((chat) => {
+      const ts = Number(chat.startTimestamp ?? chat.start_timestamp);
+      const startMs = ts < 1e12 ? ts * 1000 : ts;
+      if (!(Math.abs(callTime - startMs) < CHAT_MATCH_WINDOW_MS)) return false;
+      const caller = chatCallerNumber(chat);
+      return !caller || !digits || caller.replace(/\D/g, '') === digits;
+    });
+
+    if (candidates.length === 1) {
+      console.log(`[hume-api] found matching chat: ${candidates[0].id}`);
+      return candidates[0].id;
     }
-    
-    throw new Error('No recent Hume chats found');
+    throw new Error(candidates.length
+      ? `${candidates.length} Hume chats started within ${CHAT_MATCH_WINDOW_MS / 1000}s of the call; refusing to guess`
+      : `no Hume chat started within ${CHAT_MATCH_WINDOW_MS / 1000}s of the call`);
   } catch (err) {
     console.error(`[hume-api] error listing chats:`, err?.message || err);
     throw err;
   }
 }
 
+// Caller number from the chat metadata (stringified JSON), when Hume includes one
+function chatCallerNumber(chat) {
+  const meta = typeof chat.metadata === 'string' ? parseJson(chat.metadata) : chat.metadata;
+  const number = meta?.caller_number || meta?.callerNumber || meta?.from;
+  return number ? String(number) : null;
+}
+
 /**
- * Parse appointment details from conversation text
- * Looks for date, time, and customer info
+ * Appointment details from a fetched conversation (see services/appointment-extractor.js)
+ * @param {object} conversation
+ * @param {{ customerPhone?: string }} [opts] - the call's Twilio From
+ * @returns {Promise<object>} { found, date, startTime, endTime, timezone, customerName, customerPhone, serviceId, ..., confidence }
  */
-function parseAppointmentFromConversation(conversation) {
-  const timezone = process.env.BUSINESS_TIMEZONE || 'America/Chicago';
-  const now = DateTime.now().setZone(timezone);
-  
-  // Combine all messages into full text
-  // Hume format: event_messages array with { role, message: { content } }
-  // or legacy format: messages array with { content }
-  let messages = conversation.event_messages || conversation.messages || [];
-  const fullText = messages
-    .map(m => {
-      // Hume format
-      if (m.message && m.message.content) return m.message.content;
-      // Legacy format
-      if (m.content) return m.content;
-      if (m.text) return m.text;
-      return '';
-    })
-    .join(' ')
-    .toLowerCase();
-
-  console.log('[parse-appointment] analyzing conversation text...');
-
-  // Extract customer phone number (from Twilio, should be in metadata)
-  const customerPhone = conversation.metadata?.from || conversation.from || '';
-  
-  // Extract customer name (look for "my name is X" or "I'm X")
-  const nameMatch = fullText.match(/(?:my name is|i'm|i am|this is)\s+([a-z]+(?:\s+[a-z]+)?)/i);
-  const customerName = nameMatch ? nameMatch[1].trim() : '';
-
-  // Date parsing - look for relative dates and specific dates
-  let appointmentDate = null;
-  
-  // Check for "tomorrow"
-  if (fullText.includes('tomorrow')) {
-    appointmentDate = now.plus({ days: 1 });
-  }
-  // Check for "today"
-  else if (fullText.includes('today')) {
-    appointmentDate = now;
-  }
-  // Check for day of week (e.g., "monday", "next tuesday")
-  else {
-    const dayMatch = fullText.match(/(?:next\s+)?(monday|tuesday|wednesday|thursday|friday|saturday|sunday)/i);
-    if (dayMatch) {
-      const targetDay = dayMatch[1].toLowerCase();
-      const daysOfWeek = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-      const targetDayIndex = daysOfWeek.indexOf(targetDay) + 1; // luxon uses 1=Monday
-      
-      let candidate = now.set({ weekday: targetDayIndex });
-      if (candidate <= now || fullText.includes('next')) {
-        candidate = candidate.plus({ weeks: 1 });
-      }
-      appointmentDate = candidate;
-    }
-  }
-  
-  // Check for specific date formats (MM/DD, November 15, etc.)
-  const dateMatch = fullText.match(/(\d{1,2})[\/\-](\d{1,2})/);
-  if (dateMatch && !appointmentDate) {
-    const month = parseInt(dateMatch[1]);
-    const day = parseInt(dateMatch[2]);
-    appointmentDate = DateTime.fromObject({ 
-      year: now.year, 
-      month, 
-      day 
-    }, { zone: timezone });
-    
-    // If date is in the past, assume next year
-    if (appointmentDate < now) {
-      appointmentDate = appointmentDate.plus({ years: 1 });
-    }
-  }
-
-  // Time parsing - look for times like "2pm", "14:00", "2:30"
-  let startTime = null;
-  let endTime = null;
-  
-  const timeMatch = fullText.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i);
-  if (timeMatch) {
-    let hour = parseInt(timeMatch[1]);
-    const minute = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-    const meridian = timeMatch[3]?.toLowerCase();
-    
-    // Convert to 24-hour format
-    if (meridian === 'pm' && hour < 12) hour += 12;
-    if (meridian === 'am' && hour === 12) hour = 0;
-    
-    startTime = { hour, minute };
-    // Default 30-minute appointment
-    const endHour = minute + 30 >= 60 ? hour + 1 : hour;
-    const endMinute = (minute + 30) % 60;
-    endTime = { hour: endHour, minute: endMinute };
-  }
-
-  // Service/tier mentioned
-  const serviceMentions = fullText.match(/(haircut|fade|lineup|shave|trim|first.time|returning|preferred)/gi);
-  const service = serviceMentions ? serviceMentions.join(', ') : 'General appointment';
-
-  return {
-    found: !!(appointmentDate && startTime),
-    date: appointmentDate ? appointmentDate.toFormat('yyyy-MM-dd') : null,
-    startTime: startTime ? `${String(startTime.hour).padStart(2, '0')}:${String(startTime.minute).padStart(2, '0')}` : null,
-    endTime: endTime ? `${String(endTime.hour).padStart(2, '0')}:${String(endTime.minute).padStart(2, '0')}` : null,
-    timezone,
-    customerName,
-    customerPhone,
-    service,
-    summary: customerName ? `${customerName} - ${service}` : service,
-    description: `Booked via phone conversation. ${customerName ? `Customer: ${customerName}` : ''} ${customerPhone ? `Phone: ${customerPhone}` : ''}`.trim(),
-  };
+function parseAppointmentFromConversation(conversation, { customerPhone } = {}) {
+  return extractAppointment(conversation, { customerPhone });
 }
 
 module.exports = {
   fetchHumeConversation,
+  toTranscriptTurns,
   findRecentHumeChat,
   parseAppointmentFromConversation,
 };
@@ -0,0 +1,117 @@
+/**
+ * CallSid ↔ Hume chat correlation
+ * - Calls are redirected to Hume's Twilio endpoint, which never tells us the chat id. Hume's config
+ *   webhook does: chat_started arrives at /voice/hume-callback with the chat id and the caller's number
+ * - /voice/answer remembers the caller (rememberHumeCaller, 'hume-caller' session keyed by phone);
+ *   chat_started looks the caller up and links the chat to that CallSid ('hume-chat' session, and
+ *   hume_chat_id on the call row). The WebSocket bridge links directly from chat_metadata through
+ *   the tool routes
+ * - A chat with no remembered caller (no number, call older than the session TTL) is not linked;
+ *   the webhook answers 404 and the call event log shows hume_chat_unmatched
+ * - getCallerPhone: the Twilio From of a call, by CallSid or linked chat id ('call-caller' and
+ *   'hume-chat-call' sessions). Tool routes use it instead of any number sent in the request
+ * - Webhooks are signed with the Hume API key (X-Hume-AI-Webhook-Signature, HMAC-SHA256 of
+ *   "<body>.<timestamp>"); unsigned, forged or stale (> 5 minutes) requests are rejected
+ */
+const crypto = require('crypto');
+const { getSession, setSession } = require('./session-store');
+const { persist, logCallEvent, upsertCall } = require('./call-store');
+const { normalizePhone } = require('./phone');
+
+const CALLER_TTL_MS = 2 * 60 * 60 * 1000;
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Remember who is on a call that is about to be handed to Hume.
+ * A second call from the same number replaces the first (one live Hume chat per caller).
+ */
+async function rememberHumeCaller({ callSid, phone, startedAt = new Date().toISOString() }) {
+  const p = normalizePhone(phone);
+  if (!callSid || !p) return false;
+  await setSession('hume-caller', p, { callSid, startedAt }, { ttlMs: CALLER_TTL_MS });
+  await setSession('call-caller', callSid, { phone: p }, { ttlMs: CALLER_TTL_MS });
+  return true;
+}
+
+// { callSid, startedAt } of the caller's current call, or null
+async function getHumeCaller(phone) {
+  const p = normalizePhone(phone);
+  return p ? getSession('hume-caller', p) : null;
+}
+
+/**
+ * Record that a Hume chat belongs to a call. Linking the same pair again is a no-op.
+ * @returns {Promise<boolean>} true when the link is new
+ */
+async function linkHumeChat({ callSid, chatId, source }) {
+  if (!callSid || !chatId) return false;
+  const current = await getSession('hume-chat', callSid);
+  if (current?.chatId === chatId) return false;
+  if (current?.chatId) console.warn(`[hume-link] ${callSid} was linked to chat ${current.chatId}, now ${chatId} (${source})`);
+  await setSession('hume-chat', callSid, { chatId, source }, { ttlMs: CALLER_TTL_MS });
+  await setSession('hume-chat-call', chatId, { callSid }, { ttlMs: CALLER_TTL_MS });
+  await persist('upsertCall', () => upsertCall({ callSid, humeChatId: chatId }));
+  await logCallEvent({ callSid, type: 'hume_chat_linked', payload: { chatId, source } });
+  console.log(`[hume-link] ${callSid} ↔ chat ${chatId} (${source})`);
+  return true;
+}
+
+/**
+ * The caller's number for a call, from what Twilio sent at /voice/answer.
+ * @param {{ callSid?: string, humeChatId?: string }} ids - the chat id is used when the CallSid is unknown
+ * @returns {Promise<string|null>} E.164 number, or null when the call is not (or no longer) known
+ */
+async function getCallerPhone({ callSid, humeChatId } = {}) {
+  let sid = callSid;
+  if (!sid && humeChatId) sid = (await getSession('hume-chat-call', humeChatId))?.callSid;
+  if (!sid) return null;
+  const caller = await getSession('call-caller', sid);
+  return caller?.phone || null;
+}
+
+/**
+ * Check a Hume webhook signature against the raw request body.
+ * @returns {string|null} null when valid, otherwise why not
+ */
+function verifyHumeWebhook(rawBody, headers, { apiKey = process.env.HUME_API_KEY, now = Date.now() } = {}) {
+  if (!apiKey) return 'HUME_API_KEY not configured';
+  const signature = String(headers['x-hume-ai-webhook-signature'] || '');
+  const timestamp = String(headers['x-hume-ai-webhook-timestamp'] || '');
+  if (!signature || !timestamp || !rawBody) return 'missing signature';
+  const ts = Number(timestamp);
+  const tsMs = ts < 1e12 ? ts * 1000 : ts;
+  if (!Number.isFinite(ts) || Math.abs(now - tsMs) > SIGNATURE_TOLERANCE_MS) return 'stale timestamp';
+  const expected = crypto.createHmac('sha256', apiKey).update(`${rawBody.toString('utf8')}.${timestamp}`).digest('hex');
+  const a = Buffer.from(expected);
+  const b = Buffer.from(signature);
+  return a.length === b.length && crypto.timingSafeEqual(a, b) ? null : 'invalid signature';
+}
+
+/**
+ * Link a chat_started webhook to its call.
+ * @param {object} payload - Hume webhook body (chat_id, caller_number, start_time, ...)
+ * @returns {Promise<{ callSid: string|null, chatId: string, reason?: string }>}
+ */
+async function linkChatStarted(payload) {
+  const chatId = payload?.chat_id || payload?.chatId;
+  const callerNumber = payload?.caller_number || payload?.callerNumber;
+  if (!chatId) return { callSid: null, chatId: null, reason: 'chat_id missing' };
+  const caller = await getHumeCaller(callerNumber);
+  if (!caller?.callSid) {
+    const reason = callerNumber ? `no active call from ${callerNumber}` : 'caller_number missing (chat not started from a phone call)';
+    console.warn(`[hume-link] chat ${chatId} not linked: ${reason}`);
+    await logCallEvent({ callSid: null, type: 'hume_chat_unmatched', payload: { chatId, callerNumber: callerNumber || null, reason } });
+    return { callSid: null, chatId, reason };
+  }
+  await linkHumeChat({ callSid: caller.callSid, chatId, source: 'webhook' });
+  return { callSid: caller.callSid, chatId };
+}
+
+module.exports = {
+  rememberHumeCaller,
+  getHumeCaller,
+  linkHumeChat,
+  getCallerPhone,
+  verifyHumeWebhook,
+  linkChatStarted,
+};
@@ -5,16 +5,50 @@
  * ToolCall message, pass it to handleToolCallMessage along with the socket.
  * The handler will POST to your local bridge endpoint and reply with
  * tool_response or tool_error via the provided socket.
+ *
+ * Bridge routes require TOOL_BRIDGE_SECRET as a bearer token. Only the call's ids are sent;
+ * the server looks up the caller's number from them, so the model can never pick whose
+ * appointments a tool call reaches.
  */
 
 const DEFAULT_BASE_URL = process.env.TOOL_BRIDGE_BASE || 'http://localhost:3001';
 
+// Hume tool name → bridge route + what the agent says if the route fails
+const TOOL_ROUTES = {
+  book_appointment: {
+    path: '/tools/hume/book-appointment',
+    fallback: 'I could not book that time. Would you like to try another time?',
+  },
+  check_availability: {
+    path: '/tools/hume/check-availability',
+    fallback: 'I could not check the schedule just now. Is there a specific time you would like me to try?',
+  },
+  find_my_appointments: {
+    path: '/tools/hume/find-my-appointments',
+    fallback: 'I could not look up your appointments just now.',
+  },
+  reschedule_appointment: {
+    path: '/tools/hume/reschedule-appointment',
+    fallback: 'I could not move that appointment. Would you like to try another time?',
+  },
+  cancel_appointment: {
+    path: '/tools/hume/cancel-appointment',
+    fallback: 'I could not cancel that appointment just now.',
+  },
+  get_customer_profile: {
+    path: '/tools/hume/get-customer-profile',
+    fallback: 'I could not look up your customer history just now.',
+  },
+};
+
 /**
  * @param {object} toolCallMessage - Hume ToolCall message
  * @param {object} socket - Hume chat socket instance exposing sendToolResponseMessage / sendToolErrorMessage
  * @param {string} [baseUrl] - base URL for your voice server (default http://localhost:3001)
+ * @param {{callSid?:string, humeChatId?:string}} [callContext] - trusted call identity from Twilio and Hume.
+ *   Always overrides whatever the model put in callSid/humeChatId; a callerPhone from the model is dropped.
  */
-async function handleToolCallMessage(toolCallMessage, socket, baseUrl = DEFAULT_BASE_URL) {
+async function handleToolCallMessage(toolCallMessage, socket, baseUrl = DEFAULT_BASE_URL, callContext = {}) {
   console.log('[hume-tool-handler] received tool_call:', JSON.stringify(toolCallMessage, null, 2));
   
   try {
@@ -24,7 +58,8 @@ async function handleToolCallMessage(toolCallMessage, socket, baseUrl = DEFAULT_
 
     console.log('[hume-tool-handler] tool name:', name, 'toolCallId:', toolCallId);
 
-    if (name !== 'book_appointment') {
+    const route = TOOL_ROUTES[name];
+    if (!route) {
       console.error('[hume-tool-handler] unsupported tool:', name);
       return socket.sendToolErrorMessage?.({
         type: 'tool_error',
@@ -48,11 +83,20 @@ async function handleToolCallMessage(toolCallMessage, socket, baseUrl = DEFAULT_
       });
     }
 
+    delete params.callSid;
+    delete params.callerPhone;
+    delete params.humeChatId;
+    if (callContext.callSid) params.callSid = callContext.callSid;
+    if (callContext.humeChatId) params.humeChatId = callContext.humeChatId;
+
     // POST to our calendar bridge
-    console.log('[hume-tool-handler] POSTing to:', `${baseUrl}/tools/hume/book-appointment`);
-    const resp = await fetch(`${baseUrl}/tools/hume/book-appointment`, {
+    console.log('[hume-tool-handler] POSTing to:', `${baseUrl}${route.path}`);
+    const resp = await fetch(`${baseUrl}${route.path}`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${process.env.TOOL_BRIDGE_SECRET || ''}`,
+      },
       body: JSON.stringify(params),
     });
     console.log('[hume-tool-handler] bridge response status:', resp.status);
@@ -60,12 +104,26 @@ async function handleToolCallMessage(toolCallMessage, socket, baseUrl = DEFAULT_
     if (!resp.ok) {
       const text = await resp.text();
       console.error('[hume-tool-handler] ❌ bridge error:', resp.status, text);
+
+      // Structured rejection (e.g. slot conflict): let the agent read out the alternatives
+      let rejection = null;
+      try { rejection = JSON.parse(text); } catch (_) {}
+      if (rejection && Array.isArray(rejection.alternatives)) {
+        return socket.sendToolErrorMessage?.({
+          type: 'tool_error',
+          toolCallId,
+          error: rejection.error || `Bridge error ${resp.status}`,
+          content: JSON.stringify({ error: rejection.error, requested: rejection.requested, alternatives: rejection.alternatives }),
+          fallback_content: rejection.message || route.fallback,
+        });
+      }
+
       return socket.sendToolErrorMessage?.({
         type: 'tool_error',
         toolCallId,
         error: `Bridge error ${resp.status}`,
-        content: text?.slice(0, 500) || 'Error creating event',
-        fallback_content: 'I could not book that time. Would you like to try another time?',
+        content: text?.slice(0, 500) || 'Error calling tool bridge',
+        fallback_content: route.fallback,
       });
     }
 
@@ -85,7 +143,7 @@ async function handleToolCallMessage(toolCallMessage, socket, baseUrl = DEFAULT_
       toolCallId: toolCallMessage?.toolCallId || toolCallMessage?.tool_call_id,
       error: 'Unhandled tool error',
       content: err && err.message ? err.message : String(err),
-      fallback_content: 'Something went wrong while booking. Want to try a different time?',
+      fallback_content: 'Something went wrong on my end. Want to try a different time?',
     });
   }
 }
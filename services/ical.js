@@ -0,0 +1,325 @@
+/**
+ * iCalendar (RFC 5545) helpers
+ * - eventToICalendar: calendar event (Google event shape) → VCALENDAR text with one VEVENT
+ * - parseICalendar: VCALENDAR text → events in the Google event shape; a missing DTEND comes from
+ *   DURATION (or RFC 5545's defaults: all-day events last a day, timed ones are instants)
+ * - expandRecurrences: recurring events → single instances in a window, like Google's
+ *   singleEvents=true (instance ids are <uid>_<UTC start>, recurringEventId is the UID). Handles
+ *   FREQ DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, COUNT, UNTIL, weekly BYDAY, EXDATE and
+ *   RECURRENCE-ID overrides; other rules (BYSETPOS, BYMONTHDAY, "2TU"...) keep only the first
+ *   occurrence and are logged
+ *
+ * Times are written in UTC; the event's original timezone is kept in X-RECEPTIONIST-TZ so a
+ * round trip gives back the same start.timeZone. extendedProperties.private tags are stored as
+ * X-RECEPTIONIST-PROP;KEY=<name>:<value> lines (parameter values keep their case, property
+ * names do not).
+ */
+const { DateTime, Duration } = require('luxon');
+
+const PRODID = '-//AI Receptionist//Booking//EN';
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+function quoteParam(value) {
+  return /[:;,]/.test(value) ? `"${String(value).replace(/"/g, '')}"` : String(value);
+}
+
+// Lines longer than 75 octets continue on the next line after a single space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + ch, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function toUtcStamp(value) {
+  return DateTime.fromISO(String(value), { setZone: true }).toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+}
+
+function dateLine(name, when) {
+  if (when?.dateTime) return `${name}:${toUtcStamp(when.dateTime)}`;
+  return `${name};VALUE=DATE:${String(when?.date || '').replace(/-/g, '')}`;
+}
+
+/**
+ * @param {object} event - Google-shaped event (id, summary, description, location, start, end, attendees, extendedProperties)
+ * @param {object} [opts]
+ * @param {string} [opts.method] - e.g. 'PUBLISH' for downloadable .ics files
+ * @param {string} [opts.uid] - defaults to event.iCalUID or event.id
+ */
+function eventToICalendar(event, { method, uid } = {}) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN'];
+  if (method) lines.push(`METHOD:${method}`);
+  lines.push('BEGIN:VEVENT');
+  lines.push(`UID:${uid || event.iCalUID || event.id}`);
+  lines.push(`DTSTAMP:${toUtcStamp(event.updated || new Date().toISOString())}`);
+  lines.push(dateLine('DTSTART', event.start));
+  lines.push(dateLine('DTEND', event.end));
+  if (event.summary) lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  lines.push(`STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+  if (event.transparency === 'transparent') lines.push('TRANSP:TRANSPARENT');
+  for (const attendee of event.attendees || []) {
+    if (attendee.email) lines.push(`ATTENDEE;RSVP=TRUE:mailto:${attendee.email}`);
+  }
+  const tz = event.start?.timeZone;
+  if (tz) lines.push(`X-RECEPTIONIST-TZ:${tz}`);
+  for (const [key, value] of Object.entries(event.extendedProperties?.private || {})) {
+    lines.push(`X-RECEPTIONIST-PROP;KEY=${quoteParam(key)}:${escapeText(value)}`);
+  }
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// "NAME;P1=a;P2="b:c":value" → { name, params, value }
+function parseContentLine(line) {
+  let i = 0;
+  let inQuotes = false;
+  for (; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (ch === ':' && !inQuotes) break;
+  }
+  const head = line.slice(0, i);
+  const value = line.slice(i + 1);
+  const [name, ...rawParams] = head.match(/(?:[^;"]|"[^"]*")+/g) || [''];
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf('=');
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value };
+}
+
+// DTSTART/DTEND value → { dateTime, timeZone } or { date }
+function parseDateValue({ params, value }, fallbackZone) {
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    return { date: `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` };
+  }
+  const zone = value.endsWith('Z') ? 'utc' : params.TZID || fallbackZone || 'utc';
+  let dt = DateTime.fromFormat(value.replace(/Z$/, ''), "yyyyMMdd'T'HHmmss", { zone });
+  // Non-IANA TZIDs (e.g. Windows names) fall back to UTC rather than dropping the event
+  if (!dt.isValid) dt = DateTime.fromFormat(value.replace(/Z$/, ''), "yyyyMMdd'T'HHmmss", { zone: 'utc' });
+  return { dateTime: dt.toISO(), timeZone: params.TZID || fallbackZone || 'UTC' };
+}
+
+// "P1DT2H30M", "PT45M", "P2W" → luxon Duration (sign ignored: events do not end before they start)
+function parseDuration(value) {
+  const m = /^[+-]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value || '').trim());
+  if (!m) return null;
+  const [, weeks, days, hours, minutes, seconds] = m.map((n) => Number(n) || 0);
+  return Duration.fromObject({ weeks, days, hours, minutes, seconds });
+}
+
+// DTEND missing: start + DURATION, else a day for all-day events and zero length for timed ones
+function endFromDuration(start, durationProp) {
+  if (!start) return null;
+  const duration = parseDuration(durationProp?.value);
+  if (start.date) {
+    const days = duration ? Math.max(1, Math.round(duration.as('days'))) : 1;
+    return { date: DateTime.fromISO(start.date).plus({ days }).toISODate() };
+  }
+  const from = DateTime.fromISO(start.dateTime, { setZone: true });
+  return { dateTime: (duration ? from.plus(duration) : from).toISO(), timeZone: start.timeZone };
+}
+
+// 2026-01-07T10:00:00-06:00 → 20260107T160000Z (all-day: 20260107)
+function instanceStamp(when) {
+  return when.dateTime ? toUtcStamp(when.dateTime) : when.date.replace(/-/g, '');
+}
+
+function veventToEvent(props) {
+  const first = (name) => props.find((p) => p.name === name);
+  const tz = first('X-RECEPTIONIST-TZ')?.value;
+  const start = first('DTSTART') ? parseDateValue(first('DTSTART'), tz) : null;
+  const end = first('DTEND') ? parseDateValue(first('DTEND'), tz) : endFromDuration(start, first('DURATION'));
+  if (start?.dateTime && tz) {
+    start.dateTime = DateTime.fromISO(start.dateTime).setZone(tz).toISO();
+    start.timeZone = tz;
+    if (end?.dateTime) {
+      end.dateTime = DateTime.fromISO(end.dateTime).setZone(tz).toISO();
+      end.timeZone = tz;
+    }
+  }
+  const event = {
+    id: first('UID')?.value,
+    iCalUID: first('UID')?.value,
+    status: first('STATUS')?.value === 'CANCELLED' ? 'cancelled' : 'confirmed',
+    summary: first('SUMMARY') ? unescapeText(first('SUMMARY').value) : '',
+    description: first('DESCRIPTION') ? unescapeText(first('DESCRIPTION').value) : '',
+    start,
+    end,
+  };
+  if (first('LOCATION')) event.location = unescapeText(first('LOCATION').value);
+  if (first('TRANSP')?.value === 'TRANSPARENT') event.transparency = 'transparent';
+  const attendees = props.filter((p) => p.name === 'ATTENDEE').map((p) => ({ email: p.value.replace(/^mailto:/i, '') }));
+  if (attendees.length) event.attendees = attendees;
+  const tags = {};
+  for (const p of props.filter((x) => x.name === 'X-RECEPTIONIST-PROP' && x.params.KEY)) {
+    tags[p.params.KEY] = unescapeText(p.value);
+  }
+  if (Object.keys(tags).length) event.extendedProperties = { private: tags };
+  // Google shape: recurrence holds the RRULE/EXDATE lines; an overridden instance carries the
+  // master's UID as recurringEventId and gets its own id
+  const recurrence = props
+    .filter((p) => p.name === 'RRULE' || p.name === 'EXDATE')
+    .map((p) => `${p.name}${Object.entries(p.params).map(([k, v]) => `;${k}=${v}`).join('')}:${p.value}`);
+  if (recurrence.length) event.recurrence = recurrence;
+  if (first('RECURRENCE-ID')) {
+    event.originalStartTime = parseDateValue(first('RECURRENCE-ID'), tz);
+    event.recurringEventId = event.iCalUID;
+    event.id = `${event.iCalUID}_${instanceStamp(event.originalStartTime)}`;
+  }
+  return event;
+}
+
+/**
+ * Parse every VEVENT in an iCalendar document. Recurrence rules are kept in event.recurrence, not
+ * expanded (see expandRecurrences).
+ * @param {string} text
+ * @returns {object[]} Google-shaped events
+ */
+function parseICalendar(text) {
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let depth = 0;
+  for (const line of lines) {
+    if (!line) continue;
+    const prop = parseContentLine(line);
+    if (prop.name === 'BEGIN' && prop.value === 'VEVENT') {
+      current = [];
+      depth = 0;
+    } else if (current && prop.name === 'BEGIN') {
+      depth++; // nested VALARM etc.
+    } else if (current && prop.name === 'END' && prop.value === 'VEVENT') {
+      events.push(veventToEvent(current));
+      current = null;
+    } else if (current && prop.name === 'END') {
+      depth--;
+    } else if (current && depth === 0) {
+      current.push(prop);
+    }
+  }
+  return events;
+}
+
+const WEEKDAYS = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+const STEP_UNITS = { DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years' };
+const MAX_OCCURRENCES = 5000; // guards against open-ended rules when there is no window end
+
+function parseRule(line) {
+  const rule = {};
+  for (const part of parseContentLine(line).value.split(';')) {
+    const [key, value] = part.split('=');
+    if (key && value) rule[key.toUpperCase()] = value.toUpperCase();
+  }
+  return rule;
+}
+
+function isSupportedRule(rule) {
+  if (!STEP_UNITS[rule.FREQ]) return false;
+  if (['BYSETPOS', 'BYMONTHDAY', 'BYYEARDAY', 'BYWEEKNO', 'BYMONTH', 'BYHOUR', 'BYMINUTE', 'BYSECOND'].some((k) => rule[k])) return false;
+  return !rule.BYDAY || (rule.FREQ === 'WEEKLY' && rule.BYDAY.split(',').every((d) => WEEKDAYS[d]));
+}
+
+// Occurrence starts of a supported rule from DTSTART on, in the event's own zone (so a weekly
+// 10:00 stays 10:00 across DST); stops at UNTIL, COUNT, the window end or MAX_OCCURRENCES
+function* occurrences(first, rule, untilMs) {
+  const interval = Math.max(1, Number(rule.INTERVAL) || 1);
+  const count = Number(rule.COUNT) || Infinity;
+  const days = rule.BYDAY ? rule.BYDAY.split(',').map((d) => WEEKDAYS[d]).sort((a, b) => a - b) : null;
+  const until = rule.UNTIL ? parseDateValue({ params: {}, value: rule.UNTIL }, first.zoneName) : null;
+  const untilRuleMs = until ? new Date(until.dateTime || `${until.date}T23:59:59Z`).getTime() : Infinity;
+  let emitted = 0;
+  for (let step = 0; emitted < count && emitted < MAX_OCCURRENCES; step++) {
+    const base = first.plus({ [STEP_UNITS[rule.FREQ]]: step * interval });
+    const candidates = days ? days.map((d) => base.plus({ days: d - base.weekday })).filter((c) => c >= first) : [base];
+    for (const c of candidates) {
+      if (c.toMillis() > untilRuleMs || c.toMillis() >= untilMs || emitted >= count) return;
+      emitted++;
+      yield c;
+    }
+  }
+}
+
+function exdateStamps(event) {
+  const stamps = new Set();
+  for (const line of (event.recurrence || []).filter((l) => l.startsWith('EXDATE'))) {
+    const { params, value } = parseContentLine(line);
+    for (const v of value.split(',')) stamps.add(instanceStamp(parseDateValue({ params, value: v }, event.start?.timeZone)));
+  }
+  return stamps;
+}
+
+/**
+ * Replace recurring events with their instances that overlap [timeMin, timeMax). Events without
+ * a recurrence pass through; overridden instances (RECURRENCE-ID) replace the generated ones.
+ * @param {object[]} events - from parseICalendar
+ * @param {object} [opts]
+ * @param {string} [opts.timeMin] - ISO
+ * @param {string} [opts.timeMax] - ISO
+ * @returns {object[]}
+ */
+function expandRecurrences(events, { timeMin, timeMax } = {}) {
+  const minMs = timeMin ? new Date(timeMin).getTime() : -Infinity;
+  const maxMs = timeMax ? new Date(timeMax).getTime() : Infinity;
+  const overridden = new Set(events.filter((e) => e.recurringEventId).map((e) => e.id));
+  const out = [];
+  for (const event of events) {
+    const rruleLine = (event.recurrence || []).find((l) => l.startsWith('RRULE'));
+    if (!rruleLine || !event.start) {
+      out.push(event);
+      continue;
+    }
+    const rule = parseRule(rruleLine);
+    if (!isSupportedRule(rule)) {
+      console.warn(`[ical] recurrence not expanded for ${event.iCalUID} (${rruleLine}); only its first occurrence counts`);
+      out.push(event);
+      continue;
+    }
+    const allDay = Boolean(event.start.date);
+    let first = allDay ? DateTime.fromISO(event.start.date, { zone: 'utc' }) : DateTime.fromISO(event.start.dateTime, { zone: event.start.timeZone });
+    if (!first.isValid) first = DateTime.fromISO(event.start.dateTime, { setZone: true }); // non-IANA TZID
+    const firstEnd = allDay ? DateTime.fromISO(event.end.date, { zone: 'utc' }) : DateTime.fromISO(event.end.dateTime);
+    const length = firstEnd.diff(first);
+    const skip = exdateStamps(event);
+    for (const at of occurrences(first, rule, maxMs)) {
+      const start = allDay ? { date: at.toISODate() } : { dateTime: at.toISO(), timeZone: event.start.timeZone };
+      const end = allDay ? { date: at.plus(length).toISODate() } : { dateTime: at.plus(length).toISO(), timeZone: event.end.timeZone };
+      const id = `${event.iCalUID}_${instanceStamp(start)}`;
+      if (skip.has(instanceStamp(start)) || overridden.has(id)) continue;
+      if (new Date(end.dateTime || end.date).getTime() <= minMs) continue;
+      const { recurrence, ...rest } = event;
+      out.push({ ...rest, id, recurringEventId: event.iCalUID, originalStartTime: { ...start }, start, end });
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  eventToICalendar,
+  parseICalendar,
+  expandRecurrences,
+};
@@ -0,0 +1,151 @@
+/**
+ * Local appointment extractor: deterministic rules, no network (offline tests, no OpenAI key)
+ * - Final confirmation first: the last agent turn that confirms ("you're booked", "see you", "confirm")
+ *   and names a date and a time supplies both, at high confidence
+ * - Otherwise the latest date and time mentioned anywhere, at lower confidence; within a turn the last
+ *   mention wins ("2, no wait, make it 3pm")
+ * - Dates and times come from services/datetime (chrono-node, business timezone), so "next Tuesday
+ *   after lunch" and "the 15th" read the same here as everywhere else. A bare hour or a part of the
+ *   day ("morning") alone stays below the booking threshold
+ * - Phone numbers are removed before looking for times; a time the caller can't make
+ *   ("I'm not free at 3") is skipped
+ * - Names: "my name is X" from the caller, "under the name X" from the agent; "I'm X" / "this is X"
+ *   only for a capitalized word that is not a day, month or common adjective
+ */
+const { matchServiceInText } = require('./service-catalog');
+const { parseDateTimes } = require('./datetime');
+
+const name = 'local';
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const NOT_NAMES = new Set([...WEEKDAYS, ...MONTHS, 'not', 'just', 'calling', 'looking', 'trying', 'wondering', 'interested',
+  'free', 'available', 'busy', 'good', 'fine', 'great', 'here', 'sorry', 'sure', 'okay', 'ok', 'yes', 'no', 'hoping', 'going',
+  'a', 'an', 'the', 'that', 'it', 'me', 'him', 'her', 'gonna', 'and', 'still', 'also', 'really', 'actually', 'new', 'back']);
+
+const CONFIRM_RE = /\b(confirm(ed|ing)?|you'?re (all )?(set|booked)|(i'?ve|i have|we'?ve|we have) (booked|scheduled|got you)|booked (you|for)|see you (then|on|at)|all set)\b/i;
+const NEGATED_RE = /\b(not|n't|can ?not|busy|no good|won'?t work)\b[^.?!,\d]{0,15}$/i;
+const PHONE_RE = /\+?\d[\d\s().-]{7,}\d/g;
+
+// Date / time mentions in a turn (services/datetime), phone numbers removed first
+function mentions(text, now) {
+  return parseDateTimes(text.replace(PHONE_RE, ' '), { timezone: now.zoneName, now });
+}
+
+// Times in a turn, in order: { index, hour, minute, explicit, approximate }
+function findTimes(text, now) {
+  const clean = text.replace(PHONE_RE, ' ');
+  return mentions(text, now)
+    .filter((m) => m.hasTime && !NEGATED_RE.test(clean.slice(Math.max(0, m.index - 30), m.index)))
+    .map((m) => ({ index: m.index, hour: m.start.hour, minute: m.start.minute, explicit: m.explicitTime, approximate: m.approximateTime }));
+}
+
+// Dates in a turn, in order: { index, date: DateTime }
+function findDates(text, now) {
+  return mentions(text, now)
+    .filter((m) => m.hasDate)
+    .map((m) => ({ index: m.index, date: m.start.startOf('day') }));
+}
+
+// Confidence of a time: am/pm or 24-hour, a bare hour ("at 3", 1-7 read as pm), or a part of the day
+function timeConfidence(time, confirmed) {
+  if (time.explicit) return confirmed ? 0.9 : 0.65;
+  if (time.approximate) return confirmed ? 0.5 : 0.4;
+  return confirmed ? 0.8 : 0.45;
+}
+
+function titleCase(s) {
+  return s.split(/\s+/).map((w) => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join(' ');
+}
+
+// { name, confidence } from one turn, or null
+function findName(turn) {
+  const word = "[A-Za-z][A-Za-z'-]+";
+  const patterns = turn.role === 'caller'
+    ? [
+      { re: new RegExp(`\\b[Mm]y name(?:'s| is)\\s+(${word}(?:\\s+${word})?)`, 'g'), confidence: 0.9, anyCase: true },
+      { re: new RegExp(`\\b(?:[Tt]his is|[Ii]t's|I'm|I am|[Nn]ame's)\\s+([A-Z][A-Za-z'-]+(?:\\s+[A-Z][A-Za-z'-]+)?)`, 'g'), confidence: 0.7 },
+    ]
+    : [
+      { re: new RegExp(`\\b(?:under the name(?: of)?|name of)\\s+(${word}(?:\\s+${word})?)`, 'gi'), confidence: 0.9, anyCase: true },
+    ];
+  let best = null;
+  for (const { re, confidence, anyCase } of patterns) {
+    for (const m of turn.text.matchAll(re)) {
+      // Stop at the first word that is not part of a name ("Ana and I need..." → Ana)
+      const kept = [];
+      for (const w of m[1].split(/\s+/)) {
+        if (NOT_NAMES.has(w.toLowerCase()) || (!anyCase && !/^[A-Z]/.test(w))) break;
+        kept.push(w);
+      }
+      if (kept.length && (!best || confidence >= best.confidence)) best = { name: titleCase(kept.join(' ')), confidence };
+    }
+  }
+  return best;
+}
+
+function isConfirmation(turn) {
+  return turn.role === 'agent' && CONFIRM_RE.test(turn.text);
+}
+
+async function extract({ turns, now }) {
+  let date = null;
+  let time = null;
+  let confirmedByAgent = false;
+
+  // Final confirmation: the last agent turn that confirms and names both a date and a time
+  for (let i = turns.length - 1; i >= 0; i--) {
+    if (!isConfirmation(turns[i])) continue;
+    const dates = findDates(turns[i].text, now);
+    const times = findTimes(turns[i].text, now);
+    if (dates.length && times.length) {
+      date = { ...dates[dates.length - 1], confidence: 0.9, turn: i };
+      time = { ...times[times.length - 1], confidence: timeConfidence(times[times.length - 1], true), turn: i };
+      confirmedByAgent = true;
+      break;
+    }
+  }
+
+  // Otherwise the latest mentions, wherever they were
+  for (let i = turns.length - 1; i >= 0 && (!date || !time); i--) {
+    if (!date) {
+      const dates = findDates(turns[i].text, now);
+      if (dates.length) date = { ...dates[dates.length - 1], confidence: 0.65, turn: i };
+    }
+    if (!time) {
+      const times = findTimes(turns[i].text, now);
+      if (times.length) time = { ...times[times.length - 1], confidence: timeConfidence(times[times.length - 1], false), turn: i };
+    }
+  }
+
+  let customer = null;
+  for (let i = turns.length - 1; i >= 0 && !customer; i--) customer = findName(turns[i]);
+
+  // Service: the confirmation turn, else the latest turn naming one
+  const serviceTurns = confirmedByAgent ? [turns[date.turn], ...turns.slice().reverse()] : turns.slice().reverse();
+  let service = null;
+  for (const [n, turn] of serviceTurns.entries()) {
+    const match = matchServiceInText(turn.text);
+    if (match) {
+      service = { id: match.id, confidence: confirmedByAgent && n === 0 ? 0.9 : 0.7 };
+      break;
+    }
+  }
+
+  return {
+    found: Boolean(date && time),
+    date: date ? date.date.toFormat('yyyy-MM-dd') : null,
+    startTime: time ? `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}` : null,
+    customerName: customer ? customer.name : null,
+    serviceId: service ? service.id : null,
+    confirmedByAgent,
+    confidence: {
+      date: date ? date.confidence : 0,
+      startTime: time ? time.confidence : 0,
+      customerName: customer ? customer.confidence : 0,
+      service: service ? service.confidence : 0,
+    },
+  };
+}
+
+module.exports = { name, extract };
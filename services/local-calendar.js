@@ -0,0 +1,122 @@
+/**
+ * Local calendar provider (see services/calendar.js for the provider contract)
+ * - Runs the whole booking flow without Google credentials or network
+ * - Events live in memory; set LOCAL_CALENDAR_PATH to persist them to a JSON file
+ * - Any calendarId works (each barber's calendar is just a key)
+ * - Deleted events are dropped; getEvent on an unknown id rejects with err.code 404
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { mergePatch } = require('./calendar');
+
+let cache = null;
+
+function storePath() {
+  const p = process.env.LOCAL_CALENDAR_PATH;
+  return p ? path.resolve(process.cwd(), p) : null;
+}
+
+// { [calendarId]: { [eventId]: event } }
+function load() {
+  if (cache) return cache;
+  const file = storePath();
+  cache = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  return cache;
+}
+
+function save() {
+  const file = storePath();
+  if (!file) return;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cache, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function calendarEvents(calendarId) {
+  const store = load();
+  if (!store[calendarId]) store[calendarId] = {};
+  return store[calendarId];
+}
+
+function notFound(eventId) {
+  const err = new Error(`Event not found: ${eventId}`);
+  err.code = 404;
+  return err;
+}
+
+function startMs(event) {
+  return new Date(event.start?.dateTime || event.start?.date).getTime();
+}
+
+function endMs(event) {
+  return new Date(event.end?.dateTime || event.end?.date).getTime();
+}
+
+function clone(event) {
+  return JSON.parse(JSON.stringify(event));
+}
+
+async function insertEvent(event, { calendarId = 'primary' } = {}) {
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID().replace(/-/g, '');
+  const stored = { ...clone(event), id, status: 'confirmed', created: now, updated: now };
+  calendarEvents(calendarId)[id] = stored;
+  save();
+  return clone(stored);
+}
+
+async function getEvent(eventId, { calendarId = 'primary' } = {}) {
+  const event = calendarEvents(calendarId)[eventId];
+  if (!event) throw notFound(eventId);
+  return clone(event);
+}
+
+async function updateEvent(eventId, patch, { calendarId = 'primary' } = {}) {
+  const events = calendarEvents(calendarId);
+  if (!events[eventId]) throw notFound(eventId);
+  events[eventId] = { ...mergePatch(events[eventId], clone(patch)), id: eventId, updated: new Date().toISOString() };
+  save();
+  return clone(events[eventId]);
+}
+
+async function deleteEvent(eventId, { calendarId = 'primary' } = {}) {
+  const events = calendarEvents(calendarId);
+  if (!events[eventId]) throw notFound(eventId);
+  delete events[eventId];
+  save();
+}
+
+// Like Google's events.list: timeMin bounds the end, timeMax bounds the start
+async function listEvents({ calendarId = 'primary', timeMin, timeMax, privateProperty, maxResults = 10 } = {}) {
+  const minMs = timeMin ? new Date(timeMin).getTime() : -Infinity;
+  const maxMs = timeMax ? new Date(timeMax).getTime() : Infinity;
+  return Object.values(calendarEvents(calendarId))
+    .filter((e) => e.status !== 'cancelled' && endMs(e) > minMs && startMs(e) < maxMs)
+    .filter((e) => !privateProperty || e.extendedProperties?.private?.[privateProperty.key] === String(privateProperty.value))
+    .sort((a, b) => startMs(a) - startMs(b))
+    .slice(0, maxResults)
+    .map(clone);
+}
+
+async function queryFreeBusy({ timeMin, timeMax, calendarIds = ['primary'] }) {
+  const byCalendar = {};
+  for (const id of calendarIds) {
+    const events = await listEvents({ calendarId: id, timeMin, timeMax, maxResults: Infinity });
+    byCalendar[id] = events
+      .filter((e) => e.transparency !== 'transparent')
+      .map((e) => ({ start: new Date(startMs(e)).toISOString(), end: new Date(endMs(e)).toISOString() }));
+  }
+  return byCalendar;
+}
+
+module.exports = {
+  name: 'local',
+  insertEvent,
+  getEvent,
+  updateEvent,
+  deleteEvent,
+  listEvents,
+  queryFreeBusy,
+};
@@ -0,0 +1,51 @@
+/**
+ * In-process session store (see services/session-store.js)
+ * - Fine for a single long-running server; state is lost on restart and not shared between instances
+ * - Values are copied through JSON like the db store, so callers never share a mutable object
+ */
+const entries = new Map(); // `${namespace}:${key}` → { value, expiresAt }
+
+function id(namespace, key) {
+  return `${namespace}:${key}`;
+}
+
+function read(namespace, key) {
+  const entry = entries.get(id(namespace, key));
+  if (entry && entry.expiresAt > Date.now()) return JSON.parse(entry.value);
+  entries.delete(id(namespace, key));
+  return null;
+}
+
+function write(namespace, key, value, ttlMs) {
+  if (value == null) {
+    entries.delete(id(namespace, key));
+    return null;
+  }
+  entries.set(id(namespace, key), { value: JSON.stringify(value), expiresAt: Date.now() + ttlMs });
+  return JSON.parse(entries.get(id(namespace, key)).value);
+}
+
+async function get(namespace, key) {
+  return read(namespace, key);
+}
+
+async function set(namespace, key, value, { ttlMs }) {
+  write(namespace, key, value, ttlMs);
+}
+
+// Read and write happen in the same tick, so no other update can interleave
+async function update(namespace, key, fn, { ttlMs }) {
+  return write(namespace, key, fn(read(namespace, key)), ttlMs);
+}
+
+async function del(namespace, key) {
+  entries.delete(id(namespace, key));
+}
+
+module.exports = {
+  name: 'memory',
+  get,
+  set,
+  update,
+  delete: del,
+};
@@ -0,0 +1,271 @@
+/**
+ * Customer-facing message templates (SMS and voice)
+ * - t(key, vars, locale): template text with {placeholders} filled from vars; {business} is
+ *   always available. Missing keys fall back to English
+ * - Built-in locales: en, es. BUSINESS_LOCALE sets the default (voice prompts use it)
+ * - Per-business overrides with MESSAGE_TEMPLATES (inline JSON) or MESSAGE_TEMPLATES_PATH
+ *   (JSON file), shaped { "<locale>": { "<key>": "text" } }; a new locale key adds a language
+ * - resolveLocale: "es-MX", "Spanish", "español" → "es"; unknown → the default locale
+ * - formatDateTime / formatDate / formatTime: times in the business timezone, in the
+ *   customer's language (patterns are templates too: format.*)
+ *
+ * Service names and the opening-hours text (describeSchedule) are not translated.
+ * Keyword words in replies (C, CANCEL, ...) must match the keywords sms-inbound.js accepts.
+ */
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+
+const TEMPLATES = {
+  en: {
+    'business.fallback': 'our office',
+    'format.dateTime': "cccc, LLLL d 'at' h:mm a",
+    'format.shortDateTime': 'ccc LLL d, h:mm a',
+    'format.day': 'cccc, LLL d',
+    'format.time': 'h:mm a',
+    'format.dateExample': 'M/d',
+    'day.today': 'today',
+    'day.tomorrow': 'tomorrow',
+    'day.on': 'on {date}',
+
+    'sms.withStaff': ' with {staff}',
+    'sms.addToCalendar': ' Add it to your calendar: {url}',
+    'sms.greeting': 'Hi {name}!',
+    'sms.greeting.noName': 'Hi there!',
+    'sms.confirmation': '{greeting} Your appointment at {business} is confirmed for {when}{withStaff}. See you then!{addToCalendar}',
+    'sms.reminder': 'Reminder: your {service} at {business} is {day} at {time}{withStaff}. Reply C to confirm, CANCEL to cancel, or RESCHEDULE to pick a new time.',
+    'sms.reminder.appointment': 'appointment',
+    'sms.confirmRequired': 'Please reply C to confirm you are coming.',
+    'sms.noShow': 'We missed you at {business} on {when}. Want to pick a new time? Reply BOOK to book by text, or call us.',
+    'sms.reminder.serviceAppointment': '{service} appointment',
+    'sms.error': 'Sorry, something went wrong. Please call {business} to make changes.',
+
+    'sms.optOut': "You're unsubscribed from {business} texts and won't get any more messages. Reply START to resubscribe.",
+    'sms.optIn': "You're subscribed to {business} appointment texts again. Reply HELP for help, STOP to opt out.",
+    'sms.help': 'Appointment texts from {business}. Reply BOOK to book, C to confirm, CANCEL to cancel or RESCHEDULE to move an appointment.{callUs} Msg & data rates may apply. Reply STOP to opt out.',
+    'sms.help.callUs': ' Questions? Call {phone}.',
+    'sms.noAppointment': "We couldn't find an upcoming appointment for this number. Reply BOOK to book one by text, or call {business}.",
+    'sms.nextAppointment': 'Your next appointment is {when}. Reply C to confirm, CANCEL to cancel, RESCHEDULE to pick a new time, or BOOK to book another.',
+    'sms.confirmed': "Thanks! You're confirmed for {when} at {business}. See you then!",
+    'sms.cancelled': 'Your appointment on {when} has been cancelled. Text or call us any time to book again.',
+    'sms.reschedule.current': 'Your appointment is {when}. ',
+    'sms.reschedule.options': '{intro}Reply with a number to move your appointment:\n{options}\nOr reply with a date (e.g. 1/9) for other times.',
+    'sms.reschedule.none': '{intro}Sorry, no open times then. Reply with another date (e.g. {example}) to check.',
+    'sms.reschedule.taken': 'Sorry, that time was just taken. ',
+    'sms.reschedule.changed': 'That appointment has changed since we texted. Reply RESCHEDULE to start again.',
+    'sms.reschedule.done': 'Done! Your appointment is now {when}. Reply C to confirm or CANCEL to cancel.',
+    'sms.reschedule.retry': 'Reply with a number from the list{range} or a date like 1/9.',
+
+    'sms.book.start': "Hi! Let's get you booked at {business}. What's your name?",
+    'sms.book.askName': "What's your name?",
+    'sms.book.askService': 'Thanks, {name}! Which service?\n{menu}',
+    'sms.book.serviceRetry': 'Reply with a number from the list:\n{menu}',
+    'sms.book.askDate': '{service} it is. What day works? (e.g. tomorrow or {example})',
+    'sms.book.dateRetry': 'Sorry, I didn\'t get that day. Reply with a date like 1/9, or "tomorrow".',
+    'sms.book.slots': 'Open times on {day}:\n{menu}\nReply with a number, or a time like 2:30 pm.',
+    'sms.book.noSlots': 'Sorry, nothing open on {day}. What other day works? (e.g. tomorrow or {example})',
+    'sms.book.takenNoAlternatives': 'Sorry, that time is taken and nothing close is open. What other day works?',
+    'sms.book.alternatives': "Sorry, that time isn't available. Closest open times:\n{menu}\nReply with a number.",
+    'sms.book.failed': "Sorry, we couldn't book that ({error}). Reply with another time, or call {business}.",
+    'sms.book.timeRetry': 'Reply with a number from the list (1-{count}), a time like 2:30 pm, or another day.',
+    'sms.book.booked': "You're booked{forName}! {service} on {when}{withStaff} at {business}.{addToCalendar} Reply C to confirm, CANCEL to cancel, or RESCHEDULE to pick a new time.",
+    'sms.book.forName': ', {name}',
+    'sms.book.stopped': 'OK, we stopped booking. Text BOOK any time to start again.',
+
+    'sms.missedCall': 'Sorry we missed your call at {business}! Next open times:\n{menu}\nReply with a number to book, or BOOK to pick another day.{link}',
+    'sms.missedCall.noSlots': 'Sorry we missed your call at {business}! Reply BOOK to book by text, or call us back any time.{link}',
+    'sms.missedCall.hasAppointment': 'Sorry we missed your call at {business}! Your next appointment is {when}. Reply C to confirm, CANCEL to cancel, or RESCHEDULE to pick a new time.',
+    'sms.missedCall.link': ' Or book online: {url}',
+    'sms.postCall.alternatives': 'Thanks for calling {business}! {when} was taken before we could book it. Closest open times:\n{menu}\nReply with a number to book.',
+
+    'voice.language': 'en-US',
+    'voice.notConfigured': 'The AI assistant is not configured. Please try again later.',
+    'voice.askDateTime': 'Sorry, what date and time?',
+    'voice.askSpecificTime': 'Please provide a specific day and time.',
+    'voice.timePassed': 'That time has already passed. What other time works?',
+    'voice.outsideHours': 'That time is outside business hours. Our hours are {hours}. What other time works?',
+    'voice.booked': 'Great, I booked you for {when}.',
+    'voice.saveFailed': 'I could not save that appointment. Please try again later.',
+    'voice.noOperator': 'No operator number is configured.',
+    'voice.thanks': 'Thank you for calling.',
+    'voice.noOneAvailable': 'No one is available to take your call. Please leave a message after the beep.',
+    'voice.voicemail': 'Please leave your name, phone number, and a short message for {business}.',
+  },
+  es: {
+    'business.fallback': 'nuestro local',
+    'format.dateTime': "cccc d 'de' LLLL 'a las' H:mm",
+    'format.shortDateTime': "ccc d 'de' LLL, H:mm",
+    'format.day': "cccc d 'de' LLL",
+    'format.time': 'H:mm',
+    'format.dateExample': 'M/d',
+    'day.today': 'hoy',
+    'day.tomorrow': 'mañana',
+    'day.on': 'el {date}',
+
+    'sms.withStaff': ' con {staff}',
+    'sms.addToCalendar': ' Agrégala a tu calendario: {url}',
+    'sms.greeting': '¡Hola, {name}!',
+    'sms.greeting.noName': '¡Hola!',
+    'sms.confirmation': '{greeting} Tu cita en {business} está confirmada para el {when}{withStaff}. ¡Te esperamos!{addToCalendar}',
+    'sms.reminder': 'Recordatorio: tu {service} en {business} es {day} a las {time}{withStaff}. Responde C para confirmar, CANCELAR para cancelar o CAMBIAR para elegir otra hora.',
+    'sms.reminder.appointment': 'cita',
+    'sms.confirmRequired': 'Por favor responde C para confirmar que vienes.',
+    'sms.noShow': 'Te extrañamos en {business} el {when}. ¿Quieres elegir otra hora? Responde CITA para reservar por mensaje o llámanos.',
+    'sms.reminder.serviceAppointment': 'cita de {service}',
+    'sms.error': 'Lo sentimos, algo salió mal. Llama a {business} para hacer cambios.',
+
+    'sms.optOut': 'Ya no recibirás mensajes de {business}. Responde START para volver a suscribirte.',
+    'sms.optIn': 'Volverás a recibir mensajes de {business} sobre tus citas. Responde AYUDA para ayuda o STOP para darte de baja.',
+    'sms.help': 'Mensajes de citas de {business}. Responde CITA para reservar, C para confirmar, CANCELAR para cancelar o CAMBIAR para mover una cita.{callUs} Pueden aplicarse tarifas de mensajes y datos. Responde STOP para darte de baja.',
+    'sms.help.callUs': ' ¿Preguntas? Llama al {phone}.',
+    'sms.noAppointment': 'No encontramos una cita próxima para este número. Responde CITA para reservar por mensaje o llama a {business}.',
+    'sms.nextAppointment': 'Tu próxima cita es el {when}. Responde C para confirmar, CANCELAR para cancelar, CAMBIAR para elegir otra hora o CITA para reservar otra.',
+    'sms.confirmed': '¡Gracias! Tu cita del {when} en {business} está confirmada. ¡Te esperamos!',
+    'sms.cancelled': 'Tu cita del {when} fue cancelada. Escríbenos o llámanos cuando quieras para reservar de nuevo.',
+    'sms.reschedule.current': 'Tu cita es el {when}. ',
+    'sms.reschedule.options': '{intro}Responde con un número para mover tu cita:\n{options}\nO responde con una fecha (p. ej. 1/9) para ver otras horas.',
+    'sms.reschedule.none': '{intro}Lo sentimos, no hay horas libres ese día. Responde con otra fecha (p. ej. {example}).',
+    'sms.reschedule.taken': 'Lo sentimos, esa hora se acaba de ocupar. ',
+    'sms.reschedule.changed': 'Esa cita cambió desde nuestro último mensaje. Responde CAMBIAR para empezar de nuevo.',
+    'sms.reschedule.done': '¡Listo! Tu cita ahora es el {when}. Responde C para confirmar o CANCELAR para cancelar.',
+    'sms.reschedule.retry': 'Responde con un número de la lista{range} o una fecha como 1/9.',
+
+    'sms.book.start': '¡Hola! Vamos a reservar tu cita en {business}. ¿Cómo te llamas?',
+    'sms.book.askName': '¿Cómo te llamas?',
+    'sms.book.askService': '¡Gracias, {name}! ¿Qué servicio quieres?\n{menu}',
+    'sms.book.serviceRetry': 'Responde con un número de la lista:\n{menu}',
+    'sms.book.askDate': '{service}, perfecto. ¿Qué día te viene bien? (p. ej. mañana o {example})',
+    'sms.book.dateRetry': 'Lo sentimos, no entendimos el día. Responde con una fecha como 1/9, o "mañana".',
+    'sms.book.slots': 'Horas libres el {day}:\n{menu}\nResponde con un número o una hora como 2:30 pm.',
+    'sms.book.noSlots': 'Lo sentimos, no hay horas libres el {day}. ¿Qué otro día te viene bien? (p. ej. mañana o {example})',
+    'sms.book.takenNoAlternatives': 'Lo sentimos, esa hora está ocupada y no hay nada libre cerca. ¿Qué otro día te viene bien?',
+    'sms.book.alternatives': 'Lo sentimos, esa hora no está disponible. Las horas libres más cercanas:\n{menu}\nResponde con un número.',
+    'sms.book.failed': 'Lo sentimos, no pudimos reservar ({error}). Responde con otra hora o llama a {business}.',
+    'sms.book.timeRetry': 'Responde con un número de la lista (1-{count}), una hora como 2:30 pm u otro día.',
+    'sms.book.booked': '¡Listo{forName}! {service} el {when}{withStaff} en {business}.{addToCalendar} Responde C para confirmar, CANCELAR para cancelar o CAMBIAR para elegir otra hora.',
+    'sms.book.forName': ', {name}',
+    'sms.book.stopped': 'De acuerdo, dejamos la reserva. Escribe CITA cuando quieras para empezar de nuevo.',
+
+    'sms.missedCall': '¡Perdón por no contestar tu llamada a {business}! Próximas horas libres:\n{menu}\nResponde con un número para reservar, o CITA para elegir otro día.{link}',
+    'sms.missedCall.noSlots': '¡Perdón por no contestar tu llamada a {business}! Responde CITA para reservar por mensaje o llámanos cuando quieras.{link}',
+    'sms.missedCall.hasAppointment': '¡Perdón por no contestar tu llamada a {business}! Tu próxima cita es el {when}. Responde C para confirmar, CANCELAR para cancelar o CAMBIAR para elegir otra hora.',
+    'sms.missedCall.link': ' O reserva en línea: {url}',
+    'sms.postCall.alternatives': '¡Gracias por llamar a {business}! El {when} se ocupó antes de poder reservarlo. Las horas libres más cercanas:\n{menu}\nResponde con un número para reservar.',
+
+    'voice.language': 'es-MX',
+    'voice.notConfigured': 'El asistente no está configurado. Por favor, inténtelo más tarde.',
+    'voice.askDateTime': 'Perdón, ¿qué día y a qué hora?',
+    'voice.askSpecificTime': 'Por favor, indique un día y una hora concretos.',
+    'voice.timePassed': 'Esa hora ya pasó. ¿Qué otra hora le viene bien?',
+    'voice.outsideHours': 'Esa hora está fuera de nuestro horario. Nuestro horario es {hours}. ¿Qué otra hora le viene bien?',
+    'voice.booked': 'Perfecto, le reservé para el {when}.',
+    'voice.saveFailed': 'No pude guardar la cita. Por favor, inténtelo más tarde.',
+    'voice.noOperator': 'No hay un número de operador configurado.',
+    'voice.thanks': 'Gracias por llamar.',
+    'voice.noOneAvailable': 'No hay nadie disponible para atender su llamada. Por favor, deje un mensaje después del tono.',
+    'voice.voicemail': 'Por favor, deje su nombre, su número de teléfono y un mensaje breve para {business}.',
+  },
+};
+
+const LANGUAGE_NAMES = {
+  english: 'en',
+  ingles: 'en',
+  inglés: 'en',
+  spanish: 'es',
+  espanol: 'es',
+  español: 'es',
+};
+
+let cachedTemplates = null;
+
+function loadTemplates() {
+  let overrides = {};
+  if (process.env.MESSAGE_TEMPLATES) {
+    overrides = JSON.parse(process.env.MESSAGE_TEMPLATES);
+  } else if (process.env.MESSAGE_TEMPLATES_PATH) {
+    overrides = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), process.env.MESSAGE_TEMPLATES_PATH), 'utf8'));
+  }
+  const merged = {};
+  for (const locale of new Set([...Object.keys(TEMPLATES), ...Object.keys(overrides)])) {
+    merged[locale] = { ...TEMPLATES[locale], ...overrides[locale] };
+  }
+  return merged;
+}
+
+function getTemplates() {
+  if (!cachedTemplates) cachedTemplates = loadTemplates();
+  return cachedTemplates;
+}
+
+function getSupportedLocales() {
+  return Object.keys(getTemplates());
+}
+
+function getDefaultLocale() {
+  const configured = String(process.env.BUSINESS_LOCALE || 'en').toLowerCase().split(/[-_]/)[0];
+  return getTemplates()[configured] ? configured : 'en';
+}
+
+// "es-MX" / "Spanish" / "español" → "es"; anything unsupported → the default locale
+function resolveLocale(value) {
+  const v = String(value || '').trim().toLowerCase();
+  const code = LANGUAGE_NAMES[v] || v.split(/[-_]/)[0];
+  return code && getTemplates()[code] ? code : getDefaultLocale();
+}
+
+function businessName(locale) {
+  return process.env.BUSINESS_NAME || t('business.fallback', {}, locale);
+}
+
+/**
+ * @param {string} key - template key, e.g. 'sms.confirmation'
+ * @param {object} [vars] - {placeholder} values; missing ones render empty
+ * @param {string} [locale]
+ */
+function t(key, vars = {}, locale) {
+  const templates = getTemplates();
+  const code = resolveLocale(locale);
+  const template = (templates[code] && templates[code][key]) ?? templates.en[key];
+  if (template == null) throw new Error(`Unknown message template "${key}"`);
+  const values = { ...vars };
+  if (values.business == null && key !== 'business.fallback') values.business = businessName(code);
+  return template.replace(/\{(\w+)\}/g, (_, name) => (values[name] == null ? '' : String(values[name])));
+}
+
+function format(value, pattern, locale, timezone) {
+  const dt = typeof value === 'string' ? DateTime.fromISO(value) : DateTime.fromJSDate(value);
+  return dt.setZone(timezone || process.env.BUSINESS_TIMEZONE || 'America/Chicago')
+    .setLocale(resolveLocale(locale))
+    .toFormat(t(pattern, {}, locale));
+}
+
+// "Tuesday, October 20 at 10:00 AM" / "martes 20 de octubre a las 10:00"
+function formatDateTime(value, locale, timezone) {
+  return format(value, 'format.dateTime', locale, timezone);
+}
+
+// "Tue Oct 20, 10:00 AM"
+function formatShortDateTime(value, locale, timezone) {
+  return format(value, 'format.shortDateTime', locale, timezone);
+}
+
+// "Tuesday, Oct 20"
+function formatDate(value, locale, timezone) {
+  return format(value, 'format.day', locale, timezone);
+}
+
+// "10:00 AM"
+function formatTime(value, locale, timezone) {
+  return format(value, 'format.time', locale, timezone);
+}
+
+module.exports = {
+  t,
+  resolveLocale,
+  getDefaultLocale,
+  getSupportedLocales,
+  formatDateTime,
+  formatShortDateTime,
+  formatDate,
+  formatTime,
+};
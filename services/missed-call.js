@@ -0,0 +1,102 @@
+/**
+ * Missed-call text-back
+ * - textBackMissedCall: after a call that ended without a booking (no-answer, busy, failed,
+ *   canceled, or completed with nothing booked), text the caller an apology with the next open
+ *   times; replying with a number books it (services/sms-booking.js)
+ * - BOOKING_URL, when set, is added as a link to book online
+ * - Callers with an upcoming appointment get a reminder of it instead (they may have been
+ *   calling to change it)
+ * - Throttled per number: at most one text-back per MISSED_CALL_TEXT_COOLDOWN_HOURS (default 12),
+ *   claimed atomically in the session store ('missed-call' namespace) so two instances handling
+ *   status callbacks for the same caller send one text. Withheld numbers are skipped; opted-out
+ *   numbers are never texted (services/sms.js)
+ */
+const { normalizePhone } = require('./phone');
+const { recordImpliedConsent } = require('./consent');
+const { getBookingTags } = require('./appointments');
+const { findUpcomingAppointment } = require('./sms-inbound');
+const { offerNextOpenTimes, endSmsBooking } = require('./sms-booking');
+const { updateSession } = require('./session-store');
+const { t, formatShortDateTime } = require('./messages');
+
+const MISSED_CALL_STATUSES = ['no-answer', 'busy', 'failed', 'canceled'];
+
+// 'missed-call' session, keyed by phone: { textedAt (ms), callSid } of the last text-back
+const THROTTLE_NS = 'missed-call';
+
+function cooldownMs() {
+  const hours = Number(process.env.MISSED_CALL_TEXT_COOLDOWN_HOURS);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : 12) * 3600 * 1000;
+}
+
+// Takes the number's text-back slot unless it was texted within the cooldown; true when this call got it
+async function claimTextBack(phone, callSid, now) {
+  const cooldown = cooldownMs();
+  let claimed = false;
+  await updateSession(THROTTLE_NS, phone, (last) => {
+    if (last && now - last.textedAt < cooldown) return last;
+    claimed = true;
+    return { textedAt: now, callSid };
+  }, { ttlMs: Math.max(cooldown, 60000) });
+  return claimed;
+}
+
+// The text was not sent after all: free the slot, unless another call has taken it since
+function releaseTextBack(phone, callSid) {
+  return updateSession(THROTTLE_NS, phone, (last) => (last && last.callSid === callSid ? null : last), { ttlMs: Math.max(cooldownMs(), 60000) });
+}
+
+async function composeTextBack(phone) {
+  const link = process.env.BOOKING_URL ? t('sms.missedCall.link', { url: process.env.BOOKING_URL }) : '';
+  const upcoming = await findUpcomingAppointment(phone);
+  if (upcoming) {
+    const locale = getBookingTags(upcoming.event).locale;
+    const when = formatShortDateTime(upcoming.event.start.dateTime, locale);
+    return t('sms.missedCall.hasAppointment', { when }, locale);
+  }
+  const menu = await offerNextOpenTimes(phone);
+  return menu ? t('sms.missedCall', { menu, link }) : t('sms.missedCall.noSlots', { link });
+}
+
+/**
+ * Text a caller whose call ended without a booking.
+ * @param {object} opts
+ * @param {string} opts.callSid
+ * @param {string} opts.phone - caller (Twilio From)
+ * @param {string} opts.reason - call status, or 'no_booking' for a completed call
+ * @param {(msg: { to: string, body: string, purpose?: string }) => Promise<object|null>} opts.sendSms
+ * @param {(evt: { callSid: string, type: string, payload: object }) => Promise<any>} [opts.logEvent]
+ * @returns {Promise<{ sent: boolean, reason?: string }>}
+ */
+async function textBackMissedCall({ callSid, phone: rawPhone, reason, sendSms, logEvent }) {
+  const phone = normalizePhone(rawPhone);
+  // Withheld / anonymous callers come through as text or a short code
+  if (!phone || phone.replace(/\D/g, '').length < 10) return { sent: false, reason: 'no_number' };
+  if (!(await claimTextBack(phone, callSid, Date.now()))) {
+    console.log(`[missed-call][${callSid}] ${phone} texted recently, skipping`);
+    return { sent: false, reason: 'throttled' };
+  }
+
+  try {
+    await recordImpliedConsent(phone, { source: 'call', detail: callSid });
+    const body = await composeTextBack(phone);
+    const message = await sendSms({ to: phone, body, purpose: 'missed-call text-back' });
+    if (!message) {
+      await endSmsBooking(phone);
+      return { sent: false, reason: 'not_sent' };
+    }
+    console.log(`[missed-call][${callSid}] texted ${phone} (${reason})`);
+    if (logEvent) {
+      await logEvent({ callSid, type: 'missed_call_text', payload: { to: phone, reason, messageSid: message.sid || null } });
+    }
+    return { sent: true };
+  } catch (err) {
+    await releaseTextBack(phone, callSid).catch((e) => console.error(`[missed-call][${callSid}] could not release throttle:`, e?.message || e));
+    throw err;
+  }
+}
+
+module.exports = {
+  MISSED_CALL_STATUSES,
+  textBackMissedCall,
+};
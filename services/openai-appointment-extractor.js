@@ -0,0 +1,56 @@
+/**
+ * OpenAI appointment extractor (structured output validated against ExtractionSchema)
+ * - Model: APPOINTMENT_EXTRACTOR_MODEL, else OPENAI_MODEL, else gpt-4o-mini
+ * - The model gets numbered speaker turns, the current time in the business timezone and the
+ *   service catalog, and resolves relative dates itself
+ */
+const OpenAI = require('openai');
+const { zodResponseFormat } = require('openai/helpers/zod');
+const { ExtractionSchema } = require('./appointment-extractor');
+
+const name = 'openai';
+
+let client = null;
+
+function getClient() {
+  if (!process.env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY not configured');
+  if (!client) client = new OpenAI({ timeout: 20000, maxRetries: 1 });
+  return client;
+}
+
+function systemPrompt({ now, timezone, services }) {
+  return [
+    'You read phone calls between a barbershop receptionist (agent) and a caller, and report the appointment the caller booked.',
+    `Now: ${now.toFormat("cccc yyyy-MM-dd HH:mm")} (${timezone}). Resolve relative dates ("tomorrow", "next Friday") against it.`,
+    'Rules:',
+    '- If the agent read back a final confirmation (date, time, maybe name and service) and the caller did not object, use exactly that and set confirmedByAgent true. Ignore earlier proposals, alternatives and times the caller rejected.',
+    '- Otherwise use what the caller last agreed to. A time the caller said they cannot make is not the appointment.',
+    '- Phone numbers, prices and durations are never times or dates.',
+    '- customerName: only a name the caller gave as their own. Never a phrase like "not free" or the agent\'s name.',
+    '- serviceId: one of the ids below, or null when no service was named.',
+    '- date as YYYY-MM-DD, startTime as 24-hour HH:mm, null when not stated.',
+    '- found: true only if the caller booked (or agreed to) an appointment with both a date and a time.',
+    '- confidence per field, 0 to 1: 0.9+ when read back and confirmed, about 0.6 when stated once without confirmation, below 0.5 when guessed or ambiguous, 0 when missing.',
+    'Services (id: name):',
+    ...services.map((s) => `- ${s.id}: ${s.name}`),
+  ].join('\n');
+}
+
+async function extract({ turns, now, timezone, services }) {
+  const transcript = turns.map((t, i) => `${i + 1}. ${t.role}: ${t.text}`).join('\n');
+  const completion = await getClient().chat.completions.parse({
+    model: process.env.APPOINTMENT_EXTRACTOR_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    temperature: 0,
+    messages: [
+      { role: 'system', content: systemPrompt({ now, timezone, services }) },
+      { role: 'user', content: transcript || '(empty call)' },
+    ],
+    response_format: zodResponseFormat(ExtractionSchema, 'appointment'),
+  });
+  const message = completion.choices[0]?.message;
+  if (message?.refusal) throw new Error(`model refused: ${message.refusal}`);
+  if (!message?.parsed) throw new Error('no structured output');
+  return message.parsed;
+}
+
+module.exports = { name, extract };
@@ -0,0 +1,255 @@
+/**
+ * Appointment outcomes: attended | no_show | late_cancel
+ * - recordOutcome: set from the calendar, an admin action or an SMS/voice cancellation; stored on
+ *   the event (outcome, outcomeSource, outcomeAt tags) and on its appointments row, which is the
+ *   per-customer ledger and survives the event being deleted (late cancellations)
+ * - From the calendar: staff add "no-show" (or "late cancel" / "attended") to the event title or
+ *   description; runOutcomes picks it up. Bookings that ended OUTCOME_ATTENDED_AFTER_HOURS ago
+ *   (default 12) with no marker are recorded as attended; a marker added later still wins
+ * - Late cancel: cancelled by the customer less than LATE_CANCEL_HOURS (default 24) before the start
+ * - No-shows get one follow-up text offering to rebook (noShowFollowUpSentAt tag), outside
+ *   quiet hours and only if the customer hasn't booked again already
+ * - getBookingPolicy: recent no-shows per customer; at NO_SHOW_CONFIRM_THRESHOLD (default 2)
+ *   within NO_SHOW_WINDOW_DAYS (default 180) new bookings are tagged confirmationRequired and the
+ *   customer is asked to reply C
+ * - Attended appointments count as visits on the customer profile (services/customers.js)
+ * - Ledger in Postgres (appointments table, db/migrations/006_appointment_outcomes.sql) when DATABASE_URL
+ *   is set; otherwise kept in memory (logged once), which is lost on restart
+ */
+const { isDbConfigured, query } = require('./db');
+const { listUpcomingEvents, findEventsByPrivateProperty } = require('./calendar');
+const { getBookingTags, addBookingTags, isOwnedBy } = require('./appointments');
+const { getStaffCalendarIds } = require('./staff');
+const { normalizePhone } = require('./phone');
+const { recordVisit, removeVisit } = require('./customers');
+const { getQuietHours, isQuietTime } = require('./reminders');
+const { t, formatShortDateTime } = require('./messages');
+
+const OUTCOMES = ['attended', 'no_show', 'late_cancel'];
+const LOOKBACK_HOURS = 72;
+const MAX_EVENTS_PER_CALENDAR = 250;
+
+const memory = new Map(); // phone → [{ eventId, calendarId, start, outcome, source, detail, at }]
+let warned = false;
+let running = false;
+
+function businessTz() {
+  return process.env.BUSINESS_TIMEZONE || 'America/Chicago';
+}
+
+function numberEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] != null && process.env[name] !== '' && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function useDb() {
+  if (isDbConfigured()) return true;
+  if (!warned) {
+    console.warn('[outcomes] DATABASE_URL not set; appointment outcomes are kept in memory only');
+    warned = true;
+  }
+  return false;
+}
+
+function fromRow(row) {
+  return {
+    eventId: row.event_id,
+    calendarId: row.calendar_id,
+    start: row.start_at ? new Date(row.start_at).toISOString() : null,
+    outcome: row.outcome,
+    source: row.outcome_source,
+    detail: row.outcome_detail,
+    at: row.outcome_at ? new Date(row.outcome_at).toISOString() : null,
+  };
+}
+
+// Upserts the appointments row, so an outcome is kept even when the booking was never stored there
+async function saveOutcome(phone, event, calendarId, entry) {
+  if (useDb()) {
+    const tags = getBookingTags(event);
+    await query(
+      `insert into appointments (event_id, calendar_id, call_sid, caller_phone, service_id, staff_id, start_at, end_at,
+         outcome, outcome_source, outcome_detail, outcome_at)
+       values ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       on conflict (calendar_id, event_id) do update set
+         caller_phone = excluded.caller_phone,
+         outcome = excluded.outcome,
+         outcome_source = excluded.outcome_source,
+         outcome_detail = excluded.outcome_detail,
+         outcome_at = excluded.outcome_at,
+         updated_at = now()`,
+      [event.id, calendarId, tags.callSid || null, phone, tags.serviceId || null, tags.staffId || null,
+        entry.start || null, event.end?.dateTime || event.end?.date || null, entry.outcome, entry.source, entry.detail, entry.at],
+    );
+    return;
+  }
+  memory.set(phone, (memory.get(phone) || []).filter((e) => e.eventId !== event.id).concat(entry));
+}
+
+/**
+ * Record what happened to a booking. A later record for the same event replaces the earlier one.
+ * @param {object} opts
+ * @param {object} opts.event - calendar event with a callerPhone tag
+ * @param {string} opts.calendarId
+ * @param {'attended'|'no_show'|'late_cancel'} opts.outcome
+ * @param {string} opts.source - calendar | auto | admin | sms | call
+ * @param {string} [opts.detail]
+ * @param {boolean} [opts.tagEvent=true] - false when the event is about to be deleted
+ * @returns {Promise<object>} ledger entry
+ */
+async function recordOutcome({ event, calendarId, outcome, source, detail, tagEvent = true }) {
+  if (!OUTCOMES.includes(outcome)) throw new Error(`Unknown outcome "${outcome}" (expected one of ${OUTCOMES.join(', ')})`);
+  const phone = normalizePhone(getBookingTags(event).callerPhone);
+  if (!phone) throw new Error(`Event ${event.id} has no callerPhone tag`);
+
+  const at = new Date().toISOString();
+  const entry = { eventId: event.id, calendarId, start: event.start?.dateTime || event.start?.date, outcome, source, detail: detail || null, at };
+  await saveOutcome(phone, event, calendarId, entry);
+  if (tagEvent) await addBookingTags(event, calendarId, { outcome, outcomeSource: source, outcomeAt: at });
+  if (outcome === 'attended') await recordVisit(event);
+  else await removeVisit(phone, event.id);
+  console.log(`[outcomes] ${event.id} (${phone}) ${outcome} (${source}${detail ? `: ${detail}` : ''})`);
+  return entry;
+}
+
+/**
+ * @param {string} phone
+ * @returns {Promise<object[]>} { eventId, calendarId, start, outcome, source, detail, at }, oldest booking first
+ */
+async function getOutcomeHistory(phone) {
+  const p = normalizePhone(phone);
+  if (!p) return [];
+  if (useDb()) {
+    const { rows } = await query(
+      'select * from appointments where caller_phone = $1 and outcome is not null order by start_at, event_id',
+      [p],
+    );
+    return rows.map(fromRow);
+  }
+  return (memory.get(p) || []).slice().sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+/**
+ * Booking policy for a caller, from their recent outcomes.
+ * @returns {Promise<{ noShows: number, lateCancels: number, requireConfirmation: boolean }>}
+ */
+async function getBookingPolicy(phone, now = new Date()) {
+  const since = now.getTime() - numberEnv('NO_SHOW_WINDOW_DAYS', 180) * 86400000;
+  const recent = (await getOutcomeHistory(phone)).filter((e) => new Date(e.start).getTime() >= since);
+  const noShows = recent.filter((e) => e.outcome === 'no_show').length;
+  const lateCancels = recent.filter((e) => e.outcome === 'late_cancel').length;
+  const threshold = numberEnv('NO_SHOW_CONFIRM_THRESHOLD', 2);
+  return { noShows, lateCancels, requireConfirmation: threshold > 0 && noShows >= threshold };
+}
+
+// Cancelling now counts as a late cancellation
+function isLateCancel(event, now = new Date()) {
+  const startMs = Date.parse(event.start?.dateTime || event.start?.date);
+  return startMs - now.getTime() < numberEnv('LATE_CANCEL_HOURS', 24) * 3600000;
+}
+
+async function hasUpcomingBooking(phone) {
+  for (const calendarId of getStaffCalendarIds()) {
+    const events = await findEventsByPrivateProperty({ key: 'callerPhone', value: phone, calendarId });
+    if (events.some((e) => isOwnedBy(e, phone) && Date.parse(e.start?.dateTime) > Date.now())) return true;
+  }
+  return false;
+}
+
+// Outcome written on the event by staff, or null
+function readCalendarMarker(event) {
+  const text = `${event.summary || ''}\n${event.description || ''}`;
+  if (/\bno[\s-]?show\b/i.test(text)) return 'no_show';
+  if (/\blate[\s-]?cancel/i.test(text)) return 'late_cancel';
+  if (/\battended\b/i.test(text)) return 'attended';
+  return null;
+}
+
+/**
+ * Text a no-show customer once, offering to rebook.
+ * @returns {Promise<boolean>} true when sent
+ */
+async function sendNoShowFollowUp({ event, calendarId, sendSms, logEvent, now = new Date() }) {
+  const tags = getBookingTags(event);
+  if (tags.noShowFollowUpSentAt || !tags.callerPhone) return false;
+  if (isQuietTime(getQuietHours(), now, businessTz())) return false;
+  if (await hasUpcomingBooking(tags.callerPhone)) return false; // already rebooked
+
+  const locale = tags.locale;
+  const body = t('sms.noShow', { when: formatShortDateTime(event.start.dateTime, locale, businessTz()) }, locale);
+  const message = await sendSms({ to: tags.callerPhone, body, purpose: 'no-show follow-up' });
+  if (!message) return false;
+  await addBookingTags(event, calendarId, { noShowFollowUpSentAt: now.toISOString() });
+  console.log(`[outcomes] no-show follow-up sent for ${event.id} to ${tags.callerPhone}`);
+  if (logEvent) {
+    await logEvent({ callSid: tags.callSid || null, type: 'no_show_follow_up', payload: { eventId: event.id, calendarId, to: tags.callerPhone, messageSid: message.sid || null } });
+  }
+  return true;
+}
+
+/**
+ * One pass over bookings that ended in the last LOOKBACK_HOURS: record calendar markers,
+ * default to attended, and send no-show follow-ups.
+ * @param {object} deps - same as runReminders (services/reminders.js)
+ * @returns {Promise<{ checked: number, recorded: number, followUps: number, failed: number, skipped?: string }>}
+ */
+async function runOutcomes({ sendSms, logEvent, now = new Date() } = {}) {
+  if (running) return { checked: 0, recorded: 0, followUps: 0, failed: 0, skipped: 'already running' };
+  running = true;
+  try {
+    const result = { checked: 0, recorded: 0, followUps: 0, failed: 0 };
+    const attendedBefore = now.getTime() - numberEnv('OUTCOME_ATTENDED_AFTER_HOURS', 12) * 3600000;
+    const timeMin = new Date(now.getTime() - LOOKBACK_HOURS * 3600000).toISOString();
+    for (const calendarId of getStaffCalendarIds()) {
+      const events = await listUpcomingEvents({ calendarId, timeMin, timeMax: now.toISOString(), maxResults: MAX_EVENTS_PER_CALENDAR });
+      for (let event of events) {
+        const tags = getBookingTags(event);
+        const endMs = Date.parse(event.end?.dateTime || event.end?.date);
+        if (!tags.callerPhone || !(endMs <= now.getTime())) continue;
+        result.checked++;
+        try {
+          const marker = readCalendarMarker(event);
+          let outcome = null;
+          if (marker && marker !== tags.outcome) outcome = { outcome: marker, source: 'calendar' };
+          else if (!marker && !tags.outcome && endMs <= attendedBefore) outcome = { outcome: 'attended', source: 'auto' };
+          if (outcome) {
+            await recordOutcome({ event, calendarId, ...outcome });
+            event = { ...event, extendedProperties: { private: { ...tags, outcome: outcome.outcome } } };
+            result.recorded++;
+          }
+          if (getBookingTags(event).outcome === 'no_show' && await sendNoShowFollowUp({ event, calendarId, sendSms, logEvent, now })) {
+            result.followUps++;
+          }
+        } catch (err) {
+          result.failed++;
+          console.error(`[outcomes] ${event.id} failed:`, err?.message || err);
+        }
+      }
+    }
+    return result;
+  } finally {
+    running = false;
+  }
+}
+
+// Long-running servers: run a pass every intervalMinutes (serverless deployments use the cron route)
+function startOutcomeLoop(deps, { intervalMinutes = Number(process.env.OUTCOME_INTERVAL_MINUTES || 15) } = {}) {
+  const tick = () => runOutcomes(deps)
+    .then((r) => { if (r.recorded || r.followUps || r.failed) console.log(`[outcomes] pass: ${r.recorded} recorded, ${r.followUps} follow-ups, ${r.failed} failed`); })
+    .catch((err) => console.error('[outcomes] pass failed:', err?.message || err));
+  const timer = setInterval(tick, intervalMinutes * 60000);
+  timer.unref();
+  tick();
+  return timer;
+}
+
+module.exports = {
+  OUTCOMES,
+  recordOutcome,
+  getOutcomeHistory,
+  getBookingPolicy,
+  isLateCancel,
+  sendNoShowFollowUp,
+  runOutcomes,
+  startOutcomeLoop,
+};
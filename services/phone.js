@@ -0,0 +1,19 @@
+/**
+ * Phone number helpers
+ * - normalizePhone: canonical E.164-style form used to tag and look up bookings
+ */
+
+// "(512) 555-0100", "512.555.0100", "+1 512 555 0100" → "+15125550100"
+// Bare 10-digit numbers are assumed to be US/Canada (+1).
+function normalizePhone(raw) {
+  const s = String(raw || '').trim();
+  if (!s) return '';
+  const digits = s.replace(/\D/g, '');
+  if (!digits) return '';
+  if (s.startsWith('+')) return `+${digits}`;
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return `+${digits}`;
+}
+
+module.exports = { normalizePhone };
@@ -0,0 +1,211 @@
+/**
+ * Appointment reminders
+ * - runReminders: one pass over upcoming bookings on every barber calendar; texts the reminders
+ *   that are due. Called from POST /cron/reminders and, on a long-running server, a timer
+ * - Offsets: REMINDER_OFFSETS, comma-separated ("24h,2h", "90m"); default 24h,2h
+ * - Quiet hours: REMINDER_QUIET_HOURS ("21:00-08:00", business timezone, may wrap midnight);
+ *   a reminder that falls due in quiet hours goes out when they end, if the appointment
+ *   hasn't started by then. Set it to "off" to send at any hour
+ * - State lives on the event: reminder<offset>SentFor holds the start time the reminder was
+ *   sent for, so sends survive restarts and a moved appointment gets fresh reminders.
+ *   Cancelled events are never listed
+ * - Each reminder is claimed in the session store ('reminder' namespace, until the appointment starts)
+ *   before it is sent, so passes running at once on several instances (cron plus a timer, Vercel)
+ *   text it once. A send that fails or is suppressed releases the claim for the next pass
+ * - Only the closest due offset is sent (a 2h reminder replaces a missed 24h one), and an
+ *   offset that had already passed when the booking was made is skipped — the confirmation
+ *   text covered it
+ */
+const { DateTime } = require('luxon');
+const { listUpcomingEvents } = require('./calendar');
+const { getBookingTags, addBookingTags, toAppointmentSummary } = require('./appointments');
+const { getStaffCalendarIds } = require('./staff');
+const { findService } = require('./service-catalog');
+const { claimSession, deleteSession } = require('./session-store');
+const { t, formatDate, formatTime } = require('./messages');
+
+const DEFAULT_OFFSETS = '24h,2h';
+const DEFAULT_QUIET_HOURS = '21:00-08:00';
+const MAX_EVENTS_PER_CALENDAR = 250;
+const CLAIM_NS = 'reminder';
+
+let running = false;
+
+function businessTz() {
+  return process.env.BUSINESS_TIMEZONE || 'America/Chicago';
+}
+
+// "24h,2h,30m" → [1440, 120, 30] (minutes, largest first); bare numbers are minutes
+function parseOffsets(spec) {
+  const minutes = String(spec || '')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean)
+    .map((s) => {
+      const m = s.match(/^(\d+(?:\.\d+)?)\s*(d|h|m)?$/);
+      if (!m) throw new Error(`Invalid reminder offset "${s}" (expected e.g. 24h, 2h, 30m)`);
+      const unit = { d: 1440, h: 60, m: 1 }[m[2] || 'm'];
+      return Math.round(Number(m[1]) * unit);
+    })
+    .filter((n) => n > 0);
+  return [...new Set(minutes)].sort((a, b) => b - a);
+}
+
+function getReminderOffsets() {
+  return parseOffsets(process.env.REMINDER_OFFSETS || DEFAULT_OFFSETS);
+}
+
+// "21:00-08:00" → { start: 1260, end: 480 } (minutes after midnight); null when disabled
+function parseQuietHours(spec) {
+  const s = String(spec).trim().toLowerCase();
+  if (!s || s === 'off' || s === 'none') return null;
+  const m = s.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!m) throw new Error(`Invalid REMINDER_QUIET_HOURS "${spec}" (expected HH:MM-HH:MM)`);
+  return { start: Number(m[1]) * 60 + Number(m[2]), end: Number(m[3]) * 60 + Number(m[4]) };
+}
+
+function getQuietHours() {
+  return parseQuietHours(process.env.REMINDER_QUIET_HOURS ?? DEFAULT_QUIET_HOURS);
+}
+
+function isQuietTime(quiet, at, timezone) {
+  if (!quiet) return false;
+  const local = DateTime.fromJSDate(at, { zone: timezone });
+  const minute = local.hour * 60 + local.minute;
+  return quiet.start <= quiet.end
+    ? minute >= quiet.start && minute < quiet.end
+    : minute >= quiet.start || minute < quiet.end;
+}
+
+// 1440 → "24h", 90 → "90m"
+function offsetLabel(minutes) {
+  return minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+}
+
+function sentTag(minutes) {
+  return `reminder${offsetLabel(minutes)}SentFor`;
+}
+
+// Offset to send for this event now, or null. Start times are compared as UTC ISO strings.
+function dueOffset(event, offsets, now) {
+  const startISO = new Date(event.start?.dateTime || event.start?.date).toISOString();
+  const startMs = Date.parse(startISO);
+  if (!(startMs > now.getTime())) return null;
+  const tags = getBookingTags(event);
+  const createdMs = event.created ? Date.parse(event.created) : 0;
+
+  // Closest offset whose time has come; earlier ones that were missed are not sent late
+  const due = offsets.filter((m) => now.getTime() >= startMs - m * 60000);
+  if (!due.length) return null;
+  const minutes = due[due.length - 1];
+  if (tags[sentTag(minutes)] === startISO) return null;
+  if (createdMs > startMs - minutes * 60000) return null;
+  return { minutes, startISO };
+}
+
+// In the customer's language (locale tag), times in the business timezone
+function reminderText(event, timezone, now) {
+  const tags = getBookingTags(event);
+  const locale = tags.locale;
+  const appt = toAppointmentSummary(event, timezone);
+  const start = DateTime.fromISO(appt.start, { zone: timezone });
+  const today = DateTime.fromJSDate(now, { zone: timezone }).startOf('day');
+  const days = Math.round(start.startOf('day').diff(today, 'days').days);
+  const day = days === 0 ? t('day.today', {}, locale)
+    : days === 1 ? t('day.tomorrow', {}, locale)
+      : t('day.on', { date: formatDate(appt.start, locale, timezone) }, locale);
+  const service = findService(tags.serviceId);
+  const text = t('sms.reminder', {
+    service: service ? t('sms.reminder.serviceAppointment', { service: service.name }, locale) : t('sms.reminder.appointment', {}, locale),
+    day,
+    time: formatTime(appt.start, locale, timezone),
+    withStaff: appt.staff ? t('sms.withStaff', { staff: appt.staff.name }, locale) : '',
+  }, locale);
+  // Repeat no-shows must confirm (services/outcomes.js)
+  return tags.confirmationRequired && !tags.confirmedAt ? `${text} ${t('sms.confirmRequired', {}, locale)}` : text;
+}
+
+/**
+ * One reminder pass.
+ * @param {object} deps
+ * @param {(msg: { to: string, body: string }) => Promise<object|null>} deps.sendSms - null when not sent (see services/sms.js)
+ * @param {(evt: { callSid: string|null, type: string, payload: object }) => Promise<any>} [deps.logEvent]
+ * @param {Date} [deps.now]
+ * @returns {Promise<{ checked: number, sent: number, suppressed: number, failed: number, quiet: boolean, skipped?: string }>}
+ */
+async function runReminders({ sendSms, logEvent, now = new Date() } = {}) {
+  if (running) return { checked: 0, sent: 0, suppressed: 0, failed: 0, quiet: false, skipped: 'already running' };
+  running = true;
+  try {
+    const timezone = businessTz();
+    const offsets = getReminderOffsets();
+    const result = { checked: 0, sent: 0, suppressed: 0, failed: 0, quiet: isQuietTime(getQuietHours(), now, timezone) };
+    if (!offsets.length || result.quiet) return result;
+
+    const timeMax = new Date(now.getTime() + offsets[0] * 60000).toISOString();
+    for (const calendarId of getStaffCalendarIds()) {
+      const events = await listUpcomingEvents({ calendarId, timeMin: now.toISOString(), timeMax, maxResults: MAX_EVENTS_PER_CALENDAR });
+      for (const event of events) {
+        const tags = getBookingTags(event);
+        if (!tags.callerPhone) continue; // not booked through us
+        result.checked++;
+        const due = dueOffset(event, offsets, now);
+        if (!due) continue;
+
+        const label = offsetLabel(due.minutes);
+        const claimKey = `${calendarId}:${event.id}:${label}:${due.startISO}`;
+        try {
+          if (!(await claimSession(CLAIM_NS, claimKey, { ttlMs: Date.parse(due.startISO) - now.getTime() }))) continue; // another pass has it
+          let message;
+          try {
+            message = await sendSms({ to: tags.callerPhone, body: reminderText(event, timezone, now), purpose: 'reminder' });
+          } catch (err) {
+            await deleteSession(CLAIM_NS, claimKey).catch(() => {});
+            throw err;
+          }
+          if (!message) { // opted out: left unmarked in case they opt back in
+            await deleteSession(CLAIM_NS, claimKey);
+            result.suppressed++;
+            continue;
+          }
+          await addBookingTags(event, calendarId, { [sentTag(due.minutes)]: due.startISO });
+          result.sent++;
+          console.log(`[reminders] sent ${label} reminder for ${event.id} to ${tags.callerPhone}`);
+          if (logEvent) {
+            await logEvent({
+              callSid: tags.callSid || null,
+              type: 'reminder_sent',
+              payload: { eventId: event.id, calendarId, offset: label, start: due.startISO, to: tags.callerPhone, messageSid: message?.sid || null },
+            });
+          }
+        } catch (err) {
+          result.failed++;
+          console.error(`[reminders] ${label} reminder for ${event.id} failed:`, err?.message || err);
+        }
+      }
+    }
+    return result;
+  } finally {
+    running = false;
+  }
+}
+
+// Long-running servers: run a pass every intervalMinutes (serverless deployments use the cron route)
+function startReminderLoop(deps, { intervalMinutes = Number(process.env.REMINDER_INTERVAL_MINUTES || 5) } = {}) {
+  const tick = () => runReminders(deps)
+    .then((r) => { if (r.sent || r.failed) console.log(`[reminders] pass: ${r.sent} sent, ${r.failed} failed, ${r.checked} checked`); })
+    .catch((err) => console.error('[reminders] pass failed:', err?.message || err));
+  const timer = setInterval(tick, intervalMinutes * 60000);
+  timer.unref();
+  tick();
+  return timer;
+}
+
+module.exports = {
+  parseOffsets,
+  parseQuietHours,
+  getQuietHours,
+  isQuietTime,
+  runReminders,
+  startReminderLoop,
+};
@@ -0,0 +1,238 @@
+/**
+ * Business schedule
+ * - One model for opening hours: per-weekday ranges (several per day for breaks),
+ *   dated exceptions and holiday closures, all in the business timezone
+ * - Configure with BUSINESS_SCHEDULE (inline JSON) or BUSINESS_SCHEDULE_PATH (JSON file);
+ *   without either, BUSINESS_HOURS="09:00-17:00" + BUSINESS_DAYS="1-5" still work
+ * - isOpenAt: is a single moment inside an open range
+ * - isOpenBetween: does a whole appointment fit inside one open range (no spilling into lunch)
+ * - describeSchedule: hours rendered for the Hume prompt and voice/SMS replies
+ *
+ * Config shape:
+ *   {
+ *     "weekly": { "tue-fri": ["09:00-12:00", "13:00-18:00"], "sat": ["09:00-13:00"] },
+ *     "exceptions": { "2026-12-24": ["09:00-12:00"] },
+ *     "holidays": ["12-25", { "date": "2026-11-26", "name": "Thanksgiving" }]
+ *   }
+ * Weekday keys are names (mon, tuesday), numbers (0=Sun) or ranges/lists of either; days not
+ * listed are closed. Holidays are YYYY-MM-DD or MM-DD (every year). An exception replaces the
+ * hours for that date (an empty list closes it) and wins over a holiday on the same date.
+ */
+const fs = require('fs');
+const path = require('path');
+const { DateTime } = require('luxon');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Week order used when describing hours
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+let cachedSchedule = null;
+
+// "9", "09:00", "17:30", "24:00" → minutes since midnight
+function parseClock(value) {
+  const m = String(value || '').trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (!m) return null;
+  const minutes = Number(m[1]) * 60 + Number(m[2] || 0);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+// "09:00-17:00" or ["09:00-12:00", "13:00-17:00"] → sorted [{ start, end }] in minutes
+function parseRanges(spec) {
+  const list = Array.isArray(spec) ? spec : String(spec || '').split(',');
+  const ranges = [];
+  for (const item of list) {
+    const s = String(item).trim();
+    if (!s) continue;
+    const [a, b] = s.split('-');
+    const start = parseClock(a);
+    const end = parseClock(b);
+    if (start == null || end == null || end <= start) throw new Error(`Invalid hours range "${s}"`);
+    ranges.push({ start, end });
+  }
+  return ranges.sort((x, y) => x.start - y.start);
+}
+
+function parseDay(value) {
+  const v = String(value).trim().toLowerCase();
+  if (/^\d$/.test(v) && Number(v) <= 7) return Number(v) % 7;
+  const idx = DAY_NAMES.indexOf(v.slice(0, 3));
+  if (idx === -1) throw new Error(`Unknown weekday "${value}"`);
+  return idx;
+}
+
+// "mon-fri", "1-5", "sat", "1,3,5" → [weekday numbers] (0=Sun); ranges may wrap (fri-mon)
+function parseWeekdays(spec) {
+  const days = new Set();
+  for (const part of String(spec).split(',')) {
+    const p = part.trim();
+    if (!p) continue;
+    if (p.includes('-')) {
+      const [a, b] = p.split('-').map(parseDay);
+      for (let d = a; ; d = (d + 1) % 7) {
+        days.add(d);
+        if (d === b) break;
+      }
+    } else {
+      days.add(parseDay(p));
+    }
+  }
+  return [...days];
+}
+
+function normalizeHoliday(raw) {
+  const entry = typeof raw === 'string' ? { date: raw } : raw || {};
+  const date = String(entry.date || '').trim();
+  if (!/^(\d{4}-)?\d{2}-\d{2}$/.test(date)) throw new Error(`Invalid holiday date "${entry.date}"`);
+  return { date, name: entry.name ? String(entry.name) : 'Holiday' };
+}
+
+/**
+ * Build a schedule from config (see module docs).
+ * @param {object} config
+ * @param {string} [timezone] - IANA timezone (default BUSINESS_TIMEZONE or America/Chicago)
+ */
+function createSchedule(config = {}, timezone = process.env.BUSINESS_TIMEZONE || 'America/Chicago') {
+  const weekly = [[], [], [], [], [], [], []];
+  for (const [key, spec] of Object.entries(config.weekly || {})) {
+    const ranges = parseRanges(spec);
+    for (const day of parseWeekdays(key)) weekly[day] = ranges;
+  }
+  const exceptions = {};
+  for (const [date, spec] of Object.entries(config.exceptions || {})) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error(`Invalid exception date "${date}"`);
+    exceptions[date] = parseRanges(spec);
+  }
+  const holidays = (config.holidays || []).map(normalizeHoliday);
+  return { timezone: config.timezone || timezone, weekly, exceptions, holidays };
+}
+
+// Schedule equivalent of the old BUSINESS_HOURS/BUSINESS_DAYS pair (also used for staff hours)
+function scheduleFromHours({ hoursRange, daysSpec } = {}, timezone) {
+  return createSchedule({ weekly: { [daysSpec || '0-6']: [hoursRange || '00:00-24:00'] } }, timezone);
+}
+
+function loadBusinessSchedule() {
+  let raw = null;
+  if (process.env.BUSINESS_SCHEDULE) {
+    raw = JSON.parse(process.env.BUSINESS_SCHEDULE);
+  } else if (process.env.BUSINESS_SCHEDULE_PATH) {
+    raw = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), process.env.BUSINESS_SCHEDULE_PATH), 'utf8'));
+  }
+  if (raw) return createSchedule(raw);
+  return scheduleFromHours({ hoursRange: process.env.BUSINESS_HOURS || '09:00-17:00', daysSpec: process.env.BUSINESS_DAYS || '1-5' });
+}
+
+function getBusinessSchedule() {
+  if (!cachedSchedule) cachedSchedule = loadBusinessSchedule();
+  return cachedSchedule;
+}
+
+function toLocal(schedule, value) {
+  if (DateTime.isDateTime(value)) return value.setZone(schedule.timezone);
+  if (value instanceof Date) return DateTime.fromJSDate(value, { zone: schedule.timezone });
+  return DateTime.fromISO(String(value), { zone: schedule.timezone });
+}
+
+// Holiday falling on a local date, or null
+function holidayOn(schedule, dt) {
+  const local = toLocal(schedule, dt);
+  const full = local.toFormat('yyyy-MM-dd');
+  const monthDay = local.toFormat('MM-dd');
+  return schedule.holidays.find((h) => h.date === full || h.date === monthDay) || null;
+}
+
+// Open ranges (minutes since midnight) for the local date containing dt
+function rangesForDate(schedule, dt) {
+  const local = toLocal(schedule, dt);
+  if (!local.isValid) return [];
+  const date = local.toFormat('yyyy-MM-dd');
+  if (schedule.exceptions[date]) return schedule.exceptions[date];
+  if (holidayOn(schedule, local)) return [];
+  return schedule.weekly[local.weekday % 7];
+}
+
+function isOpenAt(schedule, value) {
+  const local = toLocal(schedule, value);
+  if (!local.isValid) return false;
+  const minutes = local.hour * 60 + local.minute;
+  return rangesForDate(schedule, local).some((r) => minutes >= r.start && minutes < r.end);
+}
+
+function isOpenNow(schedule = getBusinessSchedule()) {
+  return isOpenAt(schedule, DateTime.now());
+}
+
+// True when [start, end) sits entirely inside a single open range on one local date
+function isOpenBetween(schedule, startValue, endValue) {
+  const start = toLocal(schedule, startValue);
+  const end = toLocal(schedule, endValue);
+  if (!start.isValid || !end.isValid || end <= start) return false;
+  const startMin = start.hour * 60 + start.minute;
+  const endsAtMidnight = end.hour === 0 && end.minute === 0 && end.hasSame(start.plus({ days: 1 }), 'day');
+  const endMin = end.hasSame(start, 'day') ? end.hour * 60 + end.minute : endsAtMidnight ? 24 * 60 : Infinity;
+  return rangesForDate(schedule, start).some((r) => startMin >= r.start && endMin <= r.end);
+}
+
+// 540 → "9 AM", 810 → "1:30 PM"
+function formatClock(minutes) {
+  const dt = DateTime.fromObject({ hour: 0 }).plus({ minutes });
+  return dt.toFormat(dt.minute ? 'h:mm a' : 'h a');
+}
+
+function formatRanges(ranges) {
+  if (!ranges.length) return 'closed';
+  return ranges.map((r) => `${formatClock(r.start)}–${formatClock(r.end)}`).join(', ');
+}
+
+// e.g. "Mon–Fri 9 AM–12 PM, 1 PM–5 PM; Sat 9 AM–1 PM; Sun closed"
+function describeWeekly(schedule) {
+  const groups = [];
+  for (const day of WEEK_ORDER) {
+    const text = formatRanges(schedule.weekly[day]);
+    const last = groups[groups.length - 1];
+    if (last && last.text === text) last.to = day;
+    else groups.push({ from: day, to: day, text });
+  }
+  return groups
+    .map((g) => `${DAY_LABELS[g.from]}${g.to !== g.from ? `–${DAY_LABELS[g.to]}` : ''} ${g.text}`)
+    .join('; ');
+}
+
+// Holidays and exceptions in the next `days` days, e.g. ["Thu, Nov 26: closed (Thanksgiving)"]
+function upcomingChanges(schedule, { from = DateTime.now(), days = 60 } = {}) {
+  const changes = [];
+  const first = toLocal(schedule, from).startOf('day');
+  for (let i = 0; i < days; i++) {
+    const dt = first.plus({ days: i });
+    const date = dt.toFormat('yyyy-MM-dd');
+    const holiday = holidayOn(schedule, dt);
+    if (!schedule.exceptions[date] && !holiday) continue;
+    const label = `${dt.toFormat('ccc, LLL d')}: ${formatRanges(rangesForDate(schedule, dt))}`;
+    changes.push(holiday && !schedule.exceptions[date] ? `${label} (${holiday.name})` : label);
+  }
+  return changes;
+}
+
+/**
+ * Hours as one sentence-friendly string: weekly hours plus upcoming closures/exceptions.
+ * @param {object} [schedule] - default: the business schedule
+ * @param {object} [opts] - { from, days } window for upcoming changes
+ */
+function describeSchedule(schedule = getBusinessSchedule(), opts) {
+  const changes = upcomingChanges(schedule, opts);
+  return changes.length ? `${describeWeekly(schedule)}. Special hours: ${changes.join('; ')}` : describeWeekly(schedule);
+}
+
+module.exports = {
+  createSchedule,
+  scheduleFromHours,
+  getBusinessSchedule,
+  rangesForDate,
+  holidayOn,
+  isOpenAt,
+  isOpenNow,
+  isOpenBetween,
+  describeWeekly,
+  describeSchedule,
+};
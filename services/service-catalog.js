@@ -0,0 +1,169 @@
+/**
+ * Service catalog
+ * - One place for service names, aliases, durations, price tiers and buffer time
+ * - Override the built-in catalog with SERVICE_CATALOG (inline JSON) or SERVICE_CATALOG_PATH (JSON file)
+ * - findService: resolve a tool parameter ("fade", "first-time") to a catalog entry
+ * - matchServiceInText: pick the service mentioned in free text (post-call transcript)
+ * - describeServicesForPrompt: catalog rendered for the Hume prompt
+ *
+ * Entry shape:
+ *   { id, name, aliases: string[], durationMinutes, bufferMinutes, tier, price, default? }
+ * tier is one of TIERS; price is the starting price in dollars.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const TIERS = ['First-Time', 'Returning', 'Preferred', 'À La Carte'];
+
+const DEFAULT_SERVICES = [
+  {
+    id: 'first-time-cut',
+    name: 'First-Time Haircut',
+    aliases: ['first time', 'first-time', 'new client', 'first visit'],
+    durationMinutes: 45,
+    bufferMinutes: 5,
+    tier: 'First-Time',
+    price: 53,
+  },
+  {
+    id: 'returning-cut',
+    name: 'Haircut',
+    aliases: ['haircut', 'hair cut', 'cut', 'fade', 'taper', 'returning'],
+    durationMinutes: 30,
+    bufferMinutes: 5,
+    tier: 'Returning',
+    price: 32,
+    default: true,
+  },
+  {
+    id: 'preferred-cut',
+    name: 'Preferred Haircut',
+    aliases: ['preferred'],
+    durationMinutes: 30,
+    bufferMinutes: 5,
+    tier: 'Preferred',
+    price: 27,
+  },
+  {
+    id: 'lineup',
+    name: 'Lineup',
+    aliases: ['lineup', 'line up', 'line-up', 'edge up', 'shape up'],
+    durationMinutes: 15,
+    bufferMinutes: 5,
+    tier: 'À La Carte',
+    price: 36,
+  },
+  {
+    id: 'shave',
+    name: 'Shave',
+    aliases: ['shave', 'hot towel', 'straight razor'],
+    durationMinutes: 30,
+    bufferMinutes: 5,
+    tier: 'À La Carte',
+    price: 36,
+  },
+  {
+    id: 'beard-trim',
+    name: 'Beard Trim',
+    aliases: ['beard', 'beard trim', 'trim'],
+    durationMinutes: 20,
+    bufferMinutes: 5,
+    tier: 'À La Carte',
+    price: 36,
+  },
+];
+
+let cachedCatalog = null;
+
+function normalizeEntry(raw) {
+  const id = String(raw.id || raw.name || '').trim().toLowerCase().replace(/\s+/g, '-');
+  if (!id) throw new Error('Service catalog entry missing id/name');
+  const durationMinutes = Number(raw.durationMinutes);
+  if (!Number.isFinite(durationMinutes) || durationMinutes <= 0) {
+    throw new Error(`Service ${id}: durationMinutes must be a positive number`);
+  }
+  if (raw.tier && !TIERS.includes(raw.tier)) {
+    throw new Error(`Service ${id}: unknown tier "${raw.tier}" (expected one of ${TIERS.join(', ')})`);
+  }
+  return {
+    id,
+    name: String(raw.name || id),
+    aliases: (Array.isArray(raw.aliases) ? raw.aliases : []).map((a) => String(a).toLowerCase()),
+    durationMinutes,
+    bufferMinutes: Math.max(0, Number(raw.bufferMinutes) || 0),
+    tier: raw.tier || 'À La Carte',
+    price: Number.isFinite(Number(raw.price)) ? Number(raw.price) : null,
+    default: !!raw.default,
+  };
+}
+
+function loadServiceCatalog() {
+  let raw = DEFAULT_SERVICES;
+  if (process.env.SERVICE_CATALOG) {
+    raw = JSON.parse(process.env.SERVICE_CATALOG);
+  } else if (process.env.SERVICE_CATALOG_PATH) {
+    raw = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), process.env.SERVICE_CATALOG_PATH), 'utf8'));
+  }
+  const list = Array.isArray(raw) ? raw : raw.services;
+  if (!Array.isArray(list) || !list.length) throw new Error('Service catalog is empty');
+  return list.map(normalizeEntry);
+}
+
+function getServiceCatalog() {
+  if (!cachedCatalog) cachedCatalog = loadServiceCatalog();
+  return cachedCatalog;
+}
+
+function getDefaultService() {
+  const catalog = getServiceCatalog();
+  return catalog.find((s) => s.default) || catalog[0];
+}
+
+// Exact match on id, name or alias (case-insensitive)
+function findService(value) {
+  const v = String(value || '').trim().toLowerCase();
+  if (!v) return null;
+  return getServiceCatalog().find((s) => s.id === v || s.name.toLowerCase() === v || s.aliases.includes(v)) || null;
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Service mentioned in free text; longest matching alias wins ("first time haircut" → First-Time, not Haircut)
+function matchServiceInText(text) {
+  const t = String(text || '').toLowerCase();
+  let best = null;
+  let bestLen = 0;
+  for (const service of getServiceCatalog()) {
+    for (const term of [service.name.toLowerCase(), ...service.aliases]) {
+      if (term.length <= bestLen) continue;
+      if (new RegExp(`\\b${escapeRegex(term)}\\b`).test(t)) {
+        best = service;
+        bestLen = term.length;
+      }
+    }
+  }
+  return best;
+}
+
+function formatPrice(service) {
+  return service.price == null ? '' : `$${service.price}+`;
+}
+
+// e.g. "- Haircut (Returning, $32+): 30 minutes"
+function describeServicesForPrompt() {
+  return getServiceCatalog()
+    .map((s) => `- ${s.name} (${[s.tier, formatPrice(s)].filter(Boolean).join(', ')}): ${s.durationMinutes} minutes`)
+    .join('\n');
+}
+
+module.exports = {
+  TIERS,
+  getServiceCatalog,
+  getDefaultService,
+  findService,
+  matchServiceInText,
+  formatPrice,
+  describeServicesForPrompt,
+};
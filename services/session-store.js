@@ -0,0 +1,79 @@
+/**
+ * Call session state
+ * - One interface over the configured backend, so a call's webhooks can land on any instance
+ *   (Vercel, several Render instances): SESSION_STORE=memory | db
+ *   (default: db when DATABASE_URL is set, otherwise memory)
+ * - Backend contract (services/memory-session-store.js, services/db-session-store.js):
+ *     get(namespace, key)                         → value, or null when missing / expired
+ *     set(namespace, key, value, { ttlMs })
+ *     update(namespace, key, fn, { ttlMs })       → fn(current|null) returns the new value (null deletes);
+ *                                                   runs atomically per key; resolves to the new value
+ *     delete(namespace, key)
+ *   Values are JSON; every write restarts the TTL.
+ * - Namespaces used for calls: 'call' (legacy voice flow state), 'hume-chat' (CallSid → Hume chat id),
+ *   'hume-chat-call' (Hume chat id → CallSid), 'hume-caller' (caller phone → CallSid handed to Hume),
+ *   'call-caller' (CallSid → caller phone), 'post-call' (post-call processing claimed for a CallSid)
+ * - Namespaces used for texts: 'sms-booking' (text-to-book conversation, services/sms-booking.js),
+ *   'sms-reschedule' (reschedule dialog, services/sms-inbound.js) and 'missed-call' (text-back throttle,
+ *   services/missed-call.js), keyed by phone; 'reminder' (a reminder being sent, services/reminders.js)
+ */
+const { isDbConfigured } = require('./db');
+
+const BACKENDS = {
+  memory: () => require('./memory-session-store'),
+  db: () => require('./db-session-store'),
+};
+
+const DEFAULT_TTL_MS = 2 * 60 * 60 * 1000;
+
+let backend = null;
+
+function getSessionBackend() {
+  if (backend) return backend;
+  const name = String(process.env.SESSION_STORE || (isDbConfigured() ? 'db' : 'memory')).trim().toLowerCase();
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown SESSION_STORE "${name}" (expected one of ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  backend = BACKENDS[name]();
+  console.log(`[sessions] using ${backend.name} store`);
+  return backend;
+}
+
+async function getSession(namespace, key) {
+  return getSessionBackend().get(namespace, String(key));
+}
+
+async function setSession(namespace, key, value, { ttlMs = DEFAULT_TTL_MS } = {}) {
+  return getSessionBackend().set(namespace, String(key), value, { ttlMs });
+}
+
+async function updateSession(namespace, key, fn, { ttlMs = DEFAULT_TTL_MS } = {}) {
+  return getSessionBackend().update(namespace, String(key), fn, { ttlMs });
+}
+
+async function deleteSession(namespace, key) {
+  return getSessionBackend().delete(namespace, String(key));
+}
+
+/**
+ * Take a key if nobody holds it (e.g. one instance runs post-call processing for a call).
+ * @returns {Promise<boolean>} true when this caller claimed it
+ */
+async function claimSession(namespace, key, { ttlMs = DEFAULT_TTL_MS } = {}) {
+  let claimed = false;
+  await updateSession(namespace, key, (current) => {
+    if (current) return current;
+    claimed = true;
+    return { claimedAt: new Date().toISOString() };
+  }, { ttlMs });
+  return claimed;
+}
+
+module.exports = {
+  getSessionBackend,
+  getSession,
+  setSession,
+  updateSession,
+  deleteSession,
+  claimSession,
+};
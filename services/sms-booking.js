@@ -0,0 +1,257 @@
+/**
+ * Text-to-book: an SMS booking conversation
+ * - Collects name → service → day → time, one question per text, then books the slot
+ * - offerNextOpenTimes starts at the time step instead, with the next open times for the
+ *   default service (missed-call text-back, services/missed-call.js); offerAlternatives does the
+ *   same with given slots (post-call bookings whose time was taken)
+ * - Books through the same service as the voice agent's tool routes (services/booking.js), so
+ *   hours, double-booking checks, barber assignment and event tags are identical for both channels
+ * - Days and times are read with the shared business-timezone parser (services/datetime.js:
+ *   "friday", "the 15th", "next tuesday", 3/4), plus the Spanish "hoy" / "mañana"
+ * - Replies use the session's language (services/messages.js), which is also stored on the booking
+ * - Conversation state is in the session store ('sms-booking' namespace, keyed by phone), so a reply can
+ *   land on any instance, and expires SESSION_TTL_MS after the last text; keywords (BOOK, CANCEL) are
+ *   routed by services/sms-inbound.js
+ */
+const { DateTime } = require('luxon');
+const { getServiceCatalog, getDefaultService, findService, matchServiceInText, formatPrice } = require('./service-catalog');
+const { parseLocalDate, parseLocalTime } = require('./datetime');
+const { appointmentIcsUrl } = require('./appointment-links');
+const { getStaff } = require('./staff');
+const { findOpenSlots, bookAppointment } = require('./booking');
+const { getSession, setSession, updateSession } = require('./session-store');
+const { t, getDefaultLocale, formatDateTime, formatDate, formatTime } = require('./messages');
+
+const SESSION_TTL_MS = 30 * 60 * 1000;
+const MAX_SLOTS = 5;
+const NEXT_OPEN_SLOTS = 3;
+const NEXT_OPEN_DAYS = 3;
+
+// 'sms-booking' session, keyed by phone: { step: 'name' | 'service' | 'date' | 'time', locale, name, serviceId, date, slots }
+const SESSION_NS = 'sms-booking';
+
+function businessTz() {
+  return process.env.BUSINESS_TIMEZONE || 'America/Chicago';
+}
+
+function loadBooking(phone) {
+  return getSession(SESSION_NS, phone);
+}
+
+function saveBooking(phone, session) {
+  return setSession(SESSION_NS, phone, session, { ttlMs: SESSION_TTL_MS });
+}
+
+async function hasSmsBooking(phone) {
+  return Boolean(await loadBooking(phone));
+}
+
+// Ends the conversation; resolves to its locale (for the goodbye), or null when none was open
+async function endSmsBooking(phone) {
+  let locale = null;
+  await updateSession(SESSION_NS, phone, (session) => {
+    locale = session ? session.locale : null;
+    return null;
+  }, { ttlMs: SESSION_TTL_MS });
+  return locale;
+}
+
+function serviceMenu() {
+  return getServiceCatalog()
+    .map((s, i) => `${i + 1}) ${s.name}${s.price != null ? ` ${formatPrice(s)}` : ''}`)
+    .join('\n');
+}
+
+// "2" (menu number), "haircut", or free text mentioning a service
+function readService(text) {
+  const n = Number(text);
+  const catalog = getServiceCatalog();
+  if (Number.isInteger(n) && n >= 1 && n <= catalog.length) return catalog[n - 1];
+  return findService(text) || matchServiceInText(text);
+}
+
+// "today", "tomorrow", or anything parseLocalDate takes (1/9, 2026-01-09); "YYYY-MM-DD" or null
+function readDate(text) {
+  const tz = businessTz();
+  const today = DateTime.now().setZone(tz).startOf('day');
+  const word = text.trim().toLowerCase();
+  let day = null;
+  if (word === 'today' || word === 'hoy') day = today;
+  else if (word === 'tomorrow' || word === 'mañana' || word === 'manana') day = today.plus({ days: 1 });
+  else {
+    const parts = parseLocalDate(text.trim(), tz);
+    if (parts) day = DateTime.fromObject(parts, { zone: tz });
+  }
+  if (!day || !day.isValid || day < today) return null;
+  return day.toFormat('yyyy-MM-dd');
+}
+
+function dateExample(locale) {
+  return DateTime.now().setZone(businessTz()).plus({ days: 2 }).toFormat(t('format.dateExample', {}, locale));
+}
+
+// "1) 10:00 AM" per slot; withDate adds the day, for lists that may span days
+function slotMenu(slots, locale, withDate = false) {
+  const label = (s) => (withDate ? formatDateTime(s.start, locale, businessTz()) : formatTime(s.start, locale, businessTz()));
+  return slots.map((s, i) => `${i + 1}) ${label(s)}`).join('\n');
+}
+
+async function offerSlots(phone, session, date) {
+  const result = await findOpenSlots({
+    date,
+    service: session.serviceId,
+    timezone: businessTz(),
+    maxSlots: MAX_SLOTS,
+    callerPhone: phone,
+  });
+  const slots = (result.ok && result.slots) || [];
+  const { locale } = session;
+  const day = formatDate(DateTime.fromISO(date, { zone: businessTz() }).toJSDate(), locale, businessTz());
+  if (!slots.length) {
+    await saveBooking(phone, { ...session, step: 'date', date: null, slots: [] });
+    return t('sms.book.noSlots', { day, example: dateExample(locale) }, locale);
+  }
+  await saveBooking(phone, { ...session, step: 'time', date, slots });
+  return t('sms.book.slots', { day, menu: slotMenu(slots, locale) }, locale);
+}
+
+async function book(phone, session, startTime) {
+  const data = await bookAppointment({
+    date: session.date,
+    startTime,
+    service: session.serviceId,
+    customerName: session.name,
+    language: session.locale,
+    timezone: businessTz(),
+    callerPhone: phone,
+    via: 'sms',
+  });
+  const { locale } = session;
+  if (!data.ok && Array.isArray(data.alternatives)) {
+    const alternatives = data.alternatives.slice(0, MAX_SLOTS);
+    if (!alternatives.length) {
+      await saveBooking(phone, { ...session, step: 'date', date: null, slots: [] });
+      return t('sms.book.takenNoAlternatives', {}, locale);
+    }
+    // Alternatives may fall on another day; keep each slot's own date
+    await saveBooking(phone, { ...session, step: 'time', slots: alternatives });
+    return t('sms.book.alternatives', { menu: slotMenu(alternatives, locale, true) }, locale);
+  }
+  if (!data.ok) {
+    return t('sms.book.failed', { error: data.error || 'unknown error' }, locale);
+  }
+
+  await endSmsBooking(phone);
+  const { event } = data;
+  const icsUrl = event.staff ? appointmentIcsUrl({ eventId: event.id, staffId: event.staff.id }) : null;
+  const booked = t('sms.book.booked', {
+    forName: session.name ? t('sms.book.forName', { name: session.name }, locale) : '',
+    service: (data.service && data.service.name) || findService(session.serviceId).name,
+    when: formatDateTime(event.start.dateTime, locale, businessTz()),
+    withStaff: event.staff && getStaff().length > 1 ? t('sms.withStaff', { staff: event.staff.name }, locale) : '',
+    addToCalendar: icsUrl ? t('sms.addToCalendar', { url: icsUrl }, locale) : '',
+  }, locale);
+  return data.confirmationRequired ? `${booked} ${t('sms.confirmRequired', {}, locale)}` : booked;
+}
+
+/**
+ * Start a booking conversation for this phone (replaces any conversation in progress).
+ * @param {string} phone
+ * @param {string} [locale] - conversation language; defaults to BUSINESS_LOCALE
+ * @returns {Promise<string>} first question
+ */
+async function startSmsBooking(phone, locale) {
+  const lang = locale || getDefaultLocale();
+  await saveBooking(phone, { step: 'name', locale: lang });
+  return t('sms.book.start', {}, lang);
+}
+
+/**
+ * Start a conversation at the time step with the next few open times for the default service.
+ * @returns {Promise<string|null>} numbered list of times to put in a text, or null when nothing is open
+ */
+async function offerNextOpenTimes(phone, locale) {
+  const lang = locale || getDefaultLocale();
+  const service = getDefaultService();
+  const result = await findOpenSlots({
+    service: service.id,
+    days: NEXT_OPEN_DAYS,
+    timezone: businessTz(),
+    maxSlots: NEXT_OPEN_SLOTS,
+    callerPhone: phone,
+  });
+  const slots = (result.ok && result.slots) || [];
+  if (!slots.length) return null;
+  await saveBooking(phone, { step: 'time', locale: lang, name: null, serviceId: service.id, date: slots[0].date, slots });
+  return slotMenu(slots, lang, true);
+}
+
+/**
+ * Start a conversation at the time step with slots found elsewhere (e.g. checkSlot alternatives).
+ * @param {string} phone
+ * @param {{ locale?: string, name?: string, serviceId: string, slots: object[] }} offer
+ * @returns {Promise<string|null>} numbered list of times to put in a text, or null when there are none
+ */
+async function offerAlternatives(phone, { locale, name, serviceId, slots }) {
+  const lang = locale || getDefaultLocale();
+  const offered = (slots || []).slice(0, MAX_SLOTS);
+  if (!offered.length) return null;
+  await saveBooking(phone, { step: 'time', locale: lang, name: name || null, serviceId, date: offered[0].date, slots: offered });
+  return slotMenu(offered, lang, true);
+}
+
+/**
+ * Next step of the conversation for one inbound text.
+ * @returns {Promise<string>} reply
+ */
+async function continueSmsBooking(phone, text) {
+  const session = await loadBooking(phone);
+  if (!session) return startSmsBooking(phone);
+  const input = String(text || '').trim();
+  const { locale } = session;
+
+  if (session.step === 'name') {
+    const name = input.replace(/^(it'?s|i'?m|this is|my name is|soy|me llamo)\s+/i, '').slice(0, 60).trim();
+    if (!name) return t('sms.book.askName', {}, locale);
+    await saveBooking(phone, { ...session, step: 'service', name });
+    return t('sms.book.askService', { name, menu: serviceMenu() }, locale);
+  }
+
+  if (session.step === 'service') {
+    const service = readService(input);
+    if (!service) return t('sms.book.serviceRetry', { menu: serviceMenu() }, locale);
+    await saveBooking(phone, { ...session, step: 'date', serviceId: service.id });
+    return t('sms.book.askDate', { service: service.name, example: dateExample(locale) }, locale);
+  }
+
+  if (session.step === 'date') {
+    const date = readDate(input);
+    if (!date) return t('sms.book.dateRetry', {}, locale);
+    return offerSlots(phone, session, date);
+  }
+
+  // step 'time': a number picks an offered slot, a time is checked on the chosen day, a date switches day
+  const choice = Number(input);
+  if (Number.isInteger(choice) && choice >= 1 && choice <= session.slots.length) {
+    const slot = session.slots[choice - 1];
+    return book(phone, { ...session, date: slot.date }, slot.startTime);
+  }
+  if (/\d/.test(input) && /(am|pm|:)/i.test(input)) {
+    const parts = parseLocalTime(input, businessTz());
+    if (parts && session.date) {
+      return book(phone, session, `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`);
+    }
+  }
+  const date = readDate(input);
+  if (date) return offerSlots(phone, session, date);
+  return t('sms.book.timeRetry', { count: session.slots.length }, locale);
+}
+
+module.exports = {
+  startSmsBooking,
+  offerNextOpenTimes,
+  offerAlternatives,
+  continueSmsBooking,
+  hasSmsBooking,
+  endSmsBooking,
+};
@@ -0,0 +1,282 @@
+/**
+ * Inbound SMS replies to appointment texts
+ * - Links a reply to the sender's next upcoming appointment (callerPhone tag, any barber calendar)
+ * - C / CONFIRM: tag the event confirmedAt
+ * - CANCEL: remove the event; inside LATE_CANCEL_HOURS it is recorded as a late cancel
+ *   (services/outcomes.js)
+ * - RESCHEDULE: short dialog — we text numbered open times (same barber and service), the
+ *   customer replies with a number, or a day (e.g. 1/9, friday, the 15th) to see that day's times
+ * - BOOK, or any text from a number with nothing booked: text-to-book conversation
+ *   (services/sms-booking.js); CANCEL during it just ends the conversation
+ * - STOP / START / HELP (and their usual synonyms): opt out / back in via the consent ledger
+ *   (services/consent.js), or the help text. Any other text from an opted-out number gets no
+ *   reply; texting us otherwise counts as implied consent to replies
+ * - Replies are in the customer's language (services/messages.js): Spanish keywords (CITA,
+ *   CONFIRMAR, CANCELAR, CAMBIAR, AYUDA) answer in Spanish, otherwise the booking's locale tag
+ * - handleInboundSms returns { reply, action }; the route wraps the reply in TwiML (no reply: null)
+ *
+ * Twilio treats CANCEL as an opt-out keyword by default. Remove it from the number's
+ * Advanced Opt-Out keywords, or Twilio will also unsubscribe customers who cancel.
+ *
+ * Reschedule dialog state is in the session store ('sms-reschedule' namespace, keyed by phone),
+ * so a reply can land on any instance, and expires DIALOG_TTL_MS after the times were offered.
+ */
+const { DateTime } = require('luxon');
+const { findEventsByPrivateProperty, updateEvent, deleteEvent } = require('./calendar');
+const { checkAvailability, checkSlot } = require('./availability');
+const { isOwnedBy, getBookingTags, addBookingTags, toAppointmentSummary } = require('./appointments');
+const { getStaff, getStaffById, getStaffCalendarIds, schedulesForStaff } = require('./staff');
+const { getBusinessSchedule } = require('./schedule');
+const { parseLocalDate } = require('./datetime');
+const { normalizePhone } = require('./phone');
+const { startSmsBooking, continueSmsBooking, hasSmsBooking, endSmsBooking } = require('./sms-booking');
+const { bookedService } = require('./booking');
+const { optIn, optOut, recordImpliedConsent, canText } = require('./consent');
+const { recordOutcome, isLateCancel } = require('./outcomes');
+const { persist, recordAppointment } = require('./call-store');
+const { getSession, setSession, deleteSession } = require('./session-store');
+const { t, formatShortDateTime, getDefaultLocale } = require('./messages');
+
+const DIALOG_TTL_MS = 30 * 60 * 1000;
+const RESCHEDULE_CHOICES = 3;
+const SEARCH_DAYS = 7;
+
+const KEYWORDS = {
+  C: 'confirm',
+  CONFIRM: 'confirm',
+  CANCEL: 'cancel',
+  RESCHEDULE: 'reschedule',
+  BOOK: 'book',
+  STOP: 'stop',
+  STOPALL: 'stop',
+  UNSUBSCRIBE: 'stop',
+  END: 'stop',
+  QUIT: 'stop',
+  REVOKE: 'stop',
+  OPTOUT: 'stop',
+  START: 'start',
+  UNSTOP: 'start',
+  YES: 'start',
+  HELP: 'help',
+  INFO: 'help',
+};
+
+// Spanish keywords; using one also switches the reply to Spanish
+const SPANISH_KEYWORDS = {
+  CONFIRMAR: 'confirm',
+  CANCELAR: 'cancel',
+  CAMBIAR: 'reschedule',
+  CITA: 'book',
+  RESERVAR: 'book',
+  AYUDA: 'help',
+  PARAR: 'stop',
+  BAJA: 'stop',
+};
+
+// 'sms-reschedule' session, keyed by phone: { step: 'pick', eventId, calendarId, slots, locale }
+const DIALOG_NS = 'sms-reschedule';
+
+function businessTz() {
+  return process.env.BUSINESS_TIMEZONE || 'America/Chicago';
+}
+
+// "Tue Jan 8, 10:00 AM" in the customer's language
+function shortLabel(iso, locale) {
+  return formatShortDateTime(iso, locale, businessTz());
+}
+
+function dateExample(locale) {
+  return DateTime.now().setZone(businessTz()).plus({ days: 2 }).toFormat(t('format.dateExample', {}, locale));
+}
+
+function helpText(locale) {
+  const phone = process.env.TWILIO_PHONE_NUMBER;
+  return t('sms.help', { callUs: phone ? t('sms.help.callUs', { phone }, locale) : '' }, locale);
+}
+
+function getDialog(phone) {
+  return getSession(DIALOG_NS, phone);
+}
+
+function endDialog(phone) {
+  return deleteSession(DIALOG_NS, phone);
+}
+
+// Soonest upcoming appointment booked from this phone, as { event, calendarId }, or null
+async function findUpcomingAppointment(phone) {
+  const found = [];
+  for (const calendarId of getStaffCalendarIds()) {
+    const events = await findEventsByPrivateProperty({ key: 'callerPhone', value: phone, calendarId });
+    for (const event of events) {
+      if (isOwnedBy(event, phone)) found.push({ event, calendarId });
+    }
+  }
+  found.sort((a, b) => new Date(a.event.start.dateTime) - new Date(b.event.start.dateTime));
+  return found[0] || null;
+}
+
+function staffForBooking({ event, calendarId }) {
+  return getStaffById(getBookingTags(event).staffId) || getStaff().find((m) => m.calendarId === calendarId);
+}
+
+// Open times for the booking's barber and service, starting at fromDate
+async function rescheduleOptions(booking, fromDate, days) {
+  const service = bookedService(booking.event);
+  // The current booking still counts as busy, so its own time is never offered
+  const { slots } = await checkAvailability({
+    fromDate,
+    days,
+    durationMinutes: service.durationMinutes,
+    bufferMinutes: service.bufferMinutes,
+    timezone: businessTz(),
+    schedule: getBusinessSchedule(),
+    staff: [staffForBooking(booking)],
+    maxSlots: RESCHEDULE_CHOICES,
+  });
+  return slots;
+}
+
+function optionsText(slots, locale) {
+  return slots.map((s, i) => `${i + 1}) ${shortLabel(s.start, locale)}`).join('\n');
+}
+
+async function offerTimes(phone, booking, fromDate, days, intro, locale) {
+  const slots = await rescheduleOptions(booking, fromDate, days);
+  await setSession(DIALOG_NS, phone, { step: 'pick', eventId: booking.event.id, calendarId: booking.calendarId, slots, locale }, { ttlMs: DIALOG_TTL_MS });
+  if (!slots.length) {
+    return t('sms.reschedule.none', { intro, example: dateExample(locale) }, locale);
+  }
+  return t('sms.reschedule.options', { intro, options: optionsText(slots, locale) }, locale);
+}
+
+async function confirm(phone, booking, locale) {
+  const { event, calendarId } = booking;
+  await addBookingTags(event, calendarId, { confirmedAt: new Date().toISOString() });
+  return t('sms.confirmed', { when: shortLabel(event.start.dateTime, locale) }, locale);
+}
+
+async function cancel(phone, booking, locale) {
+  const { event, calendarId } = booking;
+  if (isLateCancel(event)) {
+    await recordOutcome({ event, calendarId, outcome: 'late_cancel', source: 'sms', detail: 'CANCEL reply', tagEvent: false });
+  }
+  await deleteEvent(event.id, { calendarId });
+  await endDialog(phone);
+  await persist('recordAppointment', () => recordAppointment({ event, calendarId, status: 'cancelled' }));
+  return t('sms.cancelled', { when: shortLabel(event.start.dateTime, locale) }, locale);
+}
+
+// Reply while a reschedule dialog is open: a number picks an offered time, a date lists that day
+async function continueReschedule(phone, text, dialog) {
+  const { locale } = dialog;
+  const booking = await findUpcomingAppointment(phone);
+  if (!booking || booking.event.id !== dialog.eventId) {
+    await endDialog(phone);
+    return t('sms.reschedule.changed', {}, locale);
+  }
+
+  const choice = Number(text);
+  if (Number.isInteger(choice) && choice >= 1 && choice <= dialog.slots.length) {
+    const slot = dialog.slots[choice - 1];
+    const { event, calendarId } = booking;
+    const check = await checkSlot({
+      startISO: slot.start,
+      endISO: slot.end,
+      timezone: businessTz(),
+      calendarId,
+      schedule: schedulesForStaff(staffForBooking(booking), getBusinessSchedule()),
+      bufferMinutes: bookedService(event).bufferMinutes,
+      ignore: [{ start: event.start.dateTime, end: event.end.dateTime }],
+    });
+    if (!check.ok) {
+      return offerTimes(phone, booking, parseLocalDate(slot.date, businessTz()), 1, t('sms.reschedule.taken', {}, locale), locale);
+    }
+    const updated = await updateEvent(event.id, {
+      start: { dateTime: slot.start, timeZone: businessTz() },
+      end: { dateTime: slot.end, timeZone: businessTz() },
+    }, { calendarId });
+    await endDialog(phone);
+    await persist('recordAppointment', () => recordAppointment({ event: updated, calendarId, status: 'rescheduled' }));
+    return t('sms.reschedule.done', { when: shortLabel(slot.start, locale) }, locale);
+  }
+
+  const date = parseLocalDate(text, businessTz());
+  if (date) {
+    return offerTimes(phone, booking, date, 1, '', locale);
+  }
+  return t('sms.reschedule.retry', { range: dialog.slots.length ? ` (1-${dialog.slots.length})` : '' }, locale);
+}
+
+/**
+ * Handle one inbound text.
+ * @param {{ from: string, body: string }} msg - Twilio From / Body
+ * @returns {Promise<{ reply: string|null, action: string }>}
+ */
+async function handleInboundSms({ from, body }) {
+  const phone = normalizePhone(from);
+  const text = String(body || '').trim();
+  const word = text.toUpperCase().replace(/[^A-Z]/g, '');
+  const keyword = KEYWORDS[word] || SPANISH_KEYWORDS[word];
+  const keywordLocale = SPANISH_KEYWORDS[word] ? 'es' : null;
+  if (!phone) {
+    return { reply: null, action: 'no_sender' };
+  }
+
+  if (keyword === 'stop') {
+    await optOut(phone, { source: 'sms_keyword', detail: text });
+    await endDialog(phone);
+    await endSmsBooking(phone);
+    return { reply: t('sms.optOut', {}, keywordLocale), action: 'opt_out' };
+  }
+  if (keyword === 'start') {
+    await optIn(phone, { source: 'sms_keyword', detail: text });
+    return { reply: t('sms.optIn', {}, keywordLocale), action: 'opt_in' };
+  }
+  if (keyword === 'help') {
+    return { reply: helpText(keywordLocale), action: 'help' };
+  }
+  if (!(await canText(phone))) {
+    return { reply: null, action: 'opted_out' };
+  }
+  await persist('recordImpliedConsent', () => recordImpliedConsent(phone, { source: 'sms_inbound', detail: 'customer texted us' }));
+
+  if (keyword === 'book') {
+    await endDialog(phone);
+    return { reply: await startSmsBooking(phone, keywordLocale), action: 'book_start' };
+  }
+  if (await hasSmsBooking(phone)) {
+    if (keyword === 'cancel') {
+      const locale = await endSmsBooking(phone);
+      return { reply: t('sms.book.stopped', {}, keywordLocale || locale), action: 'book_stop' };
+    }
+    return { reply: await continueSmsBooking(phone, text), action: 'book_reply' };
+  }
+
+  const dialog = await getDialog(phone);
+  if (dialog && !keyword) {
+    return { reply: await continueReschedule(phone, text, dialog), action: 'reschedule_reply' };
+  }
+
+  const booking = await findUpcomingAppointment(phone);
+  if (!booking) {
+    if (!keyword) return { reply: await startSmsBooking(phone, keywordLocale), action: 'book_start' };
+    return { reply: t('sms.noAppointment', {}, keywordLocale), action: 'no_appointment' };
+  }
+  const appt = toAppointmentSummary(booking.event, businessTz());
+  const locale = keywordLocale || getBookingTags(booking.event).locale || getDefaultLocale();
+
+  if (keyword === 'confirm') return { reply: await confirm(phone, booking, locale), action: 'confirm' };
+  if (keyword === 'cancel') return { reply: await cancel(phone, booking, locale), action: 'cancel' };
+  if (keyword === 'reschedule') {
+    const today = DateTime.now().setZone(businessTz());
+    const intro = t('sms.reschedule.current', { when: shortLabel(appt.start, locale) }, locale);
+    const reply = await offerTimes(phone, booking, { year: today.year, month: today.month, day: today.day }, SEARCH_DAYS, intro, locale);
+    return { reply, action: 'reschedule_start' };
+  }
+  return { reply: t('sms.nextAppointment', { when: shortLabel(appt.start, locale) }, locale), action: 'next_appointment' };
+}
+
+module.exports = {
+  handleInboundSms,
+  findUpcomingAppointment,
+};
@@ -0,0 +1,60 @@
+/**
+ * Outbound SMS
+ * - sendSms is the only way this app texts a customer (confirmations, reminders, ...);
+ *   it checks the consent ledger first, so opted-out numbers are never texted (nor anyone while
+ *   the ledger cannot be read)
+ * - Returns the Twilio message, or null when the text was not sent (opted out, or no
+ *   TWILIO_PHONE_NUMBER configured)
+ * - A Twilio 21610 rejection (number unsubscribed at the carrier / Twilio level) is recorded
+ *   as an opt-out
+ * - Sent texts are stored as outbound messages (services/call-store.js)
+ * - Replies to inbound texts go out as TwiML from /sms/inbound; sms-inbound.js applies the
+ *   same consent rules there
+ */
+const twilio = require('twilio');
+const { canText, optOut } = require('./consent');
+const { normalizePhone } = require('./phone');
+const { persist, insertMessage } = require('./call-store');
+
+const TWILIO_UNSUBSCRIBED = 21610;
+
+let client = null;
+
+function getTwilioClient() {
+  if (!client) client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  return client;
+}
+
+/**
+ * @param {{ to: string, body: string, purpose?: string }} msg - purpose is only used in logs
+ * @returns {Promise<object|null>}
+ */
+async function sendSms({ to, body, purpose = 'sms' }) {
+  const phone = normalizePhone(to);
+  const from = process.env.TWILIO_PHONE_NUMBER || '';
+  if (!phone || !from) {
+    console.log(`[sms] not sending ${purpose}: ${!phone ? 'no recipient' : 'TWILIO_PHONE_NUMBER not configured'}`);
+    return null;
+  }
+  if (!(await canText(phone))) {
+    console.log(`[sms] not sending ${purpose} to ${phone}: opted out`);
+    return null;
+  }
+  let message;
+  try {
+    message = await getTwilioClient().messages.create({ to: phone, from, body });
+  } catch (err) {
+    if (err && err.code === TWILIO_UNSUBSCRIBED) {
+      await persist('optOut', () => optOut(phone, { source: 'carrier', detail: `Twilio ${TWILIO_UNSUBSCRIBED}` }));
+      console.log(`[sms] not sending ${purpose} to ${phone}: unsubscribed at carrier`);
+      return null;
+    }
+    throw err;
+  }
+  await persist('insertMessage', () => insertMessage({ phone, channel: 'sms', direction: 'outbound', body }));
+  return message;
+}
+
+module.exports = {
+  sendSms,
+};
@@ -0,0 +1,106 @@
+/**
+ * Staff (barber) configuration
+ * - Each barber maps to their own calendar and optional working hours
+ * - Configure with STAFF_CONFIG (inline JSON) or STAFF_CONFIG_PATH (JSON file)
+ * - Without config, a single "shop" entry books onto GOOGLE_CALENDAR_ID (or 'primary')
+ * - findStaff: resolve a tool parameter ("Marcus", "any") to staff entries
+ *
+ * Entry shape:
+ *   { id, name, calendarId, aliases?: string[], schedule?: { weekly, exceptions, holidays } }
+ * schedule uses the services/schedule.js config shape (days off go in exceptions). The older
+ * hoursRange: "10:00-18:00" / daysSpec: "2-6" pair is still accepted. A barber is only
+ * bookable when both the shop and the barber are working.
+ */
+const fs = require('fs');
+const path = require('path');
+const { createSchedule, scheduleFromHours } = require('./schedule');
+
+const ANY_STAFF = ['any', 'anyone', 'no preference', 'first available', 'whoever'];
+
+let cachedStaff = null;
+
+function normalizeEntry(raw) {
+  const id = String(raw.id || raw.name || '').trim().toLowerCase().replace(/\s+/g, '-');
+  if (!id) throw new Error('Staff entry missing id/name');
+  if (!raw.calendarId) throw new Error(`Staff ${id}: calendarId required`);
+  return {
+    id,
+    name: String(raw.name || id),
+    calendarId: String(raw.calendarId),
+    aliases: (Array.isArray(raw.aliases) ? raw.aliases : []).map((a) => String(a).toLowerCase()),
+    schedule: scheduleForEntry(raw),
+  };
+}
+
+function scheduleForEntry(raw) {
+  if (raw.schedule) return createSchedule(raw.schedule);
+  if (raw.hoursRange || raw.daysSpec) return scheduleFromHours({ hoursRange: raw.hoursRange, daysSpec: raw.daysSpec });
+  return null;
+}
+
+function loadStaff() {
+  let raw = null;
+  if (process.env.STAFF_CONFIG) {
+    raw = JSON.parse(process.env.STAFF_CONFIG);
+  } else if (process.env.STAFF_CONFIG_PATH) {
+    raw = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), process.env.STAFF_CONFIG_PATH), 'utf8'));
+  }
+  const list = raw && (Array.isArray(raw) ? raw : raw.staff);
+  if (!list || !list.length) {
+    return [normalizeEntry({ id: 'shop', name: process.env.BUSINESS_NAME || 'our team', calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary' })];
+  }
+  return list.map(normalizeEntry);
+}
+
+function getStaff() {
+  if (!cachedStaff) cachedStaff = loadStaff();
+  return cachedStaff;
+}
+
+function getDefaultStaff() {
+  return getStaff()[0];
+}
+
+function getStaffById(id) {
+  return getStaff().find((s) => s.id === id) || null;
+}
+
+function isAnyStaff(value) {
+  const v = String(value || '').trim().toLowerCase();
+  return !v || ANY_STAFF.includes(v);
+}
+
+/**
+ * Staff candidates for a preference: every barber for "any"/empty, otherwise the
+ * single matching barber (by id, name, first name or alias), or [] when nobody matches.
+ */
+function findStaff(preference) {
+  const staff = getStaff();
+  if (isAnyStaff(preference)) return staff;
+  const v = String(preference).trim().toLowerCase();
+  const match = staff.find((s) => s.id === v || s.name.toLowerCase() === v || s.aliases.includes(v))
+    || staff.find((s) => s.name.toLowerCase().split(/\s+/)[0] === v);
+  return match ? [match] : [];
+}
+
+// Schedules a barber's bookings must fit: shop schedule plus their own, if configured
+function schedulesForStaff(staff, businessSchedule) {
+  const list = [businessSchedule];
+  if (staff && staff.schedule) list.push(staff.schedule);
+  return list;
+}
+
+// Distinct calendars across all staff (e.g. for caller lookups)
+function getStaffCalendarIds() {
+  return [...new Set(getStaff().map((s) => s.calendarId))];
+}
+
+module.exports = {
+  getStaff,
+  getDefaultStaff,
+  getStaffById,
+  isAnyStaff,
+  findStaff,
+  schedulesForStaff,
+  getStaffCalendarIds,
+};
@@ -0,0 +1,139 @@
+/**
+ * Call transcripts (Postgres, see db/migrations/003_transcripts.sql)
+ * - saveTranscript: the Hume conversation for a call, as speaker turns with timestamps and tool calls
+ *   (toTranscriptTurns in services/hume-conversation.js); saving a call again replaces its turns
+ * - getTranscript: one call's turns, with the bookings made on it (appointments table)
+ * - searchTranscripts: full-text search over what was said ("open Sunday"), filtered by caller,
+ *   date range and speaker; web-search syntax: quoted phrases, OR, -word
+ * - Without DATABASE_URL nothing is saved (logged once) and reads throw; the API answers 503
+ */
+const { isDbConfigured, query, withTransaction } = require('./db');
+const { normalizePhone } = require('./phone');
+
+const TRANSCRIPT_ROLES = ['caller', 'agent', 'tool_call', 'tool_response', 'system'];
+const MAX_SEARCH_RESULTS = 100;
+
+let warned = false;
+
+function enabled() {
+  if (isDbConfigured()) return true;
+  if (!warned) {
+    console.warn('[transcripts] DATABASE_URL not set; call transcripts are not saved');
+    warned = true;
+  }
+  return false;
+}
+
+/**
+ * @param {{ callSid: string, humeChatId?: string, callerPhone?: string, turns: object[] }} transcript
+ * @returns {Promise<number|null>} turns saved, null when skipped
+ */
+async function saveTranscript({ callSid, humeChatId, callerPhone, turns }) {
+  if (!enabled() || !callSid) return null;
+  const list = turns || [];
+  const times = list.map((t) => t.at).filter(Boolean).sort();
+  await withTransaction(async (client) => {
+    await client.query(
+      `insert into transcripts (call_sid, hume_chat_id, caller_phone, started_at, ended_at, turn_count)
+       values ($1, $2, $3, $4, $5, $6)
+       on conflict (call_sid) do update set
+         hume_chat_id = coalesce(excluded.hume_chat_id, transcripts.hume_chat_id),
+         caller_phone = coalesce(excluded.caller_phone, transcripts.caller_phone),
+         started_at = excluded.started_at,
+         ended_at = excluded.ended_at,
+         turn_count = excluded.turn_count,
+         updated_at = now()`,
+      [callSid, humeChatId || null, normalizePhone(callerPhone) || null, times[0] || null, times[times.length - 1] || null, list.length],
+    );
+    await client.query('delete from transcript_turns where call_sid = $1', [callSid]);
+    if (!list.length) return;
+    await client.query(
+      `insert into transcript_turns (call_sid, seq, role, event_type, text, tool_name, data, at)
+       select $1, * from unnest($2::int[], $3::text[], $4::text[], $5::text[], $6::text[], $7::jsonb[], $8::timestamptz[])`,
+      [
+        callSid,
+        list.map((t) => t.seq),
+        list.map((t) => t.role),
+        list.map((t) => t.type || null),
+        list.map((t) => String(t.text || '')),
+        list.map((t) => t.toolName || null),
+        list.map((t) => (t.data == null ? null : JSON.stringify(t.data))),
+        list.map((t) => t.at || null),
+      ],
+    );
+  });
+  console.log(`[transcripts] ${callSid} saved (${list.length} turns)`);
+  return list.length;
+}
+
+function requireDb() {
+  if (!isDbConfigured()) throw new Error('DATABASE_URL not configured');
+}
+
+/**
+ * @returns {Promise<object|null>} { callSid, humeChatId, callerPhone, startedAt, endedAt, turns, bookings }, null when not found
+ */
+async function getTranscript(callSid) {
+  requireDb();
+  const { rows: [row] } = await query('select * from transcripts where call_sid = $1', [callSid]);
+  if (!row) return null;
+  const [{ rows: turns }, { rows: bookings }] = await Promise.all([
+    query(
+      `select seq, role, event_type as type, text, tool_name as "toolName", data, at
+       from transcript_turns where call_sid = $1 order by seq`,
+      [callSid],
+    ),
+    query(
+      `select event_id as "eventId", calendar_id as "calendarId", service_id as "serviceId", staff_id as "staffId",
+              start_at as "startAt", end_at as "endAt", status, outcome
+       from appointments where call_sid = $1 order by created_at`,
+      [callSid],
+    ),
+  ]);
+  return {
+    callSid: row.call_sid,
+    humeChatId: row.hume_chat_id,
+    callerPhone: row.caller_phone,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    turnCount: row.turn_count,
+    turns,
+    bookings,
+  };
+}
+
+/**
+ * Full-text search over transcript turns, newest calls first.
+ * @param {{ q: string, phone?: string, from?: string, to?: string, role?: string, limit?: number }} opts
+ * @returns {Promise<object[]>} matching turns: { callSid, callerPhone, seq, role, text, snippet, at }
+ */
+async function searchTranscripts({ q, phone, from, to, role, limit = 20 }) {
+  requireDb();
+  const text = String(q || '').trim();
+  if (!text) throw new Error('q required');
+  if (role && !TRANSCRIPT_ROLES.includes(role)) throw new Error(`role must be one of ${TRANSCRIPT_ROLES.join(', ')}`);
+  const max = Math.min(Math.max(Number(limit) || 20, 1), MAX_SEARCH_RESULTS);
+  const { rows } = await query(
+    `select t.call_sid as "callSid", t.caller_phone as "callerPhone", tt.seq, tt.role, tt.text,
+            ts_headline('simple', tt.text, websearch_to_tsquery('simple', $1), 'StartSel=[, StopSel=], MaxFragments=2') as snippet,
+            tt.at
+     from transcript_turns tt
+     join transcripts t on t.call_sid = tt.call_sid
+     where tt.search @@ websearch_to_tsquery('simple', $1)
+       and ($2::text is null or t.caller_phone = $2)
+       and ($3::timestamptz is null or coalesce(tt.at, t.created_at) >= $3)
+       and ($4::timestamptz is null or coalesce(tt.at, t.created_at) < $4)
+       and ($5::text is null or tt.role = $5)
+     order by coalesce(t.started_at, t.created_at) desc, tt.seq
+     limit $6`,
+    [text, phone ? normalizePhone(phone) : null, from || null, to || null, role || null, max],
+  );
+  return rows;
+}
+
+module.exports = {
+  TRANSCRIPT_ROLES,
+  saveTranscript,
+  getTranscript,
+  searchTranscripts,
+};
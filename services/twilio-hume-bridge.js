@@ -33,6 +33,9 @@ async function startTwilioHumeBridge(twilioWs, callSid) {
     const humeSocket = new WebSocket(humeWsUrl);
 
     let humeReady = false;
+    // Call identity for tool calls: the CallSid from Twilio, the Hume chat id with the first
+    // chat_metadata message. The server looks the caller's number up from these
+    const callContext = { callSid };
 
     humeSocket.on('open', () => {
       console.log(`[twilio-hume-bridge][${callSid}] connected to Hume EVI`);
@@ -54,6 +57,7 @@ async function startTwilioHumeBridge(twilioWs, callSid) {
           }));
         } else if (msg.event === 'start') {
           console.log(`[twilio-hume-bridge][${callSid}] Twilio stream started`);
+          if (msg.start?.callSid) callContext.callSid = msg.start.callSid;
         } else if (msg.event === 'stop') {
           console.log(`[twilio-hume-bridge][${callSid}] Twilio stream stopped`);
           humeSocket.close();
@@ -74,6 +78,10 @@ async function startTwilioHumeBridge(twilioWs, callSid) {
           console.error(`[twilio-hume-bridge][${callSid}] Hume error message:`, JSON.stringify(message, null, 2));
         }
 
+        if (message?.type === 'chat_metadata' && message.chat_id) {
+          callContext.humeChatId = message.chat_id;
+        }
+
         if (message?.type === 'tool_call') {
           // Handle tool call
           console.log(`[twilio-hume-bridge][${callSid}] 🔧 tool_call:`, message.name);
@@ -86,7 +94,7 @@ async function startTwilioHumeBridge(twilioWs, callSid) {
               humeSocket.send(JSON.stringify(msg));
             }
           };
-          await handleToolCallMessage(message, socketWrapper, TOOL_BRIDGE_BASE);
+          await handleToolCallMessage(message, socketWrapper, TOOL_BRIDGE_BASE, callContext);
         } else if (message?.type === 'audio_output') {
           // Forward audio back to Twilio
           // Hume sends base64 audio in message.data
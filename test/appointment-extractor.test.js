@@ -0,0 +1,92 @@
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { TZ, testEnv } = require('./helpers');
+
+testEnv({ APPOINTMENT_MIN_CONFIDENCE: '' });
+const { extractAppointment } = require('../services/appointment-extractor');
+const localExtractor = require('../services/local-appointment-extractor');
+
+// Monday, March 2 2026, 10:00 in the business timezone
+const now = DateTime.fromISO('2026-03-02T10:00', { zone: TZ });
+const extract = (turns, opts = {}) => extractAppointment({ turns }, { now, extractor: localExtractor, ...opts });
+const caller = (text) => ({ role: 'caller', text });
+const agent = (text) => ({ role: 'agent', text });
+
+describe('local appointment extractor', () => {
+  afterEach(() => { process.env.APPOINTMENT_MIN_CONFIDENCE = ''; });
+
+  test('takes date and time from the agent\'s final confirmation at high confidence', async () => {
+    const appt = await extract([
+      caller('Hi, my name is Sam Lee, can I get a haircut Wednesday at 2pm?'),
+      agent('Wednesday at 2 is taken, how about Thursday?'),
+      caller('Sure, Thursday at 4pm works.'),
+      agent("You're booked for a haircut on Thursday, March 5 at 4:00 PM under the name Sam Lee."),
+    ]);
+    assert.equal(appt.found, true);
+    assert.equal(appt.date, '2026-03-05');
+    assert.equal(appt.startTime, '16:00');
+    assert.equal(appt.confirmedByAgent, true);
+    assert.equal(appt.customerName, 'Sam Lee');
+    assert.equal(appt.serviceId, 'returning-cut');
+    assert.deepEqual(appt.confidence, { date: 0.9, startTime: 0.9, customerName: 0.9, service: 0.9 });
+  });
+
+  test('reads a bare hour in a confirmation as the afternoon, below explicit-time confidence', async () => {
+    const appt = await extract([agent('Great, see you on Tuesday at 3.')]);
+    assert.equal(appt.found, true);
+    assert.equal(appt.date, '2026-03-03');
+    assert.equal(appt.startTime, '15:00');
+    assert.equal(appt.confidence.startTime, 0.8);
+  });
+
+  test('books an unconfirmed explicit time at the default threshold', async () => {
+    const appt = await extract([caller('Can I come in tomorrow at 3pm?')]);
+    assert.equal(appt.found, true);
+    assert.equal(appt.confirmedByAgent, false);
+    assert.equal(appt.date, '2026-03-03');
+    assert.equal(appt.startTime, '15:00');
+    assert.equal(appt.confidence.date, 0.65);
+    assert.equal(appt.confidence.startTime, 0.65);
+  });
+
+  test('a part of the day alone stays below the threshold', async () => {
+    const appt = await extract([caller('Could I do Friday morning?')]);
+    assert.equal(appt.found, false);
+    assert.equal(appt.notFoundReason, 'confidence below 0.6');
+    assert.equal(appt.date, '2026-03-06');
+    assert.equal(appt.startTime, '09:00');
+    assert.equal(appt.confidence.startTime, 0.4);
+  });
+
+  test('APPOINTMENT_MIN_CONFIDENCE raises the bar', async () => {
+    process.env.APPOINTMENT_MIN_CONFIDENCE = '0.7';
+    const appt = await extract([caller('Can I come in tomorrow at 3pm?')]);
+    assert.equal(appt.found, false);
+    assert.equal(appt.notFoundReason, 'confidence below 0.7');
+  });
+
+  test('skips times the caller cannot make', async () => {
+    const appt = await extract([caller("Thursday works, but I'm not free at 3pm. 5pm is good.")]);
+    assert.equal(appt.startTime, '17:00');
+  });
+
+  test('ignores phone numbers when looking for times', async () => {
+    const appt = await extract([caller('Call me back at 512-555-0100 about Friday at 11am.')]);
+    assert.equal(appt.date, '2026-03-06');
+    assert.equal(appt.startTime, '11:00');
+  });
+
+  test('reports nothing found without a date and time', async () => {
+    const appt = await extract([caller('What are your prices?'), agent('A haircut is $32.')]);
+    assert.equal(appt.found, false);
+    assert.equal(appt.notFoundReason, 'date or time missing');
+    assert.equal(appt.confidence.date, 0);
+  });
+
+  test('copies the caller\'s number from the call, not the transcript', async () => {
+    const appt = await extract([agent("You're all set for Thursday, March 5 at 4:00 PM.")], { customerPhone: '+15125550100' });
+    assert.equal(appt.customerPhone, '+15125550100');
+    assert.match(appt.description, /Phone: \+15125550100/);
+  });
+});
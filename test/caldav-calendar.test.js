@@ -0,0 +1,221 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { DateTime } = require('luxon');
+const { TZ, testEnv, nextWeekday } = require('./helpers');
+
+testEnv();
+const caldav = require('../services/caldav-calendar');
+const { eventToICalendar, parseICalendar } = require('../services/ical');
+
+const day = nextWeekday(3);
+const at = (time) => DateTime.fromISO(`${day}T${time}`, { zone: TZ }).toISO();
+const utcStamp = (iso) => DateTime.fromISO(iso).toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+const ms = (iso) => new Date(iso).getTime();
+
+// Minimal CalDAV server: PUT/GET/DELETE <collection>/<uid>.ics with ETags, and a calendar-query
+// REPORT that ignores the time-range filter (the provider re-checks the window). A REPORT asking
+// for <c:expand> gets the resource's entry in `expanded` instead, when there is one, the way a
+// server that expands recurrences answers.
+function startStandIn() {
+  const resources = new Map(); // url path → { body, etag }
+  const expanded = new Map(); // url path → calendar-data for expanded REPORTs
+  const reports = [];
+  const hooks = { afterGet: null };
+  let version = 0;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      const existing = resources.get(req.url);
+      if (req.method === 'PUT') {
+        if (req.headers['if-none-match'] === '*' && existing) return res.writeHead(412).end();
+        if (req.headers['if-match'] && (!existing || existing.etag !== req.headers['if-match'])) return res.writeHead(412).end();
+        const etag = `"${++version}"`;
+        resources.set(req.url, { body, etag });
+        return res.writeHead(existing ? 204 : 201, { ETag: etag }).end();
+      }
+      if (req.method === 'GET') {
+        if (!existing) return res.writeHead(404).end();
+        res.writeHead(200, { 'Content-Type': 'text/calendar', ETag: existing.etag }).end(existing.body);
+        if (hooks.afterGet) hooks.afterGet(req.url);
+        return undefined;
+      }
+      if (req.method === 'DELETE') {
+        if (!existing) return res.writeHead(404).end();
+        resources.delete(req.url);
+        return res.writeHead(204).end();
+      }
+      if (req.method === 'REPORT') {
+        reports.push(body);
+        const expand = /<c:expand\b/.test(body);
+        const escape = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const items = [...resources.entries()]
+          .filter(([href]) => href.startsWith(req.url))
+          .map(([href, r]) => [href, r.etag, (expand && expanded.get(href)) || r.body])
+          .map(([href, etag, data]) => `<d:response><d:href>${href}</d:href><d:propstat><d:prop><d:getetag>${etag}</d:getetag><cal:calendar-data>${escape(data)}</cal:calendar-data></d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>`);
+        return res
+          .writeHead(207, { 'Content-Type': 'application/xml' })
+          .end(`<?xml version="1.0"?><d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">${items.join('')}</d:multistatus>`);
+      }
+      return res.writeHead(405).end();
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({ server, resources, expanded, reports, hooks })));
+}
+
+let standIn;
+let base;
+// Store a resource the way another client (Apple Calendar, Fastmail...) would have written it
+const putRaw = (calendar, uid, lines) => {
+  const body = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'BEGIN:VEVENT', `UID:${uid}`, ...lines, 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+  standIn.resources.set(`/calendars/shop/${calendar}/${uid}.ics`, { body, etag: '"raw"' });
+  return `/calendars/shop/${calendar}/${uid}.ics`;
+};
+
+before(async () => {
+  standIn = await startStandIn();
+  base = `http://127.0.0.1:${standIn.server.address().port}/calendars/shop/`;
+  process.env.CALDAV_URL = `${base}default/`;
+  delete process.env.CALDAV_USERNAME;
+});
+
+after(() => {
+  standIn.server.close();
+  delete process.env.CALDAV_URL;
+});
+
+describe('iCalendar round trip', () => {
+  const description = 'Line one\nLine two; with, punctuation \\ and a backslash — plus a long enough tail (ünïcödé) to fold the line';
+
+  test('escapes, folds and parses back the same event', () => {
+    const event = {
+      id: 'round-trip',
+      summary: 'Fade; beard, lineup',
+      description,
+      location: '12 Main St, Suite 3',
+      start: { dateTime: at('10:00'), timeZone: TZ },
+      end: { dateTime: at('10:45'), timeZone: TZ },
+      extendedProperties: { private: { callerPhone: '+15125550100', serviceId: 'fade', 'note:key': 'a:b;c' } },
+    };
+    const text = eventToICalendar(event);
+    for (const line of text.split('\r\n')) assert.ok(Buffer.byteLength(line, 'utf8') <= 75, `line too long: ${line}`);
+    assert.match(text, /\r\n [^\r\n]/); // the description had to be folded
+
+    const [parsed] = parseICalendar(text);
+    assert.equal(parsed.summary, event.summary);
+    assert.equal(parsed.description, description);
+    assert.equal(parsed.location, event.location);
+    assert.equal(ms(parsed.start.dateTime), ms(event.start.dateTime));
+    assert.equal(parsed.start.timeZone, TZ);
+    assert.equal(parsed.end.timeZone, TZ);
+    assert.deepEqual(parsed.extendedProperties.private, event.extendedProperties.private);
+  });
+
+  test('reads TZID times written by other clients', async () => {
+    putRaw('default', 'tzid-event', [
+      `DTSTART;TZID=${TZ}:${day.replace(/-/g, '')}T140000`,
+      `DTEND;TZID=${TZ}:${day.replace(/-/g, '')}T143000`,
+      'SUMMARY:Walk-in block',
+    ]);
+    const event = await caldav.getEvent('tzid-event');
+    assert.equal(ms(event.start.dateTime), ms(at('14:00')));
+    assert.equal(event.start.timeZone, TZ);
+    assert.equal(event.etag, '"raw"');
+  });
+
+  test('keeps the event through the provider: create, tag lookup, update, delete', async () => {
+    const tag = `check-${Date.now()}`;
+    const created = await caldav.insertEvent({
+      summary: 'CalDAV check, haircut',
+      description,
+      start: { dateTime: at('11:00'), timeZone: TZ },
+      end: { dateTime: at('11:30'), timeZone: TZ },
+      extendedProperties: { private: { callSid: tag, callerPhone: '+15125550100' } },
+    });
+    const fetched = await caldav.getEvent(created.id);
+    assert.equal(fetched.description, description);
+    assert.equal(fetched.extendedProperties.private.callerPhone, '+15125550100');
+
+    const tagged = await caldav.listEvents({ timeMin: new Date().toISOString(), privateProperty: { key: 'callSid', value: tag } });
+    assert.deepEqual(tagged.map((e) => e.id), [created.id]);
+
+    await caldav.updateEvent(created.id, {
+      start: { dateTime: at('11:30'), timeZone: TZ },
+      end: { dateTime: at('12:00'), timeZone: TZ },
+      extendedProperties: { private: { confirmationSentAt: 'now' } },
+    });
+    const moved = await caldav.getEvent(created.id);
+    assert.equal(ms(moved.start.dateTime), ms(at('11:30')));
+    assert.deepEqual(moved.extendedProperties.private, { callSid: tag, callerPhone: '+15125550100', confirmationSentAt: 'now' });
+
+    await caldav.deleteEvent(created.id);
+    await assert.rejects(caldav.getEvent(created.id), { code: 404 });
+  });
+});
+
+describe('updateEvent', () => {
+  test('fails with 412 instead of overwriting a change made since it read the event', async () => {
+    const created = await caldav.insertEvent({
+      summary: 'Haircut',
+      start: { dateTime: at('13:00'), timeZone: TZ },
+      end: { dateTime: at('13:30'), timeZone: TZ },
+    });
+    const path = new URL(`${created.id}.ics`, process.env.CALDAV_URL).pathname;
+    // Someone else edits the event between the provider's read and its write
+    standIn.hooks.afterGet = (url) => {
+      if (url !== path) return;
+      standIn.hooks.afterGet = null;
+      const current = standIn.resources.get(path);
+      standIn.resources.set(path, { body: current.body.replace('SUMMARY:Haircut', 'SUMMARY:Edited elsewhere'), etag: '"elsewhere"' });
+    };
+    await assert.rejects(caldav.updateEvent(created.id, { summary: 'Moved by us' }), { code: 412 });
+    assert.equal((await caldav.getEvent(created.id)).summary, 'Edited elsewhere');
+  });
+});
+
+describe('recurrence and DURATION', () => {
+  const first = DateTime.fromISO(`${day}T12:00`, { zone: TZ }).minus({ weeks: 10 });
+  const timeMin = at('00:00');
+  const timeMax = at('23:59');
+
+  before(() => {
+    // Weekly lunch block on the test weekday, starting ten weeks ago, written with DURATION
+    putRaw('marcus', 'lunch', [
+      `DTSTART;TZID=${TZ}:${first.toFormat("yyyyMMdd'T'HHmmss")}`,
+      'DURATION:PT1H',
+      'RRULE:FREQ=WEEKLY',
+      'SUMMARY:Lunch',
+    ]);
+    putRaw('dre', 'errand', [`DTSTART:${utcStamp(at('15:00'))}`, 'DURATION:PT45M', 'SUMMARY:Errand']);
+  });
+
+  test('asks the server to expand recurrences within the window', async () => {
+    await caldav.listEvents({ calendarId: 'marcus', timeMin, timeMax });
+    const body = standIn.reports.at(-1);
+    assert.match(body, new RegExp(`<c:calendar-data><c:expand start="${utcStamp(timeMin)}" end="${utcStamp(timeMax)}"/></c:calendar-data>`));
+  });
+
+  test('a weekly block that began weeks ago is busy today, even when the server does not expand it', async () => {
+    const busy = await caldav.queryFreeBusy({ timeMin, timeMax, calendarIds: ['marcus'] });
+    assert.deepEqual(busy.marcus, [{ start: new Date(at('12:00')).toISOString(), end: new Date(at('13:00')).toISOString() }]);
+  });
+
+  test('uses the instances of a server that expands', async () => {
+    const lunchPath = `/calendars/shop/marcus/lunch.ics`;
+    const instance = utcStamp(at('12:00'));
+    standIn.expanded.set(lunchPath, ['BEGIN:VCALENDAR', 'VERSION:2.0', 'BEGIN:VEVENT', 'UID:lunch', `RECURRENCE-ID:${instance}`,
+      `DTSTART:${instance}`, `DTEND:${utcStamp(at('13:00'))}`, 'SUMMARY:Lunch', 'END:VEVENT', 'END:VCALENDAR'].join('\r\n'));
+    try {
+      const events = await caldav.listEvents({ calendarId: 'marcus', timeMin, timeMax });
+      assert.deepEqual(events.map((e) => [e.id, e.recurringEventId]), [[`lunch_${instance}`, 'lunch']]);
+    } finally {
+      standIn.expanded.delete(lunchPath);
+    }
+  });
+
+  test('an event with DURATION instead of DTEND is busy for that long', async () => {
+    const busy = await caldav.queryFreeBusy({ timeMin, timeMax, calendarIds: ['dre'] });
+    assert.deepEqual(busy.dre, [{ start: new Date(at('15:00')).toISOString(), end: new Date(at('15:45')).toISOString() }]);
+  });
+});
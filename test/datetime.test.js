@@ -0,0 +1,131 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { TZ, testEnv } = require('./helpers');
+
+testEnv();
+const { parseRelativeDate, parseRelativeDateToISO, ensureFutureIso, parseLocalDate, parseLocalTime } = require('../services/datetime');
+
+// Monday, March 2 2026, 10:00 in the business timezone
+const now = DateTime.fromISO('2026-03-02T10:00', { zone: TZ });
+const local = (iso) => DateTime.fromISO(iso, { zone: TZ }).toISO({ suppressMilliseconds: true });
+
+describe('parseRelativeDateToISO', () => {
+  test('reads a day and a time', () => {
+    assert.equal(parseRelativeDateToISO({ text: 'tomorrow at 2pm', timezone: TZ, now }), local('2026-03-03T14:00'));
+    assert.equal(parseRelativeDateToISO({ text: 'next Tuesday after lunch', timezone: TZ, now }), local('2026-03-10T13:00'));
+  });
+
+  test('a time without a day is the next such time', () => {
+    assert.equal(parseRelativeDateToISO({ text: 'at 9am', timezone: TZ, now }), local('2026-03-03T09:00'));
+    assert.equal(parseRelativeDateToISO({ text: 'at 11am', timezone: TZ, now }), local('2026-03-02T11:00'));
+  });
+
+  test('rejects a time already past today instead of moving it', () => {
+    assert.equal(parseRelativeDateToISO({ text: 'today at 9am', timezone: TZ, now }), null);
+    assert.equal(parseRelativeDateToISO({ text: 'today at 4pm', timezone: TZ, now }), local('2026-03-02T16:00'));
+  });
+
+  test('says why a time already past today was rejected', () => {
+    assert.deepEqual(parseRelativeDate({ text: 'today at 9:30', timezone: TZ, now }), {
+      startISO: null,
+      error: 'past',
+      requestedISO: local('2026-03-02T09:30'),
+    });
+  });
+
+  test('reads "this Saturday morning" as shop opening time that Saturday', () => {
+    assert.equal(parseRelativeDateToISO({ text: 'this Saturday morning', timezone: TZ, now }), local('2026-03-07T09:00'));
+  });
+
+  test('reads "the 15th" as the next 15th', () => {
+    assert.equal(parseRelativeDateToISO({ text: 'the 15th at 3pm', timezone: TZ, now }), local('2026-03-15T15:00'));
+    const after15th = DateTime.fromISO('2026-03-20T10:00', { zone: TZ });
+    assert.equal(parseRelativeDateToISO({ text: 'the 15th at 3pm', timezone: TZ, now: after15th }), local('2026-04-15T15:00'));
+  });
+
+  test('a day without a time is not enough', () => {
+    assert.equal(parseRelativeDateToISO({ text: 'next Friday', timezone: TZ, now }), null);
+    assert.deepEqual(parseRelativeDate({ text: 'next Friday', timezone: TZ, now }), { startISO: null, error: 'no_time' });
+  });
+});
+
+describe('ensureFutureIso', () => {
+  test('moves a past year to this year', () => {
+    assert.equal(ensureFutureIso('2024-03-05T15:00:00', { timezone: TZ, now }), local('2026-03-05T15:00'));
+  });
+
+  test('leaves this year\'s times alone, even past ones', () => {
+    assert.equal(ensureFutureIso('2026-03-02T09:00:00', { timezone: TZ, now }), local('2026-03-02T09:00'));
+    assert.equal(ensureFutureIso('2026-03-05T15:00:00-06:00', { timezone: TZ, now }), local('2026-03-05T15:00'));
+  });
+
+  test('returns unparsable input unchanged', () => {
+    assert.equal(ensureFutureIso('not a date', { timezone: TZ, now }), 'not a date');
+  });
+});
+
+describe('parseLocalDate', () => {
+  test('reads YYYY-MM-DD', () => {
+    assert.deepEqual(parseLocalDate('2026-03-05', TZ), { year: 2026, month: 3, day: 5 });
+  });
+
+  test('reads "the 15th" as the next 15th, and not a bare "15th"', () => {
+    assert.deepEqual(parseLocalDate('the 15th', TZ, { now }), { year: 2026, month: 3, day: 15 });
+    assert.deepEqual(parseLocalDate('on the 15th', TZ, { now: DateTime.fromISO('2026-03-20T10:00', { zone: TZ }) }), { year: 2026, month: 4, day: 15 });
+    assert.equal(parseLocalDate('15th', TZ, { now }), null);
+  });
+
+  test('reads "this Saturday"', () => {
+    assert.deepEqual(parseLocalDate('this Saturday', TZ, { now }), { year: 2026, month: 3, day: 7 });
+  });
+
+  test('rejects impossible YYYY-MM-DD dates', () => {
+    assert.equal(parseLocalDate('2026-02-30', TZ), null);
+    assert.equal(parseLocalDate('2026-13-01', TZ), null);
+    assert.equal(parseLocalDate('2026-00-10', TZ), null);
+  });
+});
+
+describe('parseLocalTime', () => {
+  test('reads 24-hour times as written', () => {
+    assert.deepEqual(parseLocalTime('14:30', TZ), { hour: 14, minute: 30 });
+    assert.deepEqual(parseLocalTime('09:00', TZ), { hour: 9, minute: 0 });
+    assert.deepEqual(parseLocalTime('03:00', TZ), { hour: 3, minute: 0 });
+  });
+
+  test('reads am / pm', () => {
+    assert.deepEqual(parseLocalTime('2:30 pm', TZ), { hour: 14, minute: 30 });
+    assert.deepEqual(parseLocalTime('10am', TZ), { hour: 10, minute: 0 });
+    assert.deepEqual(parseLocalTime('7 AM', TZ), { hour: 7, minute: 0 });
+  });
+
+  test('a bare hour 1-7 is the afternoon, 8-12 is as said', () => {
+    assert.deepEqual(parseLocalTime('3', TZ), { hour: 15, minute: 0 });
+    assert.deepEqual(parseLocalTime('3:30', TZ), { hour: 15, minute: 30 });
+    assert.deepEqual(parseLocalTime('7', TZ), { hour: 19, minute: 0 });
+    assert.deepEqual(parseLocalTime('9', TZ), { hour: 9, minute: 0 });
+    assert.deepEqual(parseLocalTime('12', TZ), { hour: 12, minute: 0 });
+  });
+
+  test('strict24h reads tool parameters as 24-hour time', () => {
+    assert.deepEqual(parseLocalTime('7:30', TZ, { strict24h: true }), { hour: 7, minute: 30 });
+    assert.deepEqual(parseLocalTime('3', TZ, { strict24h: true }), { hour: 3, minute: 0 });
+    assert.deepEqual(parseLocalTime('15:00', TZ, { strict24h: true }), { hour: 15, minute: 0 });
+    assert.deepEqual(parseLocalTime('3:30 pm', TZ, { strict24h: true }), { hour: 15, minute: 30 });
+  });
+
+  test('maps parts of the day to shop hours', () => {
+    assert.deepEqual(parseLocalTime('after lunch', TZ), { hour: 13, minute: 0 });
+    assert.deepEqual(parseLocalTime('morning', TZ), { hour: 9, minute: 0 });
+    assert.deepEqual(parseLocalTime('in the afternoon', TZ), { hour: 15, minute: 0 });
+    assert.deepEqual(parseLocalTime('evening', TZ), { hour: 17, minute: 0 });
+  });
+
+  test('reads natural language and rejects nonsense', () => {
+    assert.deepEqual(parseLocalTime('noon', TZ), { hour: 12, minute: 0 });
+    assert.equal(parseLocalTime('whenever', TZ), null);
+    assert.equal(parseLocalTime('25', TZ), null);
+    assert.equal(parseLocalTime('', TZ), null);
+  });
+});
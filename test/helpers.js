@@ -0,0 +1,46 @@
+/**
+ * Test setup shared by test/*.test.js
+ * - testEnv: local calendar, in-memory sessions, two barbers, default hours (Mon-Fri 09:00-17:00)
+ *   and no database unless the test asks for one. Call it before requiring any service: most
+ *   of them read their configuration once
+ * - test/db.test.js asks for TEST_DATABASE_URL (docker compose up -d db, see docker-compose.yml)
+ *   and is skipped without it
+ * - nextWeekday: a business-timezone date a week or more ahead, so tests never hit "the past"
+ */
+const { DateTime } = require('luxon');
+
+const TZ = 'America/Chicago';
+
+function testEnv(overrides = {}) {
+  Object.assign(process.env, {
+    VERCEL: '1',
+    CALENDAR_PROVIDER: 'local',
+    LOCAL_CALENDAR_PATH: '',
+    SESSION_STORE: 'memory',
+    DATABASE_URL: '',
+    BUSINESS_TIMEZONE: TZ,
+    BUSINESS_SCHEDULE: '',
+    BUSINESS_SCHEDULE_PATH: '',
+    BUSINESS_HOURS: '09:00-17:00',
+    BUSINESS_DAYS: '1-5',
+    SERVICE_CATALOG: '',
+    SERVICE_CATALOG_PATH: '',
+    STAFF_CONFIG: JSON.stringify([
+      { id: 'marcus', name: 'Marcus', calendarId: 'marcus' },
+      { id: 'dre', name: 'Dre', calendarId: 'dre' },
+    ]),
+    STAFF_CONFIG_PATH: '',
+    TWILIO_PHONE_NUMBER: '',
+    TOOL_BRIDGE_SECRET: 'test-secret',
+    ...overrides,
+  });
+}
+
+// "YYYY-MM-DD" of the given ISO weekday (1 = Monday) at least a week from now
+function nextWeekday(weekday = 3) {
+  let day = DateTime.now().setZone(TZ).plus({ weeks: 1 }).startOf('day');
+  while (day.weekday !== weekday) day = day.plus({ days: 1 });
+  return day.toFormat('yyyy-MM-dd');
+}
+
+module.exports = { TZ, testEnv, nextWeekday };
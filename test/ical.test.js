@@ -0,0 +1,69 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseICalendar, expandRecurrences } = require('../services/ical');
+
+const calendar = (...vevents) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...vevents.flatMap((lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']), 'END:VCALENDAR'].join('\r\n');
+const ms = (iso) => new Date(iso).getTime();
+
+describe('parseICalendar without DTEND', () => {
+  test('ends DURATION after the start', () => {
+    const [event] = parseICalendar(calendar(['UID:d1', 'DTSTART;TZID=America/Chicago:20261020T100000', 'DURATION:PT1H30M']));
+    assert.equal(ms(event.end.dateTime) - ms(event.start.dateTime), 90 * 60000);
+    assert.equal(event.end.timeZone, 'America/Chicago');
+  });
+
+  test('all-day events last DURATION days, or one day', () => {
+    const [twoDays, oneDay] = parseICalendar(calendar(
+      ['UID:d2', 'DTSTART;VALUE=DATE:20261020', 'DURATION:P2D'],
+      ['UID:d3', 'DTSTART;VALUE=DATE:20261020'],
+    ));
+    assert.deepEqual(twoDays.end, { date: '2026-10-22' });
+    assert.deepEqual(oneDay.end, { date: '2026-10-21' });
+  });
+});
+
+describe('expandRecurrences', () => {
+  // Weekly Monday/Wednesday lunch since January; Oct 21 skipped, Oct 26 moved to 13:00
+  const lunch = parseICalendar(calendar(
+    ['UID:lunch', 'DTSTART;TZID=America/Chicago:20260105T120000', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+      'EXDATE;TZID=America/Chicago:20261021T120000', 'SUMMARY:Lunch'],
+    ['UID:lunch', 'RECURRENCE-ID;TZID=America/Chicago:20261026T120000', 'DTSTART;TZID=America/Chicago:20261026T130000',
+      'DTEND;TZID=America/Chicago:20261026T140000', 'SUMMARY:Lunch'],
+  ));
+  const window = { timeMin: '2026-10-19T05:00:00Z', timeMax: '2026-11-03T06:00:00Z' };
+
+  test('gives the instances in the window of an event that started long before it', () => {
+    const starts = expandRecurrences(lunch, window).map((e) => e.start.dateTime).sort();
+    assert.deepEqual(starts, [
+      '2026-10-19T12:00:00.000-05:00',
+      '2026-10-26T13:00:00.000-05:00',
+      '2026-10-28T12:00:00.000-05:00',
+      '2026-11-02T12:00:00.000-06:00', // same wall-clock time after the DST change
+    ]);
+  });
+
+  test('instances get their own ids and an end from the duration', () => {
+    const [first] = expandRecurrences(lunch, window);
+    assert.equal(first.id, 'lunch_20261019T170000Z');
+    assert.equal(first.recurringEventId, 'lunch');
+    assert.equal(first.recurrence, undefined);
+    assert.equal(ms(first.end.dateTime) - ms(first.start.dateTime), 60 * 60000);
+  });
+
+  test('honors COUNT, UNTIL and INTERVAL', () => {
+    const events = parseICalendar(calendar(
+      ['UID:count', 'DTSTART:20261019T150000Z', 'DTEND:20261019T160000Z', 'RRULE:FREQ=DAILY;COUNT=3'],
+      ['UID:until', 'DTSTART:20261019T150000Z', 'DTEND:20261019T160000Z', 'RRULE:FREQ=DAILY;UNTIL=20261020T235959Z'],
+      ['UID:fortnight', 'DTSTART:20261005T150000Z', 'DTEND:20261005T160000Z', 'RRULE:FREQ=WEEKLY;INTERVAL=2'],
+    ));
+    const ids = (uid) => expandRecurrences(events, window).filter((e) => e.recurringEventId === uid).map((e) => e.id);
+    assert.deepEqual(ids('count'), ['count_20261019T150000Z', 'count_20261020T150000Z', 'count_20261021T150000Z']);
+    assert.deepEqual(ids('until'), ['until_20261019T150000Z', 'until_20261020T150000Z']);
+    assert.deepEqual(ids('fortnight'), ['fortnight_20261019T150000Z', 'fortnight_20261102T150000Z']);
+  });
+
+  test('leaves single events alone', () => {
+    const events = parseICalendar(calendar(['UID:once', 'DTSTART:20261020T150000Z', 'DTEND:20261020T160000Z']));
+    assert.deepEqual(expandRecurrences(events, window), events);
+  });
+});
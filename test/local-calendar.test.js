@@ -0,0 +1,186 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { TZ, testEnv, nextWeekday } = require('./helpers');
+
+testEnv();
+const localCalendar = require('../services/local-calendar');
+const { bookAppointment, findOpenSlots } = require('../services/booking');
+const { rememberHumeCaller } = require('../services/hume-correlation');
+
+const day = nextWeekday(3);
+// Same weekday, two weeks before: open hours, but gone by
+const pastDay = DateTime.fromISO(day).minus({ weeks: 2 }).toFormat('yyyy-MM-dd');
+const at = (time) => DateTime.fromISO(`${day}T${time}`, { zone: TZ }).toISO();
+
+describe('local calendar provider', () => {
+  test('inserts, reads, patches and deletes events per calendar', async () => {
+    const event = await localCalendar.insertEvent({
+      summary: 'Contract check',
+      start: { dateTime: at('09:00'), timeZone: TZ },
+      end: { dateTime: at('09:30'), timeZone: TZ },
+      extendedProperties: { private: { callerPhone: '+15125550001', serviceId: 'lineup' } },
+    }, { calendarId: 'contract' });
+    assert.ok(event.id);
+
+    const patched = await localCalendar.updateEvent(event.id, { extendedProperties: { private: { confirmedAt: 'now' } } }, { calendarId: 'contract' });
+    assert.deepEqual(patched.extendedProperties.private, { callerPhone: '+15125550001', serviceId: 'lineup', confirmedAt: 'now' });
+
+    const found = await localCalendar.listEvents({ calendarId: 'contract', privateProperty: { key: 'callerPhone', value: '+15125550001' } });
+    assert.deepEqual(found.map((e) => e.id), [event.id]);
+    await assert.rejects(localCalendar.getEvent(event.id, { calendarId: 'other' }), { code: 404 });
+
+    await localCalendar.deleteEvent(event.id, { calendarId: 'contract' });
+    await assert.rejects(localCalendar.getEvent(event.id, { calendarId: 'contract' }), { code: 404 });
+  });
+
+  test('reports busy intervals for each calendar', async () => {
+    await localCalendar.insertEvent({
+      summary: 'Busy',
+      start: { dateTime: at('12:00'), timeZone: TZ },
+      end: { dateTime: at('12:30'), timeZone: TZ },
+    }, { calendarId: 'busy-check' });
+    const busy = await localCalendar.queryFreeBusy({ timeMin: at('00:00'), timeMax: at('23:59'), calendarIds: ['busy-check', 'empty'], timezone: TZ });
+    assert.equal(busy['busy-check'].length, 1);
+    assert.equal(new Date(busy['busy-check'][0].start).getTime(), new Date(at('12:00')).getTime());
+    assert.deepEqual(busy.empty, []);
+  });
+});
+
+describe('booking on the local calendar', () => {
+  test('books a free slot for the service length on the first free barber', async () => {
+    const result = await bookAppointment({ date: day, startTime: '10:00', service: 'shave', customerName: 'Ann', callerPhone: '+15125550101', callSid: 'CA-book-1' });
+    assert.equal(result.ok, true);
+    assert.equal(result.event.staff.id, 'marcus');
+    assert.equal(new Date(result.event.end.dateTime) - new Date(result.event.start.dateTime), 30 * 60000);
+
+    const stored = await localCalendar.getEvent(result.event.id, { calendarId: 'marcus' });
+    assert.equal(stored.extendedProperties.private.callerPhone, '+15125550101');
+    assert.equal(stored.extendedProperties.private.serviceId, 'shave');
+  });
+
+  test('repeating a call\'s booking returns the existing event', async () => {
+    const again = await bookAppointment({ date: day, startTime: '10:00', service: 'shave', callerPhone: '+15125550101', callSid: 'CA-book-1' });
+    assert.equal(again.ok, true);
+    assert.equal(again.alreadyBooked, true);
+  });
+
+  test('gives the slot to another barber, then rejects it with alternatives', async () => {
+    const second = await bookAppointment({ date: day, startTime: '10:00', service: 'shave', callerPhone: '+15125550102' });
+    assert.equal(second.ok, true);
+    assert.equal(second.event.staff.id, 'dre');
+
+    const third = await bookAppointment({ date: day, startTime: '10:00', service: 'shave', callerPhone: '+15125550103' });
+    assert.equal(third.ok, false);
+    assert.equal(third.error, 'slot_unavailable');
+    assert.ok(third.alternatives.length > 0);
+    assert.ok(third.alternatives.every((slot) => slot.start !== third.requested.start));
+    assert.match(third.message, /already booked/);
+  });
+
+  test('keeps the service buffer clear before the next booking', async () => {
+    const named = await bookAppointment({ date: day, startTime: '14:00', service: 'shave', staff: 'marcus' });
+    assert.equal(named.ok, true);
+    // A 30-minute shave at 13:30 would end right at 14:00, inside the 5-minute buffer
+    const tight = await bookAppointment({ date: day, startTime: '13:30', service: 'shave', staff: 'marcus' });
+    assert.equal(tight.ok, false);
+    assert.equal(tight.error, 'slot_unavailable');
+  });
+
+  test('rejects times outside business hours', async () => {
+    const late = await bookAppointment({ date: day, startTime: '18:00', service: 'shave' });
+    assert.equal(late.ok, false);
+    assert.equal(late.error, 'outside_business_hours');
+  });
+
+  test('rejects a start time in the past, offering open times from now on', async () => {
+    const past = await bookAppointment({ date: pastDay, startTime: '10:00', service: 'returning-cut', callerPhone: '+15125550104' });
+    assert.equal(past.ok, false);
+    assert.equal(past.error, 'in_the_past');
+    assert.match(past.message, /already passed/);
+    assert.ok(past.alternatives.length > 0);
+    assert.ok(past.alternatives.every((slot) => new Date(slot.start) > new Date()));
+    const { slots } = await findOpenSlots({ date: pastDay, service: 'returning-cut', maxSlots: 20 });
+    assert.deepEqual(slots, []);
+  });
+
+  test('reads a tool\'s startTime as 24-hour: "7:30" is 07:30, not the evening', async () => {
+    const early = await bookAppointment({ date: day, startTime: '7:30', service: 'shave' });
+    assert.equal(early.ok, false);
+    assert.equal(early.error, 'outside_business_hours');
+    assert.equal(new Date(early.requested.start).getTime(), new Date(at('07:30')).getTime());
+  });
+
+  test('open slots skip booked times', async () => {
+    const { ok, slots } = await findOpenSlots({ date: day, service: 'shave', staff: 'marcus', maxSlots: 20 });
+    assert.equal(ok, true);
+    assert.ok(!slots.some((slot) => slot.startTime === '10:00'));
+    assert.ok(slots.some((slot) => slot.startTime === '09:00'));
+  });
+});
+
+describe('rescheduling through the tool route', () => {
+  let server;
+  let base;
+  const phone = '+15125550200';
+
+  const post = async (path, body, auth = `Bearer ${process.env.TOOL_BRIDGE_SECRET}`) => {
+    const resp = await fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: auth },
+      body: JSON.stringify(body),
+    });
+    return { status: resp.status, data: await resp.json() };
+  };
+
+  before(async () => {
+    const app = require('../server');
+    await new Promise((resolve) => { server = app.listen(0, resolve); });
+    base = `http://127.0.0.1:${server.address().port}`;
+    await rememberHumeCaller({ callSid: 'CA-resched', phone });
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  test('refuses calls without the bridge secret', async () => {
+    const { status } = await post('/tools/hume/find-my-appointments', { callSid: 'CA-resched' }, 'Bearer wrong');
+    assert.equal(status, 401);
+  });
+
+  test('moves the caller\'s appointment, keeping the service length', async () => {
+    const booked = await post('/tools/hume/book-appointment', { date: day, startTime: '11:00', service: 'lineup', staff: 'dre', callSid: 'CA-resched' });
+    assert.equal(booked.status, 200);
+
+    const moved = await post('/tools/hume/reschedule-appointment', { eventId: booked.data.event.id, date: day, startTime: '15:00', callSid: 'CA-resched' });
+    assert.equal(moved.status, 200);
+    const { start, end } = moved.data.appointment;
+    assert.equal(new Date(start).getTime(), new Date(at('15:00')).getTime());
+    assert.equal(new Date(end) - new Date(start), 15 * 60000);
+  });
+
+  test('rejects a time that is taken or too close to the next booking, with alternatives', async () => {
+    const { data: { appointments } } = await post('/tools/hume/find-my-appointments', { callSid: 'CA-resched' });
+    assert.equal(appointments.length, 1);
+    // Dre has the 10:00 shave booked above: a 15-minute lineup at 9:45 ends inside its own 5-minute buffer
+    const taken = await post('/tools/hume/reschedule-appointment', { eventId: appointments[0].id, date: day, startTime: '09:45', callSid: 'CA-resched' });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.data.error, 'slot_unavailable');
+    assert.ok(Array.isArray(taken.data.alternatives));
+  });
+
+  test('refuses to move an appointment into the past', async () => {
+    const { data: { appointments } } = await post('/tools/hume/find-my-appointments', { callSid: 'CA-resched' });
+    const past = await post('/tools/hume/reschedule-appointment', { eventId: appointments[0].id, date: pastDay, startTime: '15:00', callSid: 'CA-resched' });
+    assert.equal(past.status, 409);
+    assert.equal(past.data.error, 'in_the_past');
+    assert.ok(past.data.alternatives.every((slot) => new Date(slot.start) > new Date()));
+    const { data: after } = await post('/tools/hume/find-my-appointments', { callSid: 'CA-resched' });
+    assert.equal(new Date(after.appointments[0].start).getTime(), new Date(at('15:00')).getTime());
+  });
+
+  test('only reaches appointments booked from the call\'s number', async () => {
+    const other = await bookAppointment({ date: day, startTime: '16:00', service: 'lineup', callerPhone: '+15125550999' });
+    const { status } = await post('/tools/hume/reschedule-appointment', { eventId: other.event.id, date: day, startTime: '16:30', callSid: 'CA-resched', callerPhone: '+15125550999' });
+    assert.equal(status, 404);
+  });
+});